@@ -0,0 +1,64 @@
+// Forum Sniper service worker: makes the dashboard installable and shows Web Push notifications
+
+const CACHE = 'forum-sniper-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first for pages so the dashboard is always fresh; the cached shell is only an offline fallback.
+// API and socket.io traffic is never touched.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.mode !== 'navigate') return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                const copy = response.clone();
+                caches.open(CACHE).then(cache => cache.put('/', copy));
+                return response;
+            })
+            .catch(() => caches.match('/'))
+    );
+});
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (e) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'Forum Sniper', {
+        body: data.body || '',
+        tag: data.tag,
+        renotify: Boolean(data.tag),
+        icon: '/icon.svg',
+        badge: '/icon.svg',
+        data: { url: data.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const existing = windows.find(w => w.url.startsWith(self.location.origin));
+            if (existing) return existing.focus();
+            return self.clients.openWindow(url);
+        })
+    );
+});
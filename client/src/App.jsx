@@ -1,15 +1,26 @@
 import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
-import { Target, ShieldAlert, CheckCircle, Clock, Plus, Trash2, Terminal, PauseCircle, PlayCircle, Search } from 'lucide-react';
+import { Target, ShieldAlert, CheckCircle, Clock, Plus, Trash2, Terminal, PauseCircle, PlayCircle, StopCircle, Search, History, Bell, Send, Mail, ListFilter, Eye, FlaskConical, Camera, Download, FileDiff, Globe, CalendarClock, X, TrendingUp, Link2, ArrowRight, Upload, Pencil, Tag, Database, RotateCcw } from 'lucide-react';
 
 // Ensure API_URL doesn't produce double-slashes when combined with /api
 const API_URL = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
 const socket = io(API_URL);
 
+// VAPID public keys are base64url, PushManager wants raw bytes
+const urlBase64ToUint8Array = (base64) => {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+};
+
+const pushSupported = () => window.isSecureContext && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
 function App() {
     const [targets, setTargets] = useState([]);
     const [showAddForm, setShowAddForm] = useState(false);
-    const [newTarget, setNewTarget] = useState({ url: '', pseudo: '', email: '', password: '' });
+    const EMPTY_TARGET = { url: '', pseudo: '', email: '', password: '', mode: 'auto-register', type: 'registration', watch: { selector: '', fetchMode: 'browser' } };
+    const [newTarget, setNewTarget] = useState(EMPTY_TARGET);
+    const [addError, setAddError] = useState('');
+    const [bulkImport, setBulkImport] = useState(null); // { text, type, mode, loading, report, error }
 
     // Pre-fill form with settings when opening add form
     const openAddForm = () => {
@@ -17,8 +28,10 @@ function App() {
             url: '',
             pseudo: settingsForm.defaultPseudo || '',
             email: settingsForm.defaultEmail || '',
-            password: settingsForm.defaultPassword || ''
+            password: settingsForm.defaultPassword || '',
+            mode: 'auto-register'
         });
+        setAddError('');
         setShowAddForm(true);
     };
     const [showSettings, setShowSettings] = useState(false);
@@ -27,28 +40,117 @@ function App() {
         flaresolverr_url: '',
         defaultPseudo: '',
         defaultEmail: '',
-        defaultPassword: ''
+        defaultPassword: '',
+        maxConcurrentChecks: '2',
+        probeDelayMs: '1500',
+        smtpHost: '',
+        smtpPort: '587',
+        smtpUser: '',
+        smtpPass: '',
+        smtpFrom: '',
+        emailRecipients: '',
+        emailAlerts: 'true',
+        emailDigest: 'false',
+        digestHour: '8',
+        logRetentionDays: '30',
+        logMaxPerTarget: '2000',
+        snapshotRetentionDays: '7',
+        traceOnError: 'true',
+        traceRetentionDays: '7',
+        traceMaxFiles: '20',
+        burstBeforeMinutes: '10',
+        burstAfterMinutes: '30',
+        burstIntervalSeconds: '60',
+        backupIntervalHours: '24',
+        backupKeep: '7'
     });
+    const [testEmailResult, setTestEmailResult] = useState(null);
     const [showAnalyze, setShowAnalyze] = useState(false);
     const [analyzeUrl, setAnalyzeUrl] = useState('');
     const [analyzing, setAnalyzing] = useState(false);
     const [analysisResult, setAnalysisResult] = useState(null);
     const [analysisLogs, setAnalysisLogs] = useState([]);
     const [redditStats, setRedditStats] = useState({ checkCount: 0, lastCheck: null, history: [] });
+    const [queueStats, setQueueStats] = useState({ concurrency: 0, queueDepth: 0, activeCount: 0, queued: [], active: [] });
+    const [scheduleTarget, setScheduleTarget] = useState(null);
+    const [scheduleForm, setScheduleForm] = useState({ type: 'interval', intervalMinutes: 60, jitterMinutes: 15, adaptive: true, cron: '' });
+    const [scheduleError, setScheduleError] = useState('');
+    const [openingInput, setOpeningInput] = useState(''); // datetime-local value of the expected opening being edited
+    const [historyTarget, setHistoryTarget] = useState(null);
+    const [historyRuns, setHistoryRuns] = useState([]);
+    const [historyTotal, setHistoryTotal] = useState(0);
+    const historyTargetRef = useRef(null);
+    const [runArtifacts, setRunArtifacts] = useState({}); // runId -> artifacts, for runs whose gallery is open
+    const [showNotifications, setShowNotifications] = useState(false);
+    const [webhooks, setWebhooks] = useState([]);
+    const [webhookMeta, setWebhookMeta] = useState({ statuses: [], defaultBodyTemplate: '' });
+    const [webhookForm, setWebhookForm] = useState(null);
+    const [webhookError, setWebhookError] = useState('');
+    const [deliveries, setDeliveries] = useState([]);
+    const [showLogs, setShowLogs] = useState(false);
+    const [logFilters, setLogFilters] = useState({ targetId: '', checkRunId: '', levels: [], search: '', from: '', to: '' });
+    const [logPage, setLogPage] = useState({ logs: [], total: 0, offset: 0 });
+    const [watchDiff, setWatchDiff] = useState(null); // { target, versions, from, to, diff, summary }
+    const [dryRun, setDryRun] = useState(null); // { target, loading, planId, plan, result, error }
+    const [domainsTarget, setDomainsTarget] = useState(null); // { target, aliases, newUrl, newKind, error }
+    const [editing, setEditing] = useState(null); // { id, url, pseudo, email, password, tags, priority, notes, error } of the card being edited
+    const [filters, setFilters] = useState({ tags: [], statuses: [], search: '', sort: '' });
+    const [transfer, setTransfer] = useState({ secrets: false, withSettings: false, bundle: null, fileName: '', report: null, error: '', busy: false });
+    const [adminToken, setAdminToken] = useState(() => sessionStorage.getItem('adminToken') || ''); // ADMIN_TOKEN of the server, for secrets
+    const [revealError, setRevealError] = useState('');
+    const [backups, setBackups] = useState({ list: [], confirm: null, error: '', busy: false }); // confirm = name of the backup about to be restored
+    const [push, setPush] = useState({ subscription: null, statuses: null, busy: false, error: '' }); // statuses null = all
+    const [now, setNow] = useState(Date.now());
 
+    // Tick once a second while an opening countdown is on screen
+    const hasUpcomingOpening = targets.some(t => t.expectedOpening && new Date(t.expectedOpening.at).getTime() > now);
     useEffect(() => {
-        if (showSettings) {
-            fetch(`${API_URL}/api/settings`).then(r => r.json()).then(d => {
-                // Load other settings if needed, but for now we just use a local state or ref to manage the form?
-                // Actually, let's update state to hold all settings
-                setSettingsForm({
-                    openRouterKey: d.openRouterKey || '',
-                    flaresolverr_url: d.flaresolverr_url || '',
-                    defaultPseudo: d.defaultPseudo || '',
-                    defaultEmail: d.defaultEmail || '',
-                    defaultPassword: d.defaultPassword || ''
-                });
+        if (!hasUpcomingOpening) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [hasUpcomingOpening]);
+
+    const loadSettingsForm = () => {
+        return fetch(`${API_URL}/api/settings`).then(r => r.json()).then(d => {
+            // Load other settings if needed, but for now we just use a local state or ref to manage the form?
+            // Actually, let's update state to hold all settings
+            setSettingsForm({
+                openRouterKey: d.openRouterKey || '',
+                flaresolverr_url: d.flaresolverr_url || '',
+                defaultPseudo: d.defaultPseudo || '',
+                defaultEmail: d.defaultEmail || '',
+                defaultPassword: d.defaultPassword || '',
+                maxConcurrentChecks: d.maxConcurrentChecks || '2',
+                probeDelayMs: d.probeDelayMs || '1500',
+                smtpHost: d.smtpHost || '',
+                smtpPort: d.smtpPort || '587',
+                smtpUser: d.smtpUser || '',
+                smtpPass: d.smtpPass || '',
+                smtpFrom: d.smtpFrom || '',
+                emailRecipients: d.emailRecipients || '',
+                emailAlerts: d.emailAlerts || 'true',
+                emailDigest: d.emailDigest || 'false',
+                digestHour: d.digestHour || '8',
+                logRetentionDays: d.logRetentionDays || '30',
+                logMaxPerTarget: d.logMaxPerTarget || '2000',
+                snapshotRetentionDays: d.snapshotRetentionDays || '7',
+                traceOnError: d.traceOnError || 'true',
+                traceRetentionDays: d.traceRetentionDays || '7',
+                traceMaxFiles: d.traceMaxFiles || '20',
+                burstBeforeMinutes: d.burstBeforeMinutes || '10',
+                burstAfterMinutes: d.burstAfterMinutes || '30',
+                burstIntervalSeconds: d.burstIntervalSeconds || '60',
+                backupIntervalHours: d.backupIntervalHours ?? '24',
+                backupKeep: d.backupKeep || '7'
             });
+        });
+    };
+
+    useEffect(() => {
+        if (showSettings) {
+            loadSettingsForm();
+            loadBackups();
+            setTestEmailResult(null);
         }
     }, [showSettings]);
 
@@ -62,31 +164,86 @@ function App() {
         setShowSettings(false);
     };
 
+    // Saves the form first so the test uses exactly what is on screen
+    const sendTestEmail = async () => {
+        setTestEmailResult({ pending: true });
+        await fetch(`${API_URL}/api/settings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settingsForm)
+        });
+        const res = await fetch(`${API_URL}/api/notifications/test-email`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) setTestEmailResult({ ok: false, message: data.error });
+        else if (data.status === 'delivered') setTestEmailResult({ ok: true, message: `Sent to ${data.payload.to.join(', ')}` });
+        else setTestEmailResult({ ok: false, message: data.error || 'Delivery failed' });
+    };
+
     // Real-time Updates
     useEffect(() => {
         socket.on('targets_updated', (data) => setTargets(data));
-        socket.on('status_update', ({ targetId, status, lastCheck }) => {
-            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, status, lastCheck } : t));
+        socket.on('status_update', ({ targetId, status, lastCheck, failureReason }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, status, lastCheck, failureReason } : t));
         });
         socket.on('log_update', ({ targetId, logEntry }) => {
             setTargets(prev => prev.map(t => t.id === targetId ? { ...t, logs: [logEntry, ...t.logs].slice(0, 50) } : t));
         });
-        socket.on('metadata_update', ({ targetId, forumType, robotsInfo, invitationCodes }) => {
-            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, forumType, robotsInfo, invitationCodes } : t));
+        socket.on('metadata_update', ({ targetId, forumType, robotsInfo, invitationCodes, formFields }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, forumType, robotsInfo, invitationCodes, formFields } : t));
+        });
+
+        socket.on('form_changed', ({ targetId, formChanges, formChangedAt }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, formChanges, formChangedAt } : t));
+        });
+
+        socket.on('watch_changed', ({ targetId, watchChangedAt }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, watchChangedAt } : t));
+        });
+
+        socket.on('domain_move', ({ targetId, domainMove, aliases }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, domainMove, aliases } : t));
+        });
+
+        socket.on('uptime_update', ({ targetId, uptime }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, uptime } : t));
+        });
+
+        socket.on('opening_update', ({ targetId, expectedOpening }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, expectedOpening } : t));
+            setNow(Date.now());
+        });
+
+        socket.on('schedule_update', ({ targetId, schedule, nextCheckAt, nextCheckReason, pattern }) => {
+            setTargets(prev => prev.map(t => t.id === targetId ? { ...t, schedule, nextCheckAt, nextCheckReason, pattern } : t));
         });
 
         socket.on('reddit_stats', (stats) => setRedditStats(stats));
+        socket.on('queue_update', (stats) => setQueueStats(stats));
+        socket.on('check_run', (run) => {
+            if (historyTargetRef.current?.id !== run.targetId) return;
+            setHistoryRuns(prev => [run, ...prev.filter(r => r.id !== run.id)]);
+            setHistoryTotal(prev => prev + 1);
+        });
 
         // Initial fetch
         fetch(`${API_URL}/api/targets`).then(res => res.json()).then(setTargets);
         fetch(`${API_URL}/api/reddit`).then(res => res.json()).then(setRedditStats);
+        fetch(`${API_URL}/api/queue`).then(res => res.json()).then(setQueueStats);
 
         return () => {
             socket.off('targets_updated');
             socket.off('status_update');
             socket.off('log_update');
             socket.off('metadata_update');
+            socket.off('form_changed');
+            socket.off('watch_changed');
+            socket.off('opening_update');
+            socket.off('uptime_update');
+            socket.off('domain_move');
+            socket.off('schedule_update');
             socket.off('reddit_stats');
+            socket.off('queue_update');
+            socket.off('check_run');
         };
     }, []);
 
@@ -107,13 +264,39 @@ function App() {
 
     const addTarget = async (e) => {
         e.preventDefault();
-        await fetch(`${API_URL}/api/targets`, {
+        const res = await fetch(`${API_URL}/api/targets`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(newTarget)
         });
+        if (!res.ok) {
+            const data = await res.json();
+            return setAddError(data.error || 'Could not add target');
+        }
         setShowAddForm(false);
-        setNewTarget({ url: '', pseudo: '', email: '', password: '' });
+        setNewTarget(EMPTY_TARGET);
+    };
+
+    const openBulkImport = () => setBulkImport({ text: '', type: 'registration', mode: 'auto-register', loading: false, report: null, error: '' });
+
+    // Appends the file's lines to the pasted list
+    const loadImportFile = async (file) => {
+        if (!file) return;
+        const text = await file.text();
+        setBulkImport(prev => ({ ...prev, text: prev.text ? `${prev.text.trimEnd()}\n${text}` : text }));
+    };
+
+    const runBulkImport = async (e) => {
+        e.preventDefault();
+        setBulkImport(prev => ({ ...prev, loading: true, error: '', report: null }));
+        const res = await fetch(`${API_URL}/api/targets/bulk`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: bulkImport.text, type: bulkImport.type, mode: bulkImport.mode })
+        });
+        const data = await res.json();
+        if (!res.ok) return setBulkImport(prev => ({ ...prev, loading: false, error: data.error || 'Import failed' }));
+        setBulkImport(prev => ({ ...prev, loading: false, report: data }));
     };
 
     const deleteTarget = async (id) => {
@@ -121,6 +304,501 @@ function App() {
         await fetch(`${API_URL}/api/targets/${id}`, { method: 'DELETE' });
     };
 
+    const openScheduleEditor = (target) => {
+        const schedule = target.schedule || {};
+        setScheduleForm({
+            type: schedule.type || 'interval',
+            intervalMinutes: schedule.intervalMinutes || 60,
+            jitterMinutes: schedule.jitterMinutes || 0,
+            adaptive: schedule.adaptive !== false,
+            cron: schedule.cron || ''
+        });
+        setScheduleError('');
+        setOpeningInput(target.expectedOpening ? toLocalInput(target.expectedOpening.at) : '');
+        setScheduleTarget(target);
+    };
+
+    const saveSchedule = async (e) => {
+        e.preventDefault();
+        const res = await fetch(`${API_URL}/api/targets/${scheduleTarget.id}/schedule`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(scheduleForm)
+        });
+        if (!res.ok) {
+            const data = await res.json();
+            setScheduleError(data.error || 'Invalid schedule');
+            return;
+        }
+        const currentOpening = scheduleTarget.expectedOpening ? toLocalInput(scheduleTarget.expectedOpening.at) : '';
+        if (openingInput !== currentOpening) {
+            const openingRes = await setExpectedOpening(scheduleTarget, openingInput ? new Date(openingInput).toISOString() : null);
+            if (!openingRes.ok) {
+                setScheduleError((await openingRes.json()).error || 'Invalid opening date');
+                return;
+            }
+        }
+        setScheduleTarget(null);
+    };
+
+    const setExpectedOpening = (target, at) => fetch(`${API_URL}/api/targets/${target.id}/expected-opening`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ at })
+    });
+
+    const loadNotifications = async () => {
+        const data = await fetch(`${API_URL}/api/webhooks`).then(r => r.json());
+        setWebhooks(data.webhooks || []);
+        setWebhookMeta({ statuses: data.statuses || [], defaultBodyTemplate: data.defaultBodyTemplate || '' });
+        setDeliveries(await fetch(`${API_URL}/api/notifications/deliveries?limit=30`).then(r => r.json()));
+    };
+
+    const loadPush = async () => {
+        if (!pushSupported()) return;
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) {
+            setPush(p => ({ ...p, subscription: null }));
+            return;
+        }
+        const saved = await fetch(`${API_URL}/api/push/subscription?endpoint=${encodeURIComponent(subscription.endpoint)}`).then(r => r.json());
+        setPush(p => ({ ...p, subscription: saved ? subscription : null, statuses: saved?.statuses || p.statuses }));
+    };
+
+    const openNotifications = () => {
+        setWebhookForm(null);
+        setShowNotifications(true);
+        loadNotifications();
+        loadPush();
+    };
+
+    const savePushPreferences = async (subscription, statuses) => {
+        const res = await fetch(`${API_URL}/api/push/subscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription: subscription.toJSON(), statuses })
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+    };
+
+    const enablePush = async () => {
+        setPush(p => ({ ...p, busy: true, error: '' }));
+        try {
+            if (await Notification.requestPermission() !== 'granted') {
+                throw new Error('Notifications are blocked for this site in the browser settings');
+            }
+            const { publicKey, statuses } = await fetch(`${API_URL}/api/push/public-key`).then(r => r.json());
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey)
+            });
+            const wanted = push.statuses || statuses;
+            await savePushPreferences(subscription, wanted);
+            setPush({ subscription, statuses: wanted, busy: false, error: '' });
+        } catch (err) {
+            setPush(p => ({ ...p, busy: false, error: err.message }));
+        }
+    };
+
+    const disablePush = async () => {
+        setPush(p => ({ ...p, busy: true, error: '' }));
+        const { endpoint } = push.subscription;
+        await push.subscription.unsubscribe();
+        await fetch(`${API_URL}/api/push/unsubscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint })
+        });
+        setPush(p => ({ ...p, subscription: null, busy: false }));
+    };
+
+    const togglePushStatus = async (status) => {
+        const statuses = toggleInList(push.statuses || webhookMeta.statuses, status);
+        setPush(p => ({ ...p, statuses }));
+        if (push.subscription) await savePushPreferences(push.subscription, statuses);
+    };
+
+    const testPush = async () => {
+        await fetch(`${API_URL}/api/push/test`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: push.subscription.endpoint })
+        });
+        loadNotifications();
+    };
+
+    const editWebhook = (webhook) => {
+        setWebhookError('');
+        setWebhookForm(webhook ? {
+            ...webhook,
+            headersText: JSON.stringify(webhook.headers || {}, null, 2),
+            bodyTemplate: webhook.bodyTemplate || webhookMeta.defaultBodyTemplate
+        } : {
+            name: '',
+            url: '',
+            headersText: '{}',
+            bodyTemplate: webhookMeta.defaultBodyTemplate,
+            statuses: [...webhookMeta.statuses],
+            targetIds: [],
+            enabled: true
+        });
+    };
+
+    const saveWebhook = async (e) => {
+        e.preventDefault();
+        let headers;
+        try {
+            headers = JSON.parse(webhookForm.headersText || '{}');
+        } catch (err) {
+            setWebhookError('Headers must be valid JSON');
+            return;
+        }
+        const { headersText, ...webhook } = webhookForm;
+        const res = await fetch(`${API_URL}/api/webhooks${webhook.id ? `/${webhook.id}` : ''}`, {
+            method: webhook.id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...webhook, headers })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            setWebhookError(data.error || 'Could not save webhook');
+            return;
+        }
+        setWebhookForm(null);
+        loadNotifications();
+    };
+
+    const removeWebhook = async (id) => {
+        if (!confirm('Delete this webhook?')) return;
+        await fetch(`${API_URL}/api/webhooks/${id}`, { method: 'DELETE' });
+        loadNotifications();
+    };
+
+    const testWebhook = async (id) => {
+        await fetch(`${API_URL}/api/webhooks/${id}/test`, { method: 'POST' });
+        loadNotifications();
+    };
+
+    const toggleInList = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+    const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+    const LOG_PAGE_SIZE = 100;
+
+    const loadLogs = async (filters = logFilters, offset = 0) => {
+        const params = new URLSearchParams({ limit: LOG_PAGE_SIZE, offset });
+        if (filters.targetId) params.set('targetId', filters.targetId);
+        if (filters.checkRunId) params.set('checkRunId', filters.checkRunId);
+        if (filters.levels.length > 0) params.set('level', filters.levels.join(','));
+        if (filters.search) params.set('search', filters.search);
+        // datetime-local values are local time, the API wants absolute dates
+        if (filters.from) params.set('from', new Date(filters.from).toISOString());
+        if (filters.to) params.set('to', new Date(filters.to).toISOString());
+        const data = await fetch(`${API_URL}/api/logs?${params}`).then(r => r.json());
+        setLogPage({ logs: data.logs || [], total: data.total || 0, offset });
+    };
+
+    const openLogs = (filters = {}) => {
+        const next = { targetId: '', checkRunId: '', levels: [], search: '', from: '', to: '', ...filters };
+        setLogFilters(next);
+        setShowLogs(true);
+        loadLogs(next);
+    };
+
+    const updateLogFilters = (changes) => {
+        const next = { ...logFilters, ...changes };
+        setLogFilters(next);
+        loadLogs(next);
+    };
+
+    const getLogColor = (level) => {
+        switch (level) {
+            case 'error': return 'text-red-400';
+            case 'warn': return 'text-yellow-400';
+            case 'debug': return 'text-gray-500';
+            default: return 'text-green-500/80';
+        }
+    };
+
+    // Latest change by default, or the change that produced version `toId`
+    const openWatchDiff = async (target, toId = null) => {
+        const [{ versions }, diff] = await Promise.all([
+            fetch(`${API_URL}/api/targets/${target.id}/watch/versions`).then(r => r.json()),
+            fetch(`${API_URL}/api/targets/${target.id}/watch/diff${toId ? `?to=${toId}` : ''}`).then(r => r.json())
+        ]);
+        setWatchDiff({ target, versions: versions || [], ...(diff.error ? { diff: [], error: diff.error } : diff) });
+    };
+
+    const startEditing = (target) => setEditing({
+        id: target.id,
+        url: target.url,
+        pseudo: target.pseudo || '',
+        email: target.email || '',
+        password: target.password || '',
+        tags: (target.tags || []).join(', '),
+        priority: target.priority || 'normal',
+        notes: target.notes || '',
+        error: ''
+    });
+
+    const patchTarget = async (id, changes) => {
+        const res = await fetch(`${API_URL}/api/targets/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const data = await res.json();
+        return res.ok ? { target: data } : { error: data.error || 'Could not save' };
+    };
+
+    const saveEditing = async (e, target) => {
+        e.preventDefault();
+        const { id, error, ...fields } = editing;
+        // Watch targets have no credentials to edit
+        if (target.type === 'watch') ['pseudo', 'email', 'password'].forEach(field => delete fields[field]);
+        const result = await patchTarget(id, fields);
+        if (result.error) return setEditing(prev => ({ ...prev, error: result.error }));
+        setEditing(null);
+    };
+
+    // Stored secrets come back redacted, their clear value needs the server's ADMIN_TOKEN
+    const adminHeaders = () => (adminToken ? { Authorization: `Bearer ${adminToken}` } : {});
+
+    const revealSecret = async (path, body = {}) => {
+        const res = await fetch(`${API_URL}/api/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not reveal');
+        return data;
+    };
+
+    const revealSetting = (key) => revealSecret('settings/reveal', { key })
+        .then(data => {
+            setRevealError('');
+            setSettingsForm(prev => ({ ...prev, [key]: data.value }));
+        })
+        .catch(err => setRevealError(err.message));
+
+    const revealTargetPassword = () => revealSecret(`targets/${editing.id}/reveal`)
+        .then(data => setEditing(prev => ({ ...prev, password: data.password, error: '' })))
+        .catch(err => setEditing(prev => ({ ...prev, error: err.message })));
+
+    const revealButton = (onClick) => (
+        <button type="button" title="Reveal (admin token)" onClick={onClick} className="p-2 text-gray-500 hover:text-white hover:bg-gray-800 rounded">
+            <Eye className="w-4 h-4" />
+        </button>
+    );
+
+    const toggleFilter = (key, value) => setFilters(prev => ({
+        ...prev,
+        [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+    }));
+
+    const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+    const allTags = [...new Set(targets.flatMap(t => t.tags || []))].sort();
+    const allStatuses = [...new Set(targets.map(t => t.status))].sort();
+    const search = filters.search.trim().toLowerCase();
+    const visibleTargets = targets
+        .filter(t => filters.tags.every(tag => (t.tags || []).includes(tag)))
+        .filter(t => filters.statuses.length === 0 || filters.statuses.includes(t.status))
+        .filter(t => !search || [t.url, t.pseudo, t.notes, ...(t.tags || [])].some(v => v && v.toLowerCase().includes(search)))
+        .sort((a, b) => {
+            if (filters.sort === 'priority') return PRIORITY_RANK[a.priority || 'normal'] - PRIORITY_RANK[b.priority || 'normal'];
+            if (filters.sort === 'nextCheck') return (a.nextCheckAt || '\uffff').localeCompare(b.nextCheckAt || '\uffff');
+            return 0;
+        });
+
+    // Dry run first, the bundle is only written when the report is confirmed
+    const importBundle = async (bundle, dryRun, withSettings = transfer.withSettings) => {
+        setTransfer(prev => ({ ...prev, busy: true, error: '' }));
+        const res = await fetch(`${API_URL}/api/import?dryRun=${dryRun}&settings=${withSettings}`, {
+            method: 'POST',
+            // Importing secret settings needs the admin token
+            headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+            body: JSON.stringify(bundle)
+        });
+        const data = await res.json();
+        if (!res.ok) return setTransfer(prev => ({ ...prev, busy: false, report: null, error: data.error || 'Import failed' }));
+        setTransfer(prev => ({ ...prev, busy: false, report: data, bundle: dryRun ? bundle : null }));
+        // Keep the form from saving back the values the import replaced
+        if (!dryRun && data.settings.length > 0) loadSettingsForm();
+    };
+
+    const loadBackups = () => {
+        fetch(`${API_URL}/api/backups`).then(r => r.json())
+            .then(d => setBackups(prev => ({ ...prev, list: d.backups || [] })))
+            .catch(err => console.error('Failed to load backups:', err));
+    };
+
+    // Backup now, delete or restore; a restore needs a second click on CONFIRM
+    const backupAction = async (method, path, body) => {
+        setBackups(prev => ({ ...prev, busy: true, error: '' }));
+        const res = await fetch(`${API_URL}/api/backups${path}`, {
+            method,
+            // Download, restore and delete need the admin token
+            headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        setBackups(prev => ({ ...prev, busy: false, confirm: null, error: res.ok ? '' : data.error || 'Backup action failed' }));
+        loadBackups();
+        // The restored database brings its own settings, targets arrive over the socket
+        if (res.ok && path.endsWith('/restore')) loadSettingsForm();
+    };
+
+    // Fetched rather than linked, so the admin token can go along
+    const downloadFile = async (url, fileName, headers = {}) => {
+        const res = await fetch(url, { headers });
+        if (!res.ok) {
+            const data = await res.json();
+            throw new Error(data.error || 'Download failed');
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    // Exports only need the admin token when secrets are included
+    const downloadExport = (path, fileName) => downloadFile(`${API_URL}${path}?secrets=${transfer.secrets}`, fileName, transfer.secrets ? adminHeaders() : {})
+        .then(() => setTransfer(prev => ({ ...prev, error: '' })))
+        .catch(err => setTransfer(prev => ({ ...prev, report: null, error: err.message })));
+
+    const loadBundleFile = async (file) => {
+        if (!file) return;
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch {
+            return setTransfer(prev => ({ ...prev, report: null, error: 'Not a JSON file' }));
+        }
+        setTransfer(prev => ({ ...prev, fileName: file.name }));
+        importBundle(bundle, true);
+    };
+
+    const openDomains = (target) => setDomainsTarget({ target, aliases: target.aliases || [], newUrl: '', newKind: 'mirror', error: '' });
+
+    const saveAliases = async (aliases) => {
+        const res = await fetch(`${API_URL}/api/targets/${domainsTarget.target.id}/aliases`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ aliases })
+        });
+        const data = await res.json();
+        if (!res.ok) return setDomainsTarget(prev => ({ ...prev, error: data.error || 'Could not save' }));
+        setDomainsTarget(prev => ({ ...prev, target: data, aliases: data.aliases, newUrl: '', error: '' }));
+    };
+
+    // Without a URL, the confirmed redirect is promoted
+    const promoteDomain = async (target, url = null) => {
+        const res = await fetch(`${API_URL}/api/targets/${target.id}/promote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(url ? { url } : {})
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            console.error('Promote failed:', data.error);
+            if (domainsTarget) setDomainsTarget(prev => ({ ...prev, error: data.error || 'Could not promote' }));
+            return;
+        }
+        if (domainsTarget) setDomainsTarget(prev => ({ ...prev, target: data, aliases: data.aliases, error: '' }));
+    };
+
+    const startDryRun = async (target) => {
+        setDryRun({ target, loading: true });
+        try {
+            const res = await fetch(`${API_URL}/api/targets/${target.id}/dry-run`, { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Dry run failed');
+            setDryRun({ target, loading: false, ...data });
+        } catch (error) {
+            setDryRun({ target, loading: false, error: error.message });
+        }
+    };
+
+    const executePlan = async () => {
+        const res = await fetch(`${API_URL}/api/targets/${dryRun.target.id}/plans/${dryRun.planId}/execute`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) {
+            setDryRun(prev => ({ ...prev, error: data.error }));
+            return;
+        }
+        setDryRun(null);
+    };
+
+    const HISTORY_PAGE_SIZE = 20;
+
+    const openHistory = async (target) => {
+        historyTargetRef.current = target;
+        setHistoryTarget(target);
+        setHistoryRuns([]);
+        setHistoryTotal(0);
+        setRunArtifacts({});
+        const data = await fetch(`${API_URL}/api/targets/${target.id}/runs?limit=${HISTORY_PAGE_SIZE}`).then(r => r.json());
+        setHistoryRuns(data.runs || []);
+        setHistoryTotal(data.total || 0);
+    };
+
+    const closeHistory = () => {
+        historyTargetRef.current = null;
+        setHistoryTarget(null);
+    };
+
+    const toggleRunArtifacts = async (run) => {
+        if (runArtifacts[run.id]) {
+            setRunArtifacts(prev => {
+                const { [run.id]: _, ...rest } = prev;
+                return rest;
+            });
+            return;
+        }
+        const data = await fetch(`${API_URL}/api/targets/${historyTarget.id}/runs/${run.id}/artifacts`).then(r => r.json());
+        setRunArtifacts(prev => ({ ...prev, [run.id]: data.artifacts || [] }));
+    };
+
+    const loadMoreRuns = async () => {
+        const data = await fetch(`${API_URL}/api/targets/${historyTarget.id}/runs?limit=${HISTORY_PAGE_SIZE}&offset=${historyRuns.length}`).then(r => r.json());
+        setHistoryRuns(prev => [...prev, ...(data.runs || []).filter(r => !prev.some(p => p.id === r.id))]);
+        setHistoryTotal(data.total || 0);
+    };
+
+    const formatDuration = (ms) => {
+        if (ms === null || ms === undefined) return '—';
+        if (ms < 1000) return `${ms}ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        return `${Math.floor(ms / 60000)}m${Math.round((ms % 60000) / 1000)}s`;
+    };
+
+    const formatSchedule = (schedule) => {
+        if (!schedule) return 'DEFAULT';
+        if (schedule.type === 'manual') return 'MANUAL ONLY';
+        if (schedule.type === 'cron') return `CRON ${schedule.cron}`;
+        return `EVERY ${schedule.intervalMinutes}m${schedule.jitterMinutes ? ` ±${schedule.jitterMinutes}m` : ''}`;
+    };
+
+    const formatTime = (date) => new Date(date).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+
+    // 2d 03h 12m 05s
+    const formatCountdown = (ms) => {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const pad = (n) => String(n).padStart(2, '0');
+        const days = Math.floor(total / 86400);
+        const clock = `${pad(Math.floor(total / 3600) % 24)}h ${pad(Math.floor(total / 60) % 60)}m ${pad(total % 60)}s`;
+        return days > 0 ? `${days}d ${clock}` : clock;
+    };
+
+    // ISO date to the value of a datetime-local input, in the browser's time zone
+    const toLocalInput = (iso) => {
+        const date = new Date(iso);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+
     const getStatusColor = (status) => {
         switch (status) {
             case 'REGISTERED': return 'text-green-400 border-green-400 bg-green-400/10';
@@ -128,6 +806,8 @@ function App() {
             case 'NEEDS_INVITE': return 'text-yellow-400 border-yellow-400 bg-yellow-400/10';
             case 'CHECKING': return 'text-blue-400 border-blue-400 bg-blue-400/10';
             case 'ERROR': return 'text-red-400 border-red-400 bg-red-400/10';
+            case 'DOWN': return 'text-rose-500 border-rose-500 bg-rose-500/10';
+            case 'CHANGED': return 'text-orange-400 border-orange-400 bg-orange-400/10';
             default: return 'text-gray-400 border-gray-600 bg-gray-800';
         }
     };
@@ -143,6 +823,25 @@ function App() {
                     <h1 className="text-2xl font-bold tracking-wider">FORUM_SNIPER <span className="text-xs font-normal text-gray-500">v1.1.0 AI</span></h1>
                 </div>
                 <div className="flex gap-3">
+                    <a
+                        href={`${API_URL}/api/openings.ics`}
+                        title="iCal feed of expected openings, subscribe to it from your calendar app"
+                        className="flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-gray-300 px-4 py-2 rounded transition-colors"
+                    >
+                        <CalendarClock className="w-4 h-4" /> ICAL
+                    </a>
+                    <button
+                        onClick={openNotifications}
+                        className="flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-gray-300 px-4 py-2 rounded transition-colors"
+                    >
+                        <Bell className="w-4 h-4" /> NOTIFY
+                    </button>
+                    <button
+                        onClick={() => openLogs()}
+                        className="flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-gray-300 px-4 py-2 rounded transition-colors"
+                    >
+                        <ListFilter className="w-4 h-4" /> LOGS
+                    </button>
                     <button
                         onClick={() => setShowSettings(true)}
                         className="flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-gray-300 px-4 py-2 rounded transition-colors"
@@ -155,6 +854,12 @@ function App() {
                     >
                         <Search className="w-4 h-4" /> ANALYZE
                     </button>
+                    <button
+                        onClick={openBulkImport}
+                        className="flex items-center gap-2 bg-gray-800 hover:bg-gray-700 text-gray-300 px-4 py-2 rounded transition-colors"
+                    >
+                        <Upload className="w-4 h-4" /> IMPORT
+                    </button>
                     <button
                         onClick={() => openAddForm()}
                         className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded transition-colors"
@@ -198,10 +903,81 @@ function App() {
                 </div>
             </div>
 
+            {/* Check Queue */}
+            <div className="mb-8 bg-gray-900 border border-blue-500/30 p-4 rounded-lg flex flex-wrap items-center gap-6 text-xs">
+                <div>
+                    <div className="text-gray-400 font-bold uppercase tracking-wider">Active Checks</div>
+                    <div className="text-2xl font-bold text-blue-400">{queueStats.activeCount}<span className="text-sm text-gray-600"> / {queueStats.concurrency}</span></div>
+                </div>
+                <div>
+                    <div className="text-gray-400 font-bold uppercase tracking-wider">Queued</div>
+                    <div className="text-2xl font-bold text-gray-300">{queueStats.queueDepth}</div>
+                </div>
+                <div className="flex-1 flex flex-wrap gap-2">
+                    {queueStats.active.map(job => (
+                        <span key={job.jobId} className="px-2 py-1 bg-blue-600/20 text-blue-300 rounded truncate max-w-[220px]" title={`Running since ${formatTime(job.startedAt)} (attempt ${job.attempt})`}>▶ {job.kind === 'dry-run' && '[dry run] '}{job.url}</span>
+                    ))}
+                    {queueStats.queued.map(job => (
+                        <span
+                            key={job.jobId}
+                            className={`px-2 py-1 rounded truncate max-w-[220px] ${job.attempts > 0 ? 'bg-red-900/30 text-red-300' : 'bg-gray-800 text-gray-400'}`}
+                            title={job.attempts > 0 ? `Retry after ${formatTime(job.runAfter)} — last error: ${job.lastError}` : 'Waiting for a free slot'}
+                        >
+                            {job.attempts > 0 ? '↻' : '…'} {job.url}
+                        </span>
+                    ))}
+                </div>
+            </div>
+
+            {/* Filters */}
+            {targets.length > 0 && (
+                <div className="mb-6 flex flex-wrap items-center gap-2 text-xs">
+                    <input
+                        type="text"
+                        placeholder="Search URL, pseudo, notes..."
+                        className="bg-black border border-gray-700 rounded px-2 py-1 w-56 focus:border-blue-500 outline-none"
+                        value={filters.search}
+                        onChange={e => setFilters({ ...filters, search: e.target.value })}
+                    />
+                    <select
+                        className="bg-black border border-gray-700 rounded px-2 py-1"
+                        value={filters.sort}
+                        onChange={e => setFilters({ ...filters, sort: e.target.value })}
+                    >
+                        <option value="">Sort: added</option>
+                        <option value="priority">Sort: priority</option>
+                        <option value="nextCheck">Sort: next check</option>
+                    </select>
+                    {allStatuses.map(status => (
+                        <button
+                            key={status}
+                            onClick={() => toggleFilter('statuses', status)}
+                            className={`px-2 py-0.5 border rounded font-bold ${filters.statuses.includes(status) ? getStatusColor(status) : 'border-gray-800 text-gray-600 hover:text-gray-400'}`}
+                        >
+                            {status}
+                        </button>
+                    ))}
+                    {allTags.map(tag => (
+                        <button
+                            key={tag}
+                            onClick={() => toggleFilter('tags', tag)}
+                            className={`flex items-center gap-1 px-2 py-0.5 rounded ${filters.tags.includes(tag) ? 'bg-blue-600/40 text-blue-200' : 'bg-gray-800 text-gray-500 hover:text-gray-300'}`}
+                        >
+                            <Tag className="w-3 h-3" /> {tag}
+                        </button>
+                    ))}
+                    {(filters.tags.length > 0 || filters.statuses.length > 0 || search) && (
+                        <button onClick={() => setFilters({ ...filters, tags: [], statuses: [], search: '' })} className="text-gray-500 hover:text-gray-300 flex items-center gap-1">
+                            <X className="w-3 h-3" /> {visibleTargets.length}/{targets.length}
+                        </button>
+                    )}
+                </div>
+            )}
+
             {/* Target Grid */}
             <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-                {targets.map(target => (
-                    <div key={target.id} className={`border rounded-lg p-4 bg-gray-900 flex flex-col h-[400px] transition-all ${getStatusColor(target.status).split(' ')[1]}`}>
+                {visibleTargets.map(target => (
+                    <div key={target.id} className={`border rounded-lg p-4 bg-gray-900 flex flex-col h-[400px] transition-all ${getStatusColor(target.status).split(' ')[1]} ${target.enabled === false ? 'opacity-60' : ''}`}>
                         {/* Card Header */}
                         <div className="flex justify-between items-start mb-4">
                             <div>
@@ -209,17 +985,208 @@ function App() {
                                 <div className="text-xs text-gray-500 mt-1 flex items-center gap-1">
                                     <ShieldAlert className="w-3 h-3" /> {target.username || 'Anonymous'}
                                 </div>
+                                {(target.tags?.length > 0 || (target.priority && target.priority !== 'normal')) && (
+                                    <div className="flex flex-wrap items-center gap-1 mt-1 max-w-[200px]">
+                                        {target.priority === 'high' && <span className="px-1 text-[10px] font-bold text-red-300 bg-red-600/30 rounded">HIGH</span>}
+                                        {target.priority === 'low' && <span className="px-1 text-[10px] font-bold text-gray-400 bg-gray-700/50 rounded">LOW</span>}
+                                        {(target.tags || []).map(tag => (
+                                            <button key={tag} onClick={() => toggleFilter('tags', tag)} className="px-1 text-[10px] text-blue-300 bg-blue-600/20 rounded hover:bg-blue-600/40" title="Filter by this tag">
+                                                #{tag}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
-                            <div className={`px-2 py-1 text-xs font-bold border rounded ${getStatusColor(target.status)}`}>
-                                {target.status}
+                            <div className="flex flex-col items-end gap-1">
+                                <div className="flex items-center gap-1">
+                                    {['ERROR', 'DOWN', 'CLOSED'].includes(target.status) && target.failureReason && (
+                                        <span className="px-1.5 py-0.5 text-[10px] font-mono text-gray-300 bg-gray-800 border border-gray-700 rounded" title="Failure reason">
+                                            {target.failureReason}
+                                        </span>
+                                    )}
+                                    <div className={`px-2 py-1 text-xs font-bold border rounded ${getStatusColor(target.status)}`}>
+                                        {target.status}
+                                    </div>
+                                </div>
+                                {target.type === 'watch' && (
+                                    <span className="flex items-center gap-1 text-[10px] text-cyan-400" title={`Watching ${target.watch?.selector || 'the whole page'} (${target.watch?.fetchMode})`}>
+                                        <Globe className="w-3 h-3" /> WATCH {target.watch?.selector && <span className="font-mono normal-case">{target.watch.selector}</span>}
+                                    </span>
+                                )}
+                                {target.type !== 'watch' && target.mode === 'monitor' && (
+                                    <span className="flex items-center gap-1 text-[10px] text-cyan-400" title="Monitor only: forms are never filled or submitted">
+                                        <Eye className="w-3 h-3" /> MONITOR
+                                    </span>
+                                )}
+                                {target.formChangedAt && Date.now() - new Date(target.formChangedAt).getTime() < 7 * 24 * 60 * 60 * 1000 && (
+                                    <span
+                                        className="flex items-center gap-1 text-[10px] text-orange-400"
+                                        title={`Form changed ${new Date(target.formChangedAt).toLocaleString('fr-FR')}:\n${(target.formChanges || []).join('\n')}`}
+                                    >
+                                        <FileDiff className="w-3 h-3" /> FORM CHANGED
+                                    </span>
+                                )}
+                                {target.domainMove && !target.domainMove.confirmed && !target.domainMove.dismissed && (
+                                    <span className="flex items-center gap-1 text-[10px] text-gray-400" title={`Redirected to ${target.domainMove.to}, confirmed after a second check`}>
+                                        <ArrowRight className="w-3 h-3" /> {target.domainMove.host} ({target.domainMove.seenCount}/2)
+                                    </span>
+                                )}
+                                {queueStats.queued.some(job => job.targetId === target.id) && (
+                                    <span className="text-[10px] text-gray-500">QUEUED</span>
+                                )}
+                                {target.enabled === false && (
+                                    <span className="flex items-center gap-1 text-[10px] text-gray-400" title="Paused: the scheduler skips this target, manual checks still run">
+                                        <PauseCircle className="w-3 h-3" /> PAUSED
+                                    </span>
+                                )}
                             </div>
                         </div>
 
+                        {target.domainMove?.confirmed && !target.domainMove.dismissed && (
+                            <div className="mb-2 flex items-center gap-2 text-xs bg-orange-900/20 border border-orange-700 rounded p-2">
+                                <ArrowRight className="w-4 h-4 text-orange-400 shrink-0" />
+                                <span className="flex-1 truncate" title={target.domainMove.to}>MOVED TO <span className="text-orange-300 font-bold">{target.domainMove.host}</span></span>
+                                <button onClick={() => promoteDomain(target)} className="px-2 py-0.5 bg-orange-600 hover:bg-orange-700 text-white rounded font-bold">PROMOTE</button>
+                                <button onClick={() => fetch(`${API_URL}/api/targets/${target.id}/domain-move/dismiss`, { method: 'POST' })} className="px-2 py-0.5 hover:bg-gray-800 rounded text-gray-400">DISMISS</button>
+                            </div>
+                        )}
+
+                        {editing?.id === target.id ? (
+                            <form onSubmit={e => saveEditing(e, target)} className="flex-1 overflow-y-auto logs-scrollbar space-y-2 text-xs">
+                                <div>
+                                    <label className="block text-gray-500 mb-0.5">URL</label>
+                                    <input
+                                        required
+                                        type="text"
+                                        className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                        value={editing.url}
+                                        onChange={e => setEditing({ ...editing, url: e.target.value })}
+                                    />
+                                </div>
+                                {target.type !== 'watch' && (
+                                    <div className="grid grid-cols-3 gap-2">
+                                        <div>
+                                            <label className="block text-gray-500 mb-0.5">PSEUDO</label>
+                                            <input
+                                                type="text"
+                                                className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                                value={editing.pseudo}
+                                                onChange={e => setEditing({ ...editing, pseudo: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-gray-500 mb-0.5">EMAIL</label>
+                                            <input
+                                                type="email"
+                                                className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                                value={editing.email}
+                                                onChange={e => setEditing({ ...editing, email: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-gray-500 mb-0.5">PASSWORD</label>
+                                            <div className="flex items-center gap-1">
+                                                <input
+                                                    type="password"
+                                                    className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                                    value={editing.password}
+                                                    onChange={e => setEditing({ ...editing, password: e.target.value })}
+                                                />
+                                                {target.password && revealButton(revealTargetPassword)}
+                                            </div>
+                                        </div>
+                                    </div>
+                                )}
+                                <div className="grid grid-cols-3 gap-2">
+                                    <div className="col-span-2">
+                                        <label className="block text-gray-500 mb-0.5">TAGS (COMMA SEPARATED)</label>
+                                        <input
+                                            type="text"
+                                            placeholder="tracker, fr"
+                                            className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                            value={editing.tags}
+                                            onChange={e => setEditing({ ...editing, tags: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-gray-500 mb-0.5">PRIORITY</label>
+                                        <select
+                                            className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                            value={editing.priority}
+                                            onChange={e => setEditing({ ...editing, priority: e.target.value })}
+                                        >
+                                            <option value="high">High</option>
+                                            <option value="normal">Normal</option>
+                                            <option value="low">Low</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="block text-gray-500 mb-0.5">NOTES</label>
+                                    <textarea
+                                        rows={3}
+                                        className="w-full bg-black border border-gray-700 rounded p-1.5 focus:border-blue-500 outline-none"
+                                        value={editing.notes}
+                                        onChange={e => setEditing({ ...editing, notes: e.target.value })}
+                                    />
+                                </div>
+                                {editing.error && <div className="text-red-400">{editing.error}</div>}
+                                <div className="flex justify-end gap-2">
+                                    <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 hover:bg-gray-800 rounded transition">CANCEL</button>
+                                    <button type="submit" className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded font-bold transition">SAVE</button>
+                                </div>
+                            </form>
+                        ) : (<>
                         {/* Info */}
                         <div className="grid grid-cols-2 gap-2 text-xs mb-4 text-gray-400 bg-black/20 p-2 rounded">
                             <div>USER: <span className="text-gray-300">{target.pseudo}</span></div>
                             <div>PASS: <span className="text-gray-300">******</span></div>
-                            <div className="col-span-2">LAST CHECK: {target.lastCheck ? new Date(target.lastCheck).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false }) : 'NEVER'}</div>
+                            <div className="col-span-2">LAST CHECK: {target.lastCheck ? formatTime(target.lastCheck) : 'NEVER'}</div>
+                            {target.uptime?.['30d'] != null && (
+                                <div className="col-span-2" title="Share of checks that reached the site (not DOWN)">
+                                    UPTIME: {['24h', '7d', '30d'].map(period => (
+                                        <span key={period} className="mr-2">
+                                            <span className="text-gray-600">{period}</span>{' '}
+                                            <span className={target.uptime[period] == null ? 'text-gray-600' : target.uptime[period] >= 99 ? 'text-green-400' : target.uptime[period] >= 90 ? 'text-yellow-400' : 'text-rose-400'}>
+                                                {target.uptime[period] == null ? '—' : `${target.uptime[period]}%`}
+                                            </span>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                            <div className="col-span-2">NEXT CHECK: <span className="text-gray-300">{target.nextCheckAt ? new Date(target.nextCheckAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' }) : 'MANUAL'}</span> <span className="text-gray-600">({formatSchedule(target.schedule)})</span>
+                                {target.nextCheckReason && <span className="text-blue-400"> · {target.nextCheckReason}</span>}
+                            </div>
+                            {target.pattern?.learned && (
+                                <div className="col-span-2 flex items-center gap-2 truncate" title={`Learned from ${target.pattern.sampleSize} checks${target.schedule?.adaptive === false ? ' (not applied, adaptive scheduling is off)' : ''}`}>
+                                    <TrendingUp className={`w-3 h-3 ${target.schedule?.adaptive === false ? 'text-gray-600' : 'text-blue-400'}`} />
+                                    <span className="text-gray-400 truncate">{target.pattern.summary}</span>
+                                </div>
+                            )}
+                            {target.expectedOpening && (
+                                <div className="col-span-2 flex items-center gap-2" title={`"${target.expectedOpening.text}" (${target.expectedOpening.source === 'manual' ? 'set manually' : 'found on the page'})`}>
+                                    <CalendarClock className="w-3 h-3 text-yellow-400" />
+                                    {new Date(target.expectedOpening.at).getTime() > now ? (
+                                        <span className="text-yellow-300 font-bold">OPENS IN {formatCountdown(new Date(target.expectedOpening.at).getTime() - now)}</span>
+                                    ) : (
+                                        <span className="text-gray-400">ANNOUNCED FOR</span>
+                                    )}
+                                    <span className="text-gray-500">{new Date(target.expectedOpening.at).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })}</span>
+                                    <button onClick={() => setExpectedOpening(target, null)} className="ml-auto text-gray-600 hover:text-gray-300" title="Forget this opening date">
+                                        <X className="w-3 h-3" />
+                                    </button>
+                                </div>
+                            )}
+                            {target.notes && (
+                                <div className="col-span-2 truncate italic text-gray-500" title={target.notes}>
+                                    {target.notes}
+                                </div>
+                            )}
+                            {target.aliases?.length > 0 && (
+                                <div className="col-span-2 truncate" title={target.aliases.map(a => `${a.url} (${a.kind})`).join('\n')}>
+                                    MIRRORS: <span className="text-gray-300">{target.aliases.map(a => new URL(a.url).hostname).join(', ')}</span>
+                                </div>
+                            )}
                             {target.forumType && (
                                 <div className="col-span-2 flex items-center gap-2">
                                     <span className="text-gray-500">TYPE:</span>
@@ -234,6 +1201,16 @@ function App() {
                                     ))}
                                 </div>
                             )}
+                            {target.formFields?.length > 0 && (
+                                <div className="col-span-2 flex items-center gap-2 flex-wrap">
+                                    <span className="text-gray-500">FORM:</span>
+                                    {target.formFields.map((f, i) => (
+                                        <span key={i} className="px-1.5 py-0.5 bg-gray-700/50 text-gray-300 rounded text-xs" title={f.label || ''}>
+                                            {f.name || f.type}{f.required ? '*' : ''}
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
                             {target.invitationCodes?.length > 0 && (
                                 <div className="col-span-2 flex items-center gap-2 flex-wrap">
                                     <span className="text-gray-500">CODES:</span>
@@ -248,16 +1225,20 @@ function App() {
                         <div className="flex-1 bg-black rounded p-2 overflow-hidden flex flex-col font-mono text-xs border border-gray-800">
                             <div className="flex items-center gap-2 text-gray-500 mb-2 border-b border-gray-800 pb-1">
                                 <Terminal className="w-3 h-3" /> LIVE LOGS
+                                <button onClick={() => openLogs({ targetId: target.id })} className="ml-auto hover:text-gray-300" title="Search all logs of this target">
+                                    <ListFilter className="w-3 h-3" />
+                                </button>
                             </div>
                             <div className="flex-1 overflow-y-auto logs-scrollbar space-y-1">
-                                {target.logs.map((log, i) => (
-                                    <div key={i} className="truncate text-green-500/80 hover:text-green-400 break-all whitespace-pre-wrap">
-                                        {log}
+                                {target.logs.map(log => (
+                                    <div key={log.id} className={`truncate hover:brightness-125 break-all whitespace-pre-wrap ${getLogColor(log.level)}`}>
+                                        [{formatTime(log.timestamp)}] {log.message}
                                     </div>
                                 ))}
                                 {target.logs.length === 0 && <span className="text-gray-700 italic">Waiting for activity...</span>}
                             </div>
                         </div>
+                        </>)}
 
                         {/* Actions */}
                         <div className="mt-4 flex justify-end gap-2 border-t border-gray-800 pt-3">
@@ -269,6 +1250,59 @@ function App() {
                             >
                                 <PlayCircle className="w-4 h-4" />
                             </button>
+                            {(target.status === 'CHECKING' || queueStats.queued.some(job => job.targetId === target.id)) && (
+                                <button
+                                    onClick={() => fetch(`${API_URL}/api/targets/${target.id}/cancel`, { method: 'POST' })}
+                                    className="text-gray-500 hover:text-orange-400 p-1"
+                                    title="Cancel Check"
+                                >
+                                    <StopCircle className="w-4 h-4" />
+                                </button>
+                            )}
+                            {target.type === 'watch' ? (
+                                <button onClick={() => openWatchDiff(target)} className="text-gray-500 hover:text-orange-400 p-1" title="View Changes">
+                                    <FileDiff className="w-4 h-4" />
+                                </button>
+                            ) : (<>
+                                <button
+                                    onClick={() => fetch(`${API_URL}/api/targets/${target.id}/mode`, {
+                                        method: 'PUT',
+                                        headers: { 'Content-Type': 'application/json' },
+                                        body: JSON.stringify({ mode: target.mode === 'monitor' ? 'auto-register' : 'monitor' })
+                                    })}
+                                    className={`p-1 ${target.mode === 'monitor' ? 'text-cyan-400 hover:text-gray-300' : 'text-gray-500 hover:text-cyan-400'}`}
+                                    title={target.mode === 'monitor' ? 'Monitor only: click to allow auto-registration' : 'Auto-register: click to switch to monitor only'}
+                                >
+                                    <Eye className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => startDryRun(target)}
+                                    disabled={target.status === 'CHECKING'}
+                                    className={`p-1 ${target.status === 'CHECKING' ? 'text-gray-700 cursor-not-allowed' : 'text-gray-500 hover:text-yellow-400'}`}
+                                    title="Dry Run: preview what would be filled, without submitting"
+                                >
+                                    <FlaskConical className="w-4 h-4" />
+                                </button>
+                            </>)}
+                            <button onClick={() => openHistory(target)} className="text-gray-500 hover:text-purple-400 p-1" title="Check History">
+                                <History className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => openScheduleEditor(target)} className="text-gray-500 hover:text-blue-400 p-1" title="Edit Schedule">
+                                <Clock className="w-4 h-4" />
+                            </button>
+                            <button
+                                onClick={() => patchTarget(target.id, { enabled: target.enabled === false })}
+                                className="text-gray-500 hover:text-yellow-400 p-1"
+                                title={target.enabled === false ? 'Resume scheduled checks' : 'Pause scheduled checks'}
+                            >
+                                {target.enabled === false ? <PlayCircle className="w-4 h-4 text-yellow-400" /> : <PauseCircle className="w-4 h-4" />}
+                            </button>
+                            <button onClick={() => (editing?.id === target.id ? setEditing(null) : startEditing(target))} className="text-gray-500 hover:text-blue-400 p-1" title="Edit Target">
+                                <Pencil className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => openDomains(target)} className="text-gray-500 hover:text-orange-400 p-1" title="Mirrors & Aliases">
+                                <Link2 className="w-4 h-4" />
+                            </button>
                             <button onClick={() => deleteTarget(target.id)} className="text-gray-500 hover:text-red-500 p-1">
                                 <Trash2 className="w-4 h-4" />
                             </button>
@@ -296,45 +1330,94 @@ function App() {
                                     <label className="block text-xs text-gray-400 mb-1">TARGET URL</label>
                                     <input
                                         required
-                                        type="url"
+                                        type="text"
                                         placeholder="https://forum.example.com/register"
                                         className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none transition-colors"
                                         value={newTarget.url}
                                         onChange={e => setNewTarget({ ...newTarget, url: e.target.value })}
                                     />
                                 </div>
-                                <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-xs text-gray-400 mb-1">TYPE</label>
+                                    <select
+                                        className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
+                                        value={newTarget.type}
+                                        onChange={e => setNewTarget({ ...newTarget, type: e.target.value })}
+                                    >
+                                        <option value="registration">Registration form</option>
+                                        <option value="watch">Watch page text (news, banner...)</option>
+                                    </select>
+                                </div>
+                                {newTarget.type === 'watch' ? (
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">CSS SELECTOR (OPTIONAL)</label>
+                                            <input
+                                                type="text"
+                                                placeholder="#news, .banner"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none font-mono"
+                                                value={newTarget.watch.selector}
+                                                onChange={e => setNewTarget({ ...newTarget, watch: { ...newTarget.watch, selector: e.target.value } })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">FETCH WITH</label>
+                                            <select
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
+                                                value={newTarget.watch.fetchMode}
+                                                onChange={e => setNewTarget({ ...newTarget, watch: { ...newTarget.watch, fetchMode: e.target.value } })}
+                                            >
+                                                <option value="browser">Browser (JavaScript pages)</option>
+                                                <option value="fetch">Plain HTTP (static pages)</option>
+                                            </select>
+                                        </div>
+                                    </div>
+                                ) : (<>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">PSEUDO</label>
+                                            <input
+                                                required
+                                                type="text"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
+                                                value={newTarget.pseudo}
+                                                onChange={e => setNewTarget({ ...newTarget, pseudo: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">PASSWORD</label>
+                                            <input
+                                                required
+                                                type="password"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
+                                                value={newTarget.password}
+                                                onChange={e => setNewTarget({ ...newTarget, password: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
                                     <div>
-                                        <label className="block text-xs text-gray-400 mb-1">PSEUDO</label>
+                                        <label className="block text-xs text-gray-400 mb-1">EMAIL</label>
                                         <input
                                             required
-                                            type="text"
+                                            type="email"
                                             className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
-                                            value={newTarget.pseudo}
-                                            onChange={e => setNewTarget({ ...newTarget, pseudo: e.target.value })}
+                                            value={newTarget.email}
+                                            onChange={e => setNewTarget({ ...newTarget, email: e.target.value })}
                                         />
                                     </div>
                                     <div>
-                                        <label className="block text-xs text-gray-400 mb-1">PASSWORD</label>
-                                        <input
-                                            required
-                                            type="password"
+                                        <label className="block text-xs text-gray-400 mb-1">MODE</label>
+                                        <select
                                             className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
-                                            value={newTarget.password}
-                                            onChange={e => setNewTarget({ ...newTarget, password: e.target.value })}
-                                        />
+                                            value={newTarget.mode}
+                                            onChange={e => setNewTarget({ ...newTarget, mode: e.target.value })}
+                                        >
+                                            <option value="auto-register">Auto-register (fill and submit the form)</option>
+                                            <option value="monitor">Monitor only (never fill or submit)</option>
+                                        </select>
                                     </div>
-                                </div>
-                                <div>
-                                    <label className="block text-xs text-gray-400 mb-1">EMAIL</label>
-                                    <input
-                                        required
-                                        type="email"
-                                        className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
-                                        value={newTarget.email}
-                                        onChange={e => setNewTarget({ ...newTarget, email: e.target.value })}
-                                    />
-                                </div>
+                                </>)}
+                                {addError && <div className="text-xs text-red-400">{addError}</div>}
                                 <div className="flex justify-end gap-3 mt-6">
                                     <button
                                         type="button"
@@ -356,76 +1439,1350 @@ function App() {
                 )
             }
 
-            {/* AI Settings Modal */}
+            {/* Bulk Import Modal */}
             {
-                showSettings && (
+                bulkImport && (
                     <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
-                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-md shadow-2xl">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-2xl shadow-2xl max-h-[90vh] overflow-y-auto">
                             <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
-                                <Terminal className="w-5 h-5 text-blue-500" /> AI Configuration
+                                <Upload className="w-5 h-5 text-red-500" /> Bulk Import
                             </h2>
-                            <form onSubmit={saveSettings} className="space-y-4">
-                                <div className="bg-blue-900/20 border border-blue-900 p-3 rounded text-xs text-blue-200 mb-4">
-                                    Global configuration for AI and default credentials.
+                            <form onSubmit={runBulkImport} className="space-y-4">
+                                <div>
+                                    <label className="block text-xs text-gray-400 mb-1">URLS (ONE PER LINE, # FOR COMMENTS)</label>
+                                    <textarea
+                                        rows={8}
+                                        placeholder={'https://forum.example.com/\nhttp://www.other-forum.org/register.php'}
+                                        className="w-full bg-black border border-gray-700 rounded p-2 text-sm font-mono focus:border-red-500 outline-none"
+                                        value={bulkImport.text}
+                                        onChange={e => setBulkImport({ ...bulkImport, text: e.target.value })}
+                                    />
+                                    <input
+                                        type="file"
+                                        accept=".txt,.csv,.list,text/plain"
+                                        className="mt-2 text-xs text-gray-400"
+                                        onChange={e => loadImportFile(e.target.files[0])}
+                                    />
                                 </div>
-
-                                <div className="space-y-4 border-b border-gray-700 pb-4 mb-4">
-                                    <h3 className="text-sm font-bold text-gray-300">Services</h3>
+                                <div className="grid grid-cols-2 gap-4">
                                     <div>
-                                        <label className="block text-xs text-gray-400 mb-1">OPENROUTER API KEY</label>
-                                        <input
-                                            type="password"
-                                            placeholder="sk-or-..."
-                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none transition-colors"
-                                            value={settingsForm.openRouterKey}
-                                            onChange={e => setSettingsForm({ ...settingsForm, openRouterKey: e.target.value })}
-                                        />
+                                        <label className="block text-xs text-gray-400 mb-1">TYPE</label>
+                                        <select
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
+                                            value={bulkImport.type}
+                                            onChange={e => setBulkImport({ ...bulkImport, type: e.target.value })}
+                                        >
+                                            <option value="registration">Registration form</option>
+                                            <option value="watch">Watch page text</option>
+                                        </select>
                                     </div>
-                                    <div>
-                                        <label className="block text-xs text-gray-400 mb-1">FLARESOLVERR URL</label>
-                                        <input
-                                            type="url"
-                                            placeholder="http://localhost:8191"
-                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none transition-colors"
-                                            value={settingsForm.flaresolverr_url}
-                                            onChange={e => setSettingsForm({ ...settingsForm, flaresolverr_url: e.target.value })}
-                                        />
-                                        <p className="text-[10px] text-gray-500 mt-1">Required to bypass Cloudflare on protected forums.</p>
+                                    {bulkImport.type === 'registration' && (
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">MODE</label>
+                                            <select
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-red-500 outline-none"
+                                                value={bulkImport.mode}
+                                                onChange={e => setBulkImport({ ...bulkImport, mode: e.target.value })}
+                                            >
+                                                <option value="auto-register">Auto-register</option>
+                                                <option value="monitor">Monitor only</option>
+                                            </select>
+                                        </div>
+                                    )}
+                                </div>
+                                <p className="text-[10px] text-gray-500">Credentials come from the defaults in AI CONFIG. URLs are normalised, and a site that is already tracked (mirrors included) is merged instead of added twice.</p>
+                                {bulkImport.error && <div className="text-xs text-red-400">{bulkImport.error}</div>}
+
+                                {bulkImport.report && (
+                                    <div className="space-y-2 text-xs">
+                                        <div className="flex gap-4 font-bold">
+                                            <span className="text-green-400">{bulkImport.report.added.length} ADDED</span>
+                                            <span className="text-blue-400">{bulkImport.report.merged.length} MERGED</span>
+                                            <span className="text-red-400">{bulkImport.report.rejected.length} REJECTED</span>
+                                        </div>
+                                        <div className="bg-black/40 border border-gray-800 rounded p-2 max-h-48 overflow-y-auto font-mono space-y-1">
+                                            {bulkImport.report.added.map(entry => (
+                                                <div key={`a-${entry.targetId}`} className="text-green-400 truncate">+ {entry.url}</div>
+                                            ))}
+                                            {bulkImport.report.merged.map((entry, i) => (
+                                                <div key={`m-${i}`} className="text-blue-400 truncate" title={entry.input}>= {entry.url} <span className="text-gray-500">→ {entry.into}</span></div>
+                                            ))}
+                                            {bulkImport.report.rejected.map((entry, i) => (
+                                                <div key={`r-${i}`} className="text-red-400 truncate" title={entry.reason}>✕ {entry.input} <span className="text-gray-500">{entry.reason}</span></div>
+                                            ))}
+                                        </div>
                                     </div>
+                                )}
+
+                                <div className="flex justify-end gap-3 mt-6">
+                                    <button
+                                        type="button"
+                                        onClick={() => setBulkImport(null)}
+                                        className="px-4 py-2 hover:bg-gray-800 rounded transition"
+                                    >
+                                        CLOSE
+                                    </button>
+                                    <button
+                                        type="submit"
+                                        disabled={bulkImport.loading || !bulkImport.text.trim()}
+                                        className="bg-red-600 hover:bg-red-700 disabled:opacity-50 px-4 py-2 rounded font-bold transition"
+                                    >
+                                        {bulkImport.loading ? 'IMPORTING...' : 'IMPORT'}
+                                    </button>
                                 </div>
+                            </form>
+                        </div>
+                    </div>
+                )
+            }
 
-                                <div className="space-y-4">
-                                    <h3 className="text-sm font-bold text-gray-300">Default Credentials</h3>
-                                    <p className="text-xs text-gray-500">Automatically applied to new targets found by Reddit or added manually.</p>
+            {/* Schedule Modal */}
+            {
+                scheduleTarget && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-md shadow-2xl">
+                            <h2 className="text-xl font-bold mb-1 flex items-center gap-2">
+                                <Clock className="w-5 h-5 text-blue-400" /> Check Schedule
+                            </h2>
+                            <p className="text-xs text-gray-500 mb-4 truncate" title={scheduleTarget.url}>{scheduleTarget.url}</p>
+                            <form onSubmit={saveSchedule} className="space-y-4">
+                                <div>
+                                    <label className="block text-xs text-gray-400 mb-1">MODE</label>
+                                    <select
+                                        className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                        value={scheduleForm.type}
+                                        onChange={e => setScheduleForm({ ...scheduleForm, type: e.target.value })}
+                                    >
+                                        <option value="interval">Interval</option>
+                                        <option value="cron">Cron expression</option>
+                                        <option value="manual">Manual only</option>
+                                    </select>
+                                </div>
 
+                                {scheduleForm.type === 'interval' && (
                                     <div className="grid grid-cols-2 gap-4">
                                         <div>
-                                            <label className="block text-xs text-gray-400 mb-1">DEFAULT PSEUDO</label>
+                                            <label className="block text-xs text-gray-400 mb-1">EVERY (MINUTES)</label>
                                             <input
-                                                type="text"
+                                                required
+                                                type="number"
+                                                min="1"
                                                 className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
-                                                value={settingsForm.defaultPseudo}
-                                                onChange={e => setSettingsForm({ ...settingsForm, defaultPseudo: e.target.value })}
+                                                value={scheduleForm.intervalMinutes}
+                                                onChange={e => setScheduleForm({ ...scheduleForm, intervalMinutes: Number(e.target.value) })}
                                             />
                                         </div>
                                         <div>
-                                            <label className="block text-xs text-gray-400 mb-1">DEFAULT PASSWORD</label>
+                                            <label className="block text-xs text-gray-400 mb-1">JITTER (± MINUTES)</label>
                                             <input
-                                                type="text"
+                                                type="number"
+                                                min="0"
                                                 className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
-                                                value={settingsForm.defaultPassword}
-                                                onChange={e => setSettingsForm({ ...settingsForm, defaultPassword: e.target.value })}
+                                                value={scheduleForm.jitterMinutes}
+                                                onChange={e => setScheduleForm({ ...scheduleForm, jitterMinutes: Number(e.target.value) })}
+                                            />
+                                        </div>
+                                        <label className="col-span-2 flex items-center gap-2 text-sm text-gray-300">
+                                            <input
+                                                type="checkbox"
+                                                checked={scheduleForm.adaptive}
+                                                onChange={e => setScheduleForm({ ...scheduleForm, adaptive: e.target.checked })}
                                             />
+                                            Adapt to the learned opening pattern
+                                        </label>
+                                    </div>
+                                )}
+
+                                <div className="bg-black/30 border border-gray-800 rounded p-3 text-xs space-y-1">
+                                    <div className="text-gray-400 flex items-center gap-2"><TrendingUp className="w-3 h-3 text-blue-400" /> LEARNED PATTERN</div>
+                                    <div className="text-gray-300">{scheduleTarget.pattern?.summary || 'No history yet'}</div>
+                                    {scheduleTarget.pattern?.learned && (
+                                        <div className="text-gray-500">
+                                            {scheduleTarget.pattern.sampleSize} checks · {scheduleTarget.pattern.lastOpenedAt ? `last opened ${new Date(scheduleTarget.pattern.lastOpenedAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })}` : 'never seen open'}
                                         </div>
+                                    )}
+                                    <div className="text-gray-500">
+                                        Next check: <span className="text-gray-300">{scheduleTarget.nextCheckAt ? new Date(scheduleTarget.nextCheckAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' }) : 'manual'}</span>
+                                        {scheduleTarget.nextCheckReason && <span className="text-blue-400"> ({scheduleTarget.nextCheckReason})</span>}
                                     </div>
+                                    <p className="text-[10px] text-gray-600">Interval schedules check more often in recurring opening windows and back off on targets that never open.</p>
+                                </div>
+
+                                {scheduleForm.type === 'cron' && (
                                     <div>
-                                        <label className="block text-xs text-gray-400 mb-1">DEFAULT EMAIL</label>
+                                        <label className="block text-xs text-gray-400 mb-1">CRON (MIN HOUR DAY MONTH WEEKDAY)</label>
                                         <input
-                                            type="email"
-                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
-                                            value={settingsForm.defaultEmail}
-                                            onChange={e => setSettingsForm({ ...settingsForm, defaultEmail: e.target.value })}
+                                            required
+                                            type="text"
+                                            placeholder="*/5 18-23 * * 5,6"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none font-mono"
+                                            value={scheduleForm.cron}
+                                            onChange={e => setScheduleForm({ ...scheduleForm, cron: e.target.value })}
+                                        />
+                                        <p className="text-[10px] text-gray-500 mt-1">Evaluated in the server's local time.</p>
+                                    </div>
+                                )}
+
+                                {scheduleForm.type === 'manual' && (
+                                    <p className="text-xs text-gray-500">This target is only checked when you press "Run Check Now", or around its expected opening.</p>
+                                )}
+
+                                <div>
+                                    <label className="block text-xs text-gray-400 mb-1">EXPECTED OPENING</label>
+                                    <div className="flex gap-2">
+                                        <input
+                                            type="datetime-local"
+                                            className="flex-1 bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                            value={openingInput}
+                                            onChange={e => setOpeningInput(e.target.value)}
                                         />
+                                        {openingInput && (
+                                            <button type="button" onClick={() => setOpeningInput('')} className="px-3 hover:bg-gray-800 rounded transition" title="Clear">
+                                                <X className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                    </div>
+                                    <p className="text-[10px] text-gray-500 mt-1">
+                                        {scheduleTarget.expectedOpening?.source === 'page' ? `Found on the page: "${scheduleTarget.expectedOpening.text}". ` : ''}
+                                        Checks run in a burst around this time (see AI CONFIG).
+                                    </p>
+                                </div>
+
+                                {scheduleError && <div className="text-xs text-red-400">{scheduleError}</div>}
+
+                                <div className="flex justify-end gap-3 mt-6">
+                                    <button
+                                        type="button"
+                                        onClick={() => setScheduleTarget(null)}
+                                        className="px-4 py-2 hover:bg-gray-800 rounded transition"
+                                    >
+                                        CANCEL
+                                    </button>
+                                    <button
+                                        type="submit"
+                                        className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded font-bold transition"
+                                    >
+                                        SAVE SCHEDULE
+                                    </button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* Mirrors & Aliases Modal */}
+            {
+                domainsTarget && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-lg shadow-2xl">
+                            <h2 className="text-xl font-bold mb-1 flex items-center gap-2">
+                                <Link2 className="w-5 h-5 text-orange-400" /> Mirrors &amp; Aliases
+                            </h2>
+                            <p className="text-xs text-gray-500 mb-4 truncate" title={domainsTarget.target.url}>PRIMARY: {domainsTarget.target.url}</p>
+
+                            <div className="space-y-2 mb-4">
+                                {domainsTarget.aliases.map((alias, i) => (
+                                    <div key={alias.url} className="flex items-center gap-2 text-xs bg-black/30 border border-gray-800 rounded p-2">
+                                        <span className="flex-1 truncate text-gray-300" title={alias.url}>{alias.url}</span>
+                                        <select
+                                            className="bg-black border border-gray-700 rounded p-1"
+                                            value={alias.kind}
+                                            onChange={e => saveAliases(domainsTarget.aliases.map((a, j) => j === i ? { ...a, kind: e.target.value } : a))}
+                                        >
+                                            <option value="mirror">Mirror</option>
+                                            <option value="alias">Alias</option>
+                                        </select>
+                                        <button onClick={() => promoteDomain(domainsTarget.target, alias.url)} className="px-2 py-1 hover:bg-gray-800 rounded text-orange-400" title="Make this the primary URL">
+                                            PROMOTE
+                                        </button>
+                                        <button onClick={() => saveAliases(domainsTarget.aliases.filter((_, j) => j !== i))} className="p-1 text-gray-500 hover:text-red-500" title="Remove">
+                                            <Trash2 className="w-3 h-3" />
+                                        </button>
+                                    </div>
+                                ))}
+                                {domainsTarget.aliases.length === 0 && <div className="text-xs text-gray-600 italic">No mirrors or aliases yet.</div>}
+                            </div>
+
+                            <form
+                                onSubmit={e => {
+                                    e.preventDefault();
+                                    saveAliases([...domainsTarget.aliases, { url: domainsTarget.newUrl, kind: domainsTarget.newKind }]);
+                                }}
+                                className="flex gap-2"
+                            >
+                                <input
+                                    required
+                                    type="url"
+                                    placeholder="https://mirror.example.org/"
+                                    className="flex-1 bg-black border border-gray-700 rounded p-2 text-sm focus:border-blue-500 outline-none"
+                                    value={domainsTarget.newUrl}
+                                    onChange={e => setDomainsTarget({ ...domainsTarget, newUrl: e.target.value })}
+                                />
+                                <select
+                                    className="bg-black border border-gray-700 rounded p-2 text-sm"
+                                    value={domainsTarget.newKind}
+                                    onChange={e => setDomainsTarget({ ...domainsTarget, newKind: e.target.value })}
+                                >
+                                    <option value="mirror">Mirror</option>
+                                    <option value="alias">Alias</option>
+                                </select>
+                                <button type="submit" className="px-3 bg-orange-600 hover:bg-orange-700 text-white rounded">
+                                    <Plus className="w-4 h-4" />
+                                </button>
+                            </form>
+                            <p className="text-[10px] text-gray-500 mt-2">Mirrors are checked when the primary is DOWN. Aliases only keep Reddit from adding the same site twice.</p>
+                            {domainsTarget.error && <div className="text-xs text-red-400 mt-2">{domainsTarget.error}</div>}
+
+                            <div className="flex justify-end mt-6">
+                                <button onClick={() => setDomainsTarget(null)} className="px-4 py-2 hover:bg-gray-800 rounded transition">CLOSE</button>
+                            </div>
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* Watch Diff Modal */}
+            {
+                watchDiff && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-3xl shadow-2xl max-h-[90vh] flex flex-col">
+                            <h2 className="text-xl font-bold mb-1 flex items-center gap-2">
+                                <FileDiff className="w-5 h-5 text-orange-400" /> Page Changes
+                            </h2>
+                            <p className="text-xs text-gray-500 mb-4 truncate" title={watchDiff.target.url}>
+                                {watchDiff.target.url} — {watchDiff.target.watch?.selector || 'whole page'}
+                            </p>
+
+                            <div className="flex gap-4 flex-1 min-h-0">
+                                <div className="w-48 shrink-0 overflow-y-auto logs-scrollbar text-xs space-y-1">
+                                    {watchDiff.versions.map((v, i) => (
+                                        <button
+                                            key={v.id}
+                                            onClick={() => openWatchDiff(watchDiff.target, v.id)}
+                                            className={`block w-full text-left px-2 py-1 rounded ${watchDiff.to?.id === v.id ? 'bg-orange-600/30 text-orange-300' : 'text-gray-400 hover:bg-gray-800'}`}
+                                        >
+                                            {new Date(v.capturedAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })}
+                                            {i === watchDiff.versions.length - 1 && <span className="text-gray-600"> (baseline)</span>}
+                                        </button>
+                                    ))}
+                                    {watchDiff.versions.length === 0 && <div className="text-gray-600 italic">No version stored yet.</div>}
+                                </div>
+
+                                <div className="flex-1 overflow-y-auto logs-scrollbar bg-black border border-gray-800 rounded p-2 font-mono text-xs">
+                                    {watchDiff.error && <div className="text-gray-500 italic">{watchDiff.error}</div>}
+                                    {watchDiff.summary && <div className="text-gray-500 mb-2">{watchDiff.summary}</div>}
+                                    {watchDiff.diff.map((d, i) => (
+                                        <div
+                                            key={i}
+                                            className={`whitespace-pre-wrap break-all ${d.type === 'added' ? 'bg-green-900/30 text-green-300' : d.type === 'removed' ? 'bg-red-900/30 text-red-300 line-through' : 'text-gray-500'}`}
+                                        >
+                                            {d.type === 'added' ? '+ ' : d.type === 'removed' ? '- ' : '  '}{d.line}
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="flex justify-end mt-6">
+                                <button onClick={() => setWatchDiff(null)} className="px-4 py-2 hover:bg-gray-800 rounded transition">
+                                    CLOSE
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* Dry Run Modal */}
+            {
+                dryRun && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-2xl shadow-2xl max-h-[90vh] flex flex-col">
+                            <h2 className="text-xl font-bold mb-1 flex items-center gap-2">
+                                <FlaskConical className="w-5 h-5 text-yellow-400" /> Dry Run
+                            </h2>
+                            <p className="text-xs text-gray-500 mb-4 truncate" title={dryRun.target.url}>{dryRun.target.url}</p>
+
+                            <div className="flex-1 overflow-y-auto logs-scrollbar pr-2 text-sm">
+                                {dryRun.loading && <div className="text-gray-400 animate-pulse">Walking the site up to the form... nothing will be submitted.</div>}
+                                {dryRun.error && <div className="p-2 bg-red-900/20 border border-red-800 rounded text-red-300 text-xs break-all">{dryRun.error}</div>}
+
+                                {!dryRun.loading && !dryRun.error && !dryRun.plan && (
+                                    <div className="text-gray-400">
+                                        No fill plan: {dryRun.result?.needsInvite ? 'an invitation code is required.' : dryRun.result?.open ? 'the form could not be mapped.' : 'registration appears closed.'}
+                                    </div>
+                                )}
+
+                                {dryRun.plan && (
+                                    <>
+                                        <div className="flex flex-wrap items-center gap-2 text-xs mb-3">
+                                            <span className={`px-2 py-0.5 rounded font-bold ${dryRun.plan.source === 'ai' ? 'bg-purple-600/30 text-purple-300' : 'bg-blue-600/30 text-blue-300'}`}>
+                                                {dryRun.plan.source === 'ai' ? 'AI PLAN' : 'HEURISTIC PLAN'}
+                                            </span>
+                                            {dryRun.plan.forumType && <span className="px-1.5 py-0.5 bg-purple-600/30 text-purple-300 rounded">{dryRun.plan.forumType}</span>}
+                                            {dryRun.result?.captcha && <span className="px-1.5 py-0.5 bg-red-600/30 text-red-300 rounded">CAPTCHA</span>}
+                                            <span className="text-gray-500 truncate" title={dryRun.plan.url}>{dryRun.plan.url}</span>
+                                        </div>
+                                        <table className="w-full text-xs">
+                                            <thead>
+                                                <tr className="text-gray-500 text-left border-b border-gray-800">
+                                                    <th className="py-1 pr-2">ACTION</th>
+                                                    <th className="py-1 pr-2">SELECTOR</th>
+                                                    <th className="py-1">VALUE</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {dryRun.plan.fill_actions.map((action, i) => (
+                                                    <tr key={i} className="border-b border-gray-800/50">
+                                                        <td className="py-1 pr-2 text-gray-400">{action.action}{action.field ? ` (${action.field})` : ''}</td>
+                                                        <td className="py-1 pr-2 font-mono text-cyan-300 break-all">{action.selector}</td>
+                                                        <td className="py-1 font-mono text-gray-200 break-all">{action.action === 'check' ? '✓' : action.value}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                        <div className="mt-3 text-xs text-gray-400">
+                                            Submit: <span className="font-mono text-cyan-300">{dryRun.plan.submit_selector || 'none found'}</span>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+
+                            <div className="flex justify-end gap-3 mt-6">
+                                <button onClick={() => setDryRun(null)} className="px-4 py-2 hover:bg-gray-800 rounded transition">
+                                    CLOSE
+                                </button>
+                                {dryRun.planId && (
+                                    <button
+                                        onClick={executePlan}
+                                        disabled={dryRun.target.mode === 'monitor'}
+                                        className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded font-bold transition disabled:opacity-40 disabled:cursor-not-allowed"
+                                        title={dryRun.target.mode === 'monitor' ? 'Switch the target to auto-register to execute plans' : 'Fill and submit exactly this plan'}
+                                    >
+                                        EXECUTE THIS PLAN
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* History Modal */}
+            {
+                historyTarget && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-2xl shadow-2xl max-h-[90vh] flex flex-col">
+                            <h2 className="text-xl font-bold mb-1 flex items-center gap-2">
+                                <History className="w-5 h-5 text-purple-400" /> Check History
+                            </h2>
+                            <p className="text-xs text-gray-500 mb-4 truncate" title={historyTarget.url}>{historyTarget.url} — {historyTotal} run(s)</p>
+
+                            <div className="flex-1 overflow-y-auto logs-scrollbar pr-2">
+                                <ol className="relative border-l border-gray-700 ml-2">
+                                    {historyRuns.map((run, i) => {
+                                        const previous = historyRuns[i + 1];
+                                        const changed = previous && previous.status !== run.status;
+                                        return (
+                                            <li key={run.id} className="mb-4 ml-4">
+                                                <div className={`absolute w-3 h-3 rounded-full -left-1.5 mt-1.5 border ${changed ? 'bg-yellow-400 border-yellow-300' : 'bg-gray-700 border-gray-600'}`}></div>
+                                                <div className="flex flex-wrap items-center gap-2 text-xs">
+                                                    <span className="text-gray-400">{new Date(run.startedAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'medium' })}</span>
+                                                    <span className={`px-2 py-0.5 font-bold border rounded ${getStatusColor(run.status)}`}>{run.status || 'RUNNING'}</span>
+                                                    {run.failureReason && <span className="px-1.5 py-0.5 font-mono text-gray-300 bg-gray-800 border border-gray-700 rounded">{run.failureReason}</span>}
+                                                    {run.redirectedTo && <span className="flex items-center gap-1 text-orange-400 truncate" title={run.redirectedTo}><ArrowRight className="w-3 h-3" /> {new URL(run.redirectedTo).hostname}</span>}
+                                                    {changed && <span className="text-yellow-300 font-bold">{previous.status} → {run.status}</span>}
+                                                    <span className="text-gray-600">{formatDuration(run.durationMs)}</span>
+                                                    {run.forumType && <span className="px-1.5 py-0.5 bg-purple-600/30 text-purple-300 rounded">{run.forumType}</span>}
+                                                </div>
+                                                {run.invitationCodes?.length > 0 && (
+                                                    <div className="mt-1 flex flex-wrap gap-1">
+                                                        {run.invitationCodes.map((c, j) => (
+                                                            <span key={j} className="px-1.5 py-0.5 bg-yellow-600/30 text-yellow-300 rounded text-xs font-mono">{c.code}</span>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                                {run.formFields?.length > 0 && (
+                                                    <div className="mt-1 text-[10px] text-gray-500">Form fields: {run.formFields.map(f => f.name || f.type).join(', ')}</div>
+                                                )}
+                                                {run.formChanges?.length > 0 && (
+                                                    <ul className="mt-1 text-[10px] text-orange-300 list-disc ml-4">
+                                                        {run.formChanges.map((change, j) => <li key={j}>{change}</li>)}
+                                                    </ul>
+                                                )}
+                                                {run.error && <div className="mt-1 text-xs text-red-400 break-all">{run.error}</div>}
+                                                <div className="mt-1 flex gap-3 text-[10px]">
+                                                    <button onClick={() => openLogs({ targetId: historyTarget.id, checkRunId: String(run.id) })} className="text-gray-500 hover:text-gray-300">
+                                                        View logs of this run
+                                                    </button>
+                                                    {run.traceFile && (
+                                                        <button
+                                                            onClick={() => downloadFile(`${API_URL}/api/targets/${historyTarget.id}/runs/${run.id}/trace`, `trace-${historyTarget.id}-${run.traceFile}`, adminHeaders())
+                                                                .catch(err => console.error('Trace download failed:', err))}
+                                                            className="flex items-center gap-1 text-gray-500 hover:text-gray-300"
+                                                            title="Needs the admin token. Open with npx playwright show-trace or trace.playwright.dev"
+                                                        >
+                                                            <Download className="w-3 h-3" /> Trace
+                                                        </button>
+                                                    )}
+                                                    {run.artifactCount > 0 && (
+                                                        <button onClick={() => toggleRunArtifacts(run)} className="flex items-center gap-1 text-gray-500 hover:text-gray-300">
+                                                            <Camera className="w-3 h-3" /> {runArtifacts[run.id] ? 'Hide snapshots' : `Snapshots (${run.artifactCount})`}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                                {runArtifacts[run.id] && (
+                                                    <div className="mt-2 grid grid-cols-2 gap-2">
+                                                        {runArtifacts[run.id].filter(a => a.kind === 'screenshot').map(shot => {
+                                                            const html = runArtifacts[run.id].find(a => a.kind === 'html' && a.stage === shot.stage);
+                                                            return (
+                                                                <div key={shot.id} className="bg-black border border-gray-800 rounded p-1">
+                                                                    <a href={`${API_URL}${shot.href}`} target="_blank" rel="noopener noreferrer" title={shot.url}>
+                                                                        <img src={`${API_URL}${shot.href}`} alt={shot.stage} loading="lazy" className="w-full h-28 object-cover object-top rounded" />
+                                                                    </a>
+                                                                    <div className="flex items-center justify-between mt-1 text-[10px]">
+                                                                        <span className="text-gray-300 font-bold uppercase">{shot.stage}</span>
+                                                                        {html && (
+                                                                            <a href={`${API_URL}${html.href}`} target="_blank" rel="noopener noreferrer" className="text-gray-500 hover:text-gray-300">HTML</a>
+                                                                        )}
+                                                                    </div>
+                                                                </div>
+                                                            );
+                                                        })}
+                                                    </div>
+                                                )}
+                                            </li>
+                                        );
+                                    })}
+                                </ol>
+                                {historyRuns.length === 0 && <div className="text-gray-600 italic text-sm">No checks recorded yet.</div>}
+                                {historyRuns.length < historyTotal && (
+                                    <button onClick={loadMoreRuns} className="text-xs text-purple-400 hover:underline ml-6">Load older runs...</button>
+                                )}
+                            </div>
+
+                            <div className="flex justify-end gap-3 mt-6">
+                                <button
+                                    onClick={() => fetch(`${API_URL}/api/targets/${historyTarget.id}/check`, {
+                                        method: 'POST',
+                                        headers: { 'Content-Type': 'application/json' },
+                                        body: JSON.stringify({ trace: true })
+                                    })}
+                                    className="px-4 py-2 text-gray-400 hover:text-white hover:bg-gray-800 rounded transition"
+                                    title="Queue a check that keeps its Playwright trace whatever the result. Recording stops before credentials are typed."
+                                >
+                                    RUN CHECK WITH TRACE
+                                </button>
+                                <button onClick={closeHistory} className="px-4 py-2 hover:bg-gray-800 rounded transition">
+                                    CLOSE
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* Logs Modal */}
+            {
+                showLogs && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-5xl shadow-2xl h-[90vh] flex flex-col">
+                            <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+                                <ListFilter className="w-5 h-5 text-green-400" /> Logs
+                                <span className="text-xs font-normal text-gray-500">{logPage.total} entr{logPage.total === 1 ? 'y' : 'ies'}</span>
+                            </h2>
+
+                            <div className="flex flex-wrap gap-3 items-end mb-4 text-xs">
+                                <div>
+                                    <label className="block text-gray-400 mb-1">TARGET</label>
+                                    <select
+                                        className="bg-black border border-gray-700 rounded p-2 outline-none max-w-[220px]"
+                                        value={logFilters.targetId}
+                                        onChange={e => updateLogFilters({ targetId: e.target.value, checkRunId: '' })}
+                                    >
+                                        <option value="">All targets</option>
+                                        {targets.map(t => <option key={t.id} value={t.id}>{t.url}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-gray-400 mb-1">LEVEL</label>
+                                    <div className="flex gap-2 py-2">
+                                        {LOG_LEVELS.map(level => (
+                                            <label key={level} className="flex items-center gap-1">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={logFilters.levels.includes(level)}
+                                                    onChange={() => updateLogFilters({ levels: toggleInList(logFilters.levels, level) })}
+                                                />
+                                                <span className={getLogColor(level)}>{level.toUpperCase()}</span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="flex-1 min-w-[160px]">
+                                    <label className="block text-gray-400 mb-1">SEARCH</label>
+                                    <input
+                                        type="text"
+                                        placeholder="Text in message..."
+                                        className="w-full bg-black border border-gray-700 rounded p-2 outline-none focus:border-green-500"
+                                        value={logFilters.search}
+                                        onChange={e => setLogFilters({ ...logFilters, search: e.target.value })}
+                                        onKeyDown={e => e.key === 'Enter' && loadLogs()}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-gray-400 mb-1">FROM</label>
+                                    <input
+                                        type="datetime-local"
+                                        className="bg-black border border-gray-700 rounded p-2 outline-none"
+                                        value={logFilters.from}
+                                        onChange={e => updateLogFilters({ from: e.target.value })}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-gray-400 mb-1">TO</label>
+                                    <input
+                                        type="datetime-local"
+                                        className="bg-black border border-gray-700 rounded p-2 outline-none"
+                                        value={logFilters.to}
+                                        onChange={e => updateLogFilters({ to: e.target.value })}
+                                    />
+                                </div>
+                                <button onClick={() => loadLogs()} className="bg-green-700 hover:bg-green-600 text-white px-3 py-2 rounded">SEARCH</button>
+                            </div>
+                            {logFilters.checkRunId && (
+                                <div className="text-xs text-gray-400 mb-2">
+                                    Showing check run #{logFilters.checkRunId} only.{' '}
+                                    <button onClick={() => updateLogFilters({ checkRunId: '' })} className="text-green-400 hover:underline">Show all runs</button>
+                                </div>
+                            )}
+
+                            <div className="flex-1 bg-black rounded p-2 overflow-auto logs-scrollbar font-mono text-xs space-y-1 border border-gray-800">
+                                {logPage.logs.map(log => (
+                                    <div key={log.id} className="flex gap-2 border-b border-gray-900 pb-1">
+                                        <span className="text-gray-600 shrink-0">{new Date(log.timestamp).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'medium' })}</span>
+                                        <span className={`w-12 shrink-0 font-bold ${getLogColor(log.level)}`}>{log.level.toUpperCase()}</span>
+                                        <span className="w-16 shrink-0 text-gray-500">{log.step || ''}</span>
+                                        {!logFilters.targetId && (
+                                            <span className="w-40 shrink-0 truncate text-gray-400" title={targets.find(t => t.id === log.targetId)?.url}>
+                                                {targets.find(t => t.id === log.targetId)?.url || log.targetId}
+                                            </span>
+                                        )}
+                                        <span className={`break-all whitespace-pre-wrap ${getLogColor(log.level)}`}>{log.message}</span>
+                                    </div>
+                                ))}
+                                {logPage.logs.length === 0 && <span className="text-gray-600 italic">No log entries match these filters.</span>}
+                            </div>
+
+                            <div className="flex justify-between items-center mt-4 text-xs">
+                                <div className="flex items-center gap-3">
+                                    <button
+                                        onClick={() => loadLogs(logFilters, Math.max(logPage.offset - LOG_PAGE_SIZE, 0))}
+                                        disabled={logPage.offset === 0}
+                                        className="px-3 py-1 bg-gray-800 hover:bg-gray-700 rounded disabled:opacity-40"
+                                    >
+                                        NEWER
+                                    </button>
+                                    <span className="text-gray-500">
+                                        {logPage.total === 0 ? 0 : logPage.offset + 1}–{logPage.offset + logPage.logs.length} of {logPage.total}
+                                    </span>
+                                    <button
+                                        onClick={() => loadLogs(logFilters, logPage.offset + LOG_PAGE_SIZE)}
+                                        disabled={logPage.offset + LOG_PAGE_SIZE >= logPage.total}
+                                        className="px-3 py-1 bg-gray-800 hover:bg-gray-700 rounded disabled:opacity-40"
+                                    >
+                                        OLDER
+                                    </button>
+                                </div>
+                                <button onClick={() => setShowLogs(false)} className="px-4 py-2 hover:bg-gray-800 rounded transition">
+                                    CLOSE
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* Notifications Modal */}
+            {
+                showNotifications && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-3xl shadow-2xl max-h-[90vh] overflow-auto">
+                            <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+                                <Bell className="w-5 h-5 text-yellow-400" /> Notifications
+                            </h2>
+
+                            {!webhookForm && (
+                                <div className="space-y-4">
+                                    <div className="flex justify-between items-center">
+                                        <h3 className="text-sm font-bold text-gray-300">Webhooks</h3>
+                                        <button onClick={() => editWebhook(null)} className="flex items-center gap-1 text-xs bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded">
+                                            <Plus className="w-3 h-3" /> ADD WEBHOOK
+                                        </button>
+                                    </div>
+                                    {webhooks.map(w => (
+                                        <div key={w.id} className="bg-black/40 border border-gray-800 rounded p-3 flex justify-between items-center gap-4">
+                                            <div className="min-w-0">
+                                                <div className="font-bold text-sm">{w.name} {!w.enabled && <span className="text-xs text-gray-500">(disabled)</span>}</div>
+                                                <div className="text-xs text-gray-500 truncate">{w.url}</div>
+                                                <div className="text-[10px] text-gray-500 mt-1">
+                                                    {w.statuses.join(', ')} — {w.targetIds.length > 0 ? `${w.targetIds.length} target(s)` : 'all targets'}
+                                                </div>
+                                            </div>
+                                            <div className="flex gap-2 shrink-0">
+                                                <button onClick={() => testWebhook(w.id)} className="text-gray-500 hover:text-green-400 p-1" title="Send Test"><Send className="w-4 h-4" /></button>
+                                                <button onClick={() => editWebhook(w)} className="text-gray-500 hover:text-blue-400 p-1 text-xs">EDIT</button>
+                                                <button onClick={() => removeWebhook(w.id)} className="text-gray-500 hover:text-red-500 p-1"><Trash2 className="w-4 h-4" /></button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                    {webhooks.length === 0 && <div className="text-gray-600 italic text-sm">No webhooks configured.</div>}
+
+                                    <h3 className="text-sm font-bold text-gray-300 pt-4 border-t border-gray-800">Browser Push (this device)</h3>
+                                    {!pushSupported() ? (
+                                        <div className="text-xs text-gray-500">Push needs a browser with service workers and an HTTPS (or localhost) address.</div>
+                                    ) : (
+                                        <div className="space-y-2">
+                                            <div className="flex items-center gap-3">
+                                                {push.subscription ? (
+                                                    <>
+                                                        <span className="text-xs text-green-400">Enabled</span>
+                                                        <button onClick={testPush} className="flex items-center gap-1 text-xs bg-gray-800 hover:bg-gray-700 px-3 py-1 rounded">
+                                                            <Send className="w-3 h-3" /> TEST
+                                                        </button>
+                                                        <button onClick={disablePush} disabled={push.busy} className="text-xs text-gray-500 hover:text-red-500 disabled:opacity-50">DISABLE</button>
+                                                    </>
+                                                ) : (
+                                                    <button onClick={enablePush} disabled={push.busy} className="flex items-center gap-1 text-xs bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded disabled:opacity-50">
+                                                        <Bell className="w-3 h-3" /> ENABLE PUSH
+                                                    </button>
+                                                )}
+                                            </div>
+                                            <div className="flex flex-wrap gap-3">
+                                                {webhookMeta.statuses.map(status => (
+                                                    <label key={status} className="flex items-center gap-1 text-xs">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={(push.statuses || webhookMeta.statuses).includes(status)}
+                                                            onChange={() => togglePushStatus(status)}
+                                                        />
+                                                        <span className={getStatusColor(status).split(' ')[0]}>{status}</span>
+                                                    </label>
+                                                ))}
+                                            </div>
+                                            {push.error && <div className="text-xs text-red-400">{push.error}</div>}
+                                        </div>
+                                    )}
+
+                                    <h3 className="text-sm font-bold text-gray-300 pt-4 border-t border-gray-800">Delivery Log</h3>
+                                    <div className="bg-black rounded p-2 max-h-56 overflow-auto logs-scrollbar font-mono text-xs space-y-1">
+                                        {deliveries.map(d => (
+                                            <div key={d.id} className="flex gap-2 border-b border-gray-800/50 pb-1 last:border-0">
+                                                <span className="text-gray-600">[{formatTime(d.createdAt)}]</span>
+                                                <span className={`font-bold ${d.status === 'delivered' ? 'text-green-500' : d.status === 'failed' ? 'text-red-500' : 'text-yellow-500'}`}>{d.status.toUpperCase()}</span>
+                                                <span className="text-gray-400">{d.channel === 'webhook' ? (webhooks.find(w => w.id === d.webhookId)?.name || `#${d.webhookId}`) : d.channel === 'email' ? 'Email' : 'Push'}</span>
+                                                <span className="text-gray-500">{d.event}</span>
+                                                <span className="text-gray-600">x{d.attempts}</span>
+                                                {d.error && <span className="text-red-400 truncate flex-1" title={d.error}>{d.error}</span>}
+                                            </div>
+                                        ))}
+                                        {deliveries.length === 0 && <span className="text-gray-600 italic">Nothing sent yet.</span>}
+                                    </div>
+                                </div>
+                            )}
+
+                            {webhookForm && (
+                                <form onSubmit={saveWebhook} className="space-y-4">
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">NAME</label>
+                                            <input
+                                                required
+                                                type="text"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-yellow-500 outline-none"
+                                                value={webhookForm.name}
+                                                onChange={e => setWebhookForm({ ...webhookForm, name: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">URL</label>
+                                            <input
+                                                required
+                                                type="url"
+                                                placeholder="https://hooks.example.com/..."
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-yellow-500 outline-none"
+                                                value={webhookForm.url}
+                                                onChange={e => setWebhookForm({ ...webhookForm, url: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">NOTIFY ON</label>
+                                        <div className="flex flex-wrap gap-3">
+                                            {webhookMeta.statuses.map(status => (
+                                                <label key={status} className="flex items-center gap-1 text-xs">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={webhookForm.statuses.includes(status)}
+                                                        onChange={() => setWebhookForm({ ...webhookForm, statuses: toggleInList(webhookForm.statuses, status) })}
+                                                    />
+                                                    <span className={getStatusColor(status).split(' ')[0]}>{status}</span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">TARGETS (NONE SELECTED = ALL)</label>
+                                        <div className="bg-black border border-gray-700 rounded p-2 max-h-32 overflow-auto logs-scrollbar space-y-1">
+                                            {targets.map(t => (
+                                                <label key={t.id} className="flex items-center gap-2 text-xs">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={webhookForm.targetIds.includes(t.id)}
+                                                        onChange={() => setWebhookForm({ ...webhookForm, targetIds: toggleInList(webhookForm.targetIds, t.id) })}
+                                                    />
+                                                    <span className="truncate">{t.url}</span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">HEADERS (JSON)</label>
+                                        <textarea
+                                            rows="2"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-yellow-500 outline-none font-mono text-xs"
+                                            value={webhookForm.headersText}
+                                            onChange={e => setWebhookForm({ ...webhookForm, headersText: e.target.value })}
+                                        />
+                                        <p className="text-[10px] text-gray-500 mt-1">Stored encrypted and shown masked. A header left masked keeps its saved value.</p>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">BODY TEMPLATE (JSON)</label>
+                                        <textarea
+                                            rows="9"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-yellow-500 outline-none font-mono text-xs"
+                                            value={webhookForm.bodyTemplate}
+                                            onChange={e => setWebhookForm({ ...webhookForm, bodyTemplate: e.target.value })}
+                                        />
+                                        <p className="text-[10px] text-gray-500 mt-1">
+                                            Placeholders: {'{{event}} {{status}} {{previousStatus}} {{message}} {{timestamp}} {{target.id}} {{target.url}} {{target.pseudo}} {{target.forumType}} {{target.mode}}'}
+                                        </p>
+                                    </div>
+
+                                    <label className="flex items-center gap-2 text-xs">
+                                        <input
+                                            type="checkbox"
+                                            checked={webhookForm.enabled}
+                                            onChange={e => setWebhookForm({ ...webhookForm, enabled: e.target.checked })}
+                                        />
+                                        ENABLED
+                                    </label>
+
+                                    {webhookError && <div className="text-xs text-red-400">{webhookError}</div>}
+
+                                    <div className="flex justify-end gap-3">
+                                        <button type="button" onClick={() => setWebhookForm(null)} className="px-4 py-2 hover:bg-gray-800 rounded transition">
+                                            BACK
+                                        </button>
+                                        <button type="submit" className="bg-yellow-600 hover:bg-yellow-700 px-4 py-2 rounded font-bold transition">
+                                            SAVE WEBHOOK
+                                        </button>
+                                    </div>
+                                </form>
+                            )}
+
+                            {!webhookForm && (
+                                <div className="flex justify-end mt-6">
+                                    <button onClick={() => setShowNotifications(false)} className="px-4 py-2 hover:bg-gray-800 rounded transition">
+                                        CLOSE
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )
+            }
+
+            {/* AI Settings Modal */}
+            {
+                showSettings && (
+                    <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
+                        <div className="bg-gray-900 border border-gray-700 p-6 rounded-lg w-full max-w-md shadow-2xl max-h-[90vh] overflow-auto">
+                            <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+                                <Terminal className="w-5 h-5 text-blue-500" /> AI Configuration
+                            </h2>
+                            <form onSubmit={saveSettings} className="space-y-4">
+                                <div className="bg-blue-900/20 border border-blue-900 p-3 rounded text-xs text-blue-200 mb-4">
+                                    Global configuration for AI and default credentials.
+                                </div>
+
+                                <div className="space-y-4 border-b border-gray-700 pb-4 mb-4">
+                                    <h3 className="text-sm font-bold text-gray-300">Services</h3>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">ADMIN TOKEN</label>
+                                        <input
+                                            type="password"
+                                            placeholder="ADMIN_TOKEN of the server"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                            value={adminToken}
+                                            onChange={e => {
+                                                setAdminToken(e.target.value);
+                                                sessionStorage.setItem('adminToken', e.target.value);
+                                            }}
+                                        />
+                                        <p className="text-[10px] text-gray-500 mt-1">Kept in this tab only. Needed to reveal stored secrets and to export them.</p>
+                                        {revealError && <div className="text-xs text-red-400">{revealError}</div>}
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">OPENROUTER API KEY</label>
+                                        <div className="flex items-center gap-1">
+                                            <input
+                                                type="password"
+                                                placeholder="sk-or-..."
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none transition-colors"
+                                                value={settingsForm.openRouterKey}
+                                                onChange={e => setSettingsForm({ ...settingsForm, openRouterKey: e.target.value })}
+                                            />
+                                            {settingsForm.openRouterKey && revealButton(() => revealSetting('openRouterKey'))}
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">FLARESOLVERR URL</label>
+                                        <input
+                                            type="url"
+                                            placeholder="http://localhost:8191"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none transition-colors"
+                                            value={settingsForm.flaresolverr_url}
+                                            onChange={e => setSettingsForm({ ...settingsForm, flaresolverr_url: e.target.value })}
+                                        />
+                                        <p className="text-[10px] text-gray-500 mt-1">Required to bypass Cloudflare on protected forums.</p>
+                                    </div>
+                                </div>
+
+                                <div className="space-y-4 border-b border-gray-700 pb-4 mb-4">
+                                    <h3 className="text-sm font-bold text-gray-300">Checks</h3>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">PARALLEL CHECKS</label>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                max="10"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.maxConcurrentChecks}
+                                                onChange={e => setSettingsForm({ ...settingsForm, maxConcurrentChecks: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">PROBE DELAY (MS)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.probeDelayMs}
+                                                onChange={e => setSettingsForm({ ...settingsForm, probeDelayMs: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+                                    <p className="text-[10px] text-gray-500">A site is never checked twice at once. The probe delay spaces out registration path requests.</p>
+                                </div>
+
+                                <div className="space-y-4 border-b border-gray-700 pb-4 mb-4">
+                                    <h3 className="text-sm font-bold text-gray-300">Logs, Snapshots &amp; Traces</h3>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">KEEP FOR (DAYS)</label>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.logRetentionDays}
+                                                onChange={e => setSettingsForm({ ...settingsForm, logRetentionDays: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">MAX ENTRIES PER TARGET</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.logMaxPerTarget}
+                                                onChange={e => setSettingsForm({ ...settingsForm, logMaxPerTarget: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">KEEP SNAPSHOTS FOR (DAYS)</label>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                            value={settingsForm.snapshotRetentionDays}
+                                            onChange={e => setSettingsForm({ ...settingsForm, snapshotRetentionDays: e.target.value })}
+                                        />
+                                    </div>
+                                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                                        <input
+                                            type="checkbox"
+                                            checked={settingsForm.traceOnError === 'true'}
+                                            onChange={e => setSettingsForm({ ...settingsForm, traceOnError: e.target.checked ? 'true' : 'false' })}
+                                        />
+                                        Keep a Playwright trace of checks that end in ERROR or DOWN
+                                    </label>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">KEEP TRACES FOR (DAYS)</label>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.traceRetentionDays}
+                                                onChange={e => setSettingsForm({ ...settingsForm, traceRetentionDays: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">MAX TRACES KEPT</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.traceMaxFiles}
+                                                onChange={e => setSettingsForm({ ...settingsForm, traceMaxFiles: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+                                    <p className="text-[10px] text-gray-500">Old entries, snapshots and traces are pruned every hour. 0 means no cap.</p>
+                                </div>
+
+                                <div className="space-y-4 border-b border-gray-700 pb-4 mb-4">
+                                    <h3 className="text-sm font-bold text-gray-300 flex items-center gap-2"><CalendarClock className="w-4 h-4" /> Opening Bursts</h3>
+                                    <div className="grid grid-cols-3 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">START (MIN BEFORE)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.burstBeforeMinutes}
+                                                onChange={e => setSettingsForm({ ...settingsForm, burstBeforeMinutes: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">END (MIN AFTER)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.burstAfterMinutes}
+                                                onChange={e => setSettingsForm({ ...settingsForm, burstAfterMinutes: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">EVERY (SECONDS)</label>
+                                            <input
+                                                type="number"
+                                                min="10"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.burstIntervalSeconds}
+                                                onChange={e => setSettingsForm({ ...settingsForm, burstIntervalSeconds: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+                                    <p className="text-[10px] text-gray-500">Targets announcing an opening date are checked this often around it.</p>
+                                </div>
+
+                                <div className="space-y-4 border-b border-gray-700 pb-4 mb-4">
+                                    <h3 className="text-sm font-bold text-gray-300 flex items-center gap-2"><Mail className="w-4 h-4" /> Email Alerts</h3>
+                                    <div className="grid grid-cols-3 gap-4">
+                                        <div className="col-span-2">
+                                            <label className="block text-xs text-gray-400 mb-1">SMTP HOST</label>
+                                            <input
+                                                type="text"
+                                                placeholder="smtp.example.com"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.smtpHost}
+                                                onChange={e => setSettingsForm({ ...settingsForm, smtpHost: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">PORT</label>
+                                            <input
+                                                type="number"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.smtpPort}
+                                                onChange={e => setSettingsForm({ ...settingsForm, smtpPort: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">SMTP USER</label>
+                                            <input
+                                                type="text"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.smtpUser}
+                                                onChange={e => setSettingsForm({ ...settingsForm, smtpUser: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">SMTP PASSWORD</label>
+                                            <div className="flex items-center gap-1">
+                                                <input
+                                                    type="password"
+                                                    className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                    value={settingsForm.smtpPass}
+                                                    onChange={e => setSettingsForm({ ...settingsForm, smtpPass: e.target.value })}
+                                                />
+                                                {settingsForm.smtpPass && revealButton(() => revealSetting('smtpPass'))}
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">FROM</label>
+                                        <input
+                                            type="email"
+                                            placeholder="sniper@example.com"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                            value={settingsForm.smtpFrom}
+                                            onChange={e => setSettingsForm({ ...settingsForm, smtpFrom: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">RECIPIENTS (COMMA SEPARATED)</label>
+                                        <input
+                                            type="text"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                            value={settingsForm.emailRecipients}
+                                            onChange={e => setSettingsForm({ ...settingsForm, emailRecipients: e.target.value })}
+                                        />
+                                    </div>
+                                    <label className="flex items-center gap-2 text-xs">
+                                        <input
+                                            type="checkbox"
+                                            checked={settingsForm.emailAlerts === 'true'}
+                                            onChange={e => setSettingsForm({ ...settingsForm, emailAlerts: String(e.target.checked) })}
+                                        />
+                                        Email me as soon as a target is OPEN or its registration form changes
+                                    </label>
+                                    <div className="flex items-center gap-2 text-xs">
+                                        <input
+                                            type="checkbox"
+                                            checked={settingsForm.emailDigest === 'true'}
+                                            onChange={e => setSettingsForm({ ...settingsForm, emailDigest: String(e.target.checked) })}
+                                        />
+                                        <span>Daily digest at</span>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max="23"
+                                            className="w-16 bg-black border border-gray-700 rounded p-1 focus:border-blue-500 outline-none"
+                                            value={settingsForm.digestHour}
+                                            onChange={e => setSettingsForm({ ...settingsForm, digestHour: e.target.value })}
+                                        />
+                                        <span>h (server time)</span>
+                                    </div>
+                                    <div className="flex items-center gap-3">
+                                        <button
+                                            type="button"
+                                            onClick={sendTestEmail}
+                                            disabled={testEmailResult?.pending}
+                                            className="flex items-center gap-2 text-xs bg-gray-800 hover:bg-gray-700 px-3 py-1 rounded disabled:opacity-50"
+                                        >
+                                            <Send className="w-3 h-3" /> SEND TEST EMAIL
+                                        </button>
+                                        {testEmailResult && !testEmailResult.pending && (
+                                            <span className={`text-xs ${testEmailResult.ok ? 'text-green-400' : 'text-red-400'}`}>{testEmailResult.message}</span>
+                                        )}
+                                    </div>
+                                </div>
+
+                                <div className="space-y-4">
+                                    <h3 className="text-sm font-bold text-gray-300">Default Credentials</h3>
+                                    <p className="text-xs text-gray-500">Automatically applied to new targets found by Reddit or added manually.</p>
+
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">DEFAULT PSEUDO</label>
+                                            <input
+                                                type="text"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.defaultPseudo}
+                                                onChange={e => setSettingsForm({ ...settingsForm, defaultPseudo: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">DEFAULT PASSWORD</label>
+                                            <div className="flex items-center gap-1">
+                                                <input
+                                                    type="text"
+                                                    className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                    value={settingsForm.defaultPassword}
+                                                    onChange={e => setSettingsForm({ ...settingsForm, defaultPassword: e.target.value })}
+                                                />
+                                                {settingsForm.defaultPassword && revealButton(() => revealSetting('defaultPassword'))}
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-400 mb-1">DEFAULT EMAIL</label>
+                                        <input
+                                            type="email"
+                                            className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                            value={settingsForm.defaultEmail}
+                                            onChange={e => setSettingsForm({ ...settingsForm, defaultEmail: e.target.value })}
+                                        />
+                                    </div>
+                                </div>
+
+                                <div className="space-y-3">
+                                    <h3 className="text-sm font-bold text-gray-300 flex items-center gap-2"><Download className="w-4 h-4" /> Export &amp; Import</h3>
+                                    <p className="text-xs text-gray-500">Move targets, check history, invitation codes and settings to another instance. Imports merge by URL.</p>
+                                    <label className="flex items-center gap-2 text-xs text-gray-400">
+                                        <input
+                                            type="checkbox"
+                                            checked={transfer.secrets}
+                                            onChange={e => setTransfer({ ...transfer, secrets: e.target.checked })}
+                                        />
+                                        Include secrets (passwords, API keys) in exports, needs the admin token
+                                    </label>
+                                    <div className="flex gap-2">
+                                        <button type="button" onClick={() => downloadExport('/api/export', `forum-sniper-${new Date().toISOString().slice(0, 10)}.json`)} className="flex items-center gap-1 px-3 py-1.5 bg-gray-800 hover:bg-gray-700 rounded text-xs">
+                                            <Download className="w-3 h-3" /> JSON BUNDLE
+                                        </button>
+                                        <button type="button" onClick={() => downloadExport('/api/export/targets.csv', `forum-sniper-targets-${new Date().toISOString().slice(0, 10)}.csv`)} className="flex items-center gap-1 px-3 py-1.5 bg-gray-800 hover:bg-gray-700 rounded text-xs">
+                                            <Download className="w-3 h-3" /> TARGETS CSV
+                                        </button>
+                                    </div>
+                                    <label className="flex items-center gap-2 text-xs text-gray-400">
+                                        <input
+                                            type="checkbox"
+                                            checked={transfer.withSettings}
+                                            onChange={e => {
+                                                setTransfer({ ...transfer, withSettings: e.target.checked });
+                                                if (transfer.bundle) importBundle(transfer.bundle, true, e.target.checked);
+                                            }}
+                                        />
+                                        Also import the bundle's settings
+                                    </label>
+                                    <input
+                                        type="file"
+                                        accept=".json,application/json"
+                                        className="text-xs text-gray-400"
+                                        onChange={e => loadBundleFile(e.target.files[0])}
+                                    />
+                                    {transfer.error && <div className="text-xs text-red-400">{transfer.error}</div>}
+                                    {transfer.report && (
+                                        <div className="text-xs bg-black/40 border border-gray-800 rounded p-2 space-y-1">
+                                            <div className="font-bold text-gray-300">{transfer.report.dryRun ? `DRY RUN: ${transfer.fileName}` : 'IMPORTED'}</div>
+                                            <div className="flex gap-3">
+                                                <span className="text-green-400">{transfer.report.added.length} new</span>
+                                                <span className="text-blue-400">{transfer.report.merged.length} merged</span>
+                                                <span className="text-red-400">{transfer.report.skipped.length} skipped</span>
+                                                <span className="text-gray-400">{transfer.report.historyRuns} history runs</span>
+                                            </div>
+                                            {transfer.report.settings.length > 0 && <div className="text-gray-400">Settings: {transfer.report.settings.join(', ')}</div>}
+                                            <div className="max-h-32 overflow-y-auto font-mono space-y-0.5">
+                                                {transfer.report.merged.filter(m => m.fields.length > 0).map(m => (
+                                                    <div key={`${m.targetId}-${m.url}`} className="text-blue-400 truncate" title={m.url}>= {m.into} <span className="text-gray-500">{m.fields.join(', ')}</span></div>
+                                                ))}
+                                                {transfer.report.skipped.map((entry, i) => (
+                                                    <div key={i} className="text-red-400 truncate" title={entry.reason}>✕ {entry.url} <span className="text-gray-500">{entry.reason}</span></div>
+                                                ))}
+                                            </div>
+                                            {transfer.report.dryRun && (
+                                                <button
+                                                    type="button"
+                                                    disabled={transfer.busy}
+                                                    onClick={() => importBundle(transfer.bundle, false)}
+                                                    className="mt-1 px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded font-bold"
+                                                >
+                                                    IMPORT
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div className="space-y-3 border-t border-gray-700 pt-4 mt-4">
+                                    <h3 className="text-sm font-bold text-gray-300 flex items-center gap-2"><Database className="w-4 h-4" /> Database Backups</h3>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">EVERY (HOURS, 0 = OFF)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.backupIntervalHours}
+                                                onChange={e => setSettingsForm({ ...settingsForm, backupIntervalHours: e.target.value })}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-xs text-gray-400 mb-1">KEEP (SCHEDULED)</label>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                className="w-full bg-black border border-gray-700 rounded p-2 focus:border-blue-500 outline-none"
+                                                value={settingsForm.backupKeep}
+                                                onChange={e => setSettingsForm({ ...settingsForm, backupKeep: e.target.value })}
+                                            />
+                                        </div>
+                                    </div>
+                                    <p className="text-[10px] text-gray-500">Backups are stored in data/backups. Restoring one saves the current database as a pre-restore backup first.</p>
+                                    <button
+                                        type="button"
+                                        disabled={backups.busy}
+                                        onClick={() => backupAction('POST', '')}
+                                        className="flex items-center gap-1 px-3 py-1.5 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 rounded text-xs"
+                                    >
+                                        <Database className="w-3 h-3" /> BACKUP NOW
+                                    </button>
+                                    {backups.error && <div className="text-xs text-red-400">{backups.error}</div>}
+                                    <div className="max-h-48 overflow-y-auto space-y-1">
+                                        {backups.list.length === 0 && <div className="text-xs text-gray-600 italic">No backups yet.</div>}
+                                        {backups.list.map(b => (
+                                            <div key={b.name} className="flex items-center gap-2 text-xs bg-black/40 border border-gray-800 rounded px-2 py-1">
+                                                <span className="text-gray-300 font-mono">{new Date(b.createdAt).toLocaleString('fr-FR')}</span>
+                                                <span className="text-gray-500">{b.kind}</span>
+                                                <span className="text-gray-600">{Math.round(b.size / 1024)} KB</span>
+                                                <div className="ml-auto flex items-center gap-1">
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => downloadFile(`${API_URL}/api/backups/${b.name}`, b.name, adminHeaders())
+                                                            .catch(err => setBackups(prev => ({ ...prev, error: err.message })))}
+                                                        title="Download (needs the admin token)"
+                                                        className="p-1 hover:bg-gray-700 rounded"
+                                                    >
+                                                        <Download className="w-3 h-3" />
+                                                    </button>
+                                                    {backups.confirm === b.name ? (
+                                                        <>
+                                                            <button
+                                                                type="button"
+                                                                disabled={backups.busy}
+                                                                onClick={() => backupAction('POST', `/${b.name}/restore`, { confirm: b.name })}
+                                                                className="px-2 py-0.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 rounded font-bold"
+                                                            >
+                                                                CONFIRM RESTORE
+                                                            </button>
+                                                            <button type="button" onClick={() => setBackups({ ...backups, confirm: null })} className="p-1 hover:bg-gray-700 rounded">
+                                                                <X className="w-3 h-3" />
+                                                            </button>
+                                                        </>
+                                                    ) : (
+                                                        <button type="button" title="Restore" onClick={() => setBackups({ ...backups, confirm: b.name })} className="p-1 hover:bg-gray-700 rounded">
+                                                            <RotateCcw className="w-3 h-3" />
+                                                        </button>
+                                                    )}
+                                                    <button type="button" title="Delete" disabled={backups.busy} onClick={() => backupAction('DELETE', `/${b.name}`)} className="p-1 hover:bg-gray-700 rounded text-red-400">
+                                                        <Trash2 className="w-3 h-3" />
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        ))}
                                     </div>
                                 </div>
 
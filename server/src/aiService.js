@@ -27,9 +27,9 @@ export const configureAI = (apiKey, model = null) => {
     }
 };
 
-export const getAIFormFillData = async (htmlContent, userData, logCallback) => {
+export const getAIFormFillData = async (htmlContent, userData, logCallback, signal) => {
     if (!openai) {
-        logCallback("AI not configured. Skipping AI analysis.");
+        logCallback("AI not configured. Skipping AI analysis.", 'warn');
         return null;
     }
 
@@ -70,13 +70,14 @@ export const getAIFormFillData = async (htmlContent, userData, logCallback) => {
             model: aiConfig.model,
             messages: [{ role: "user", content: prompt }],
             response_format: { type: "json_object" }
-        });
+        }, { signal });
 
         const response = JSON.parse(completion.choices[0].message.content);
         logCallback("AI analysis complete.");
         return response;
     } catch (error) {
-        logCallback(`AI Error: ${error.message}`);
-        return null;
+        // Unlike a missing key, a failed call is the caller's problem: it decides how the check ends
+        logCallback(`AI Error: ${error.message}`, 'error');
+        throw error;
     }
 };
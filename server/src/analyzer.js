@@ -5,16 +5,32 @@
 
 import { chromium } from 'playwright-core';
 import { detectForumType, getCommonRegistrationPaths } from './forumFingerprints.js';
+import { extractOpeningDate } from './openingDate.js';
+import { normalizeUrl } from './urls.js';
 
 const BROWSERLESS_URL = process.env.BROWSERLESS_HOST
     ? `ws://${process.env.BROWSERLESS_HOST}:3000`
     : 'ws://localhost:3000';
 
+// Timeout signal that also fires when the whole analysis is aborted
+function requestSignal(signal, ms) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`Request timed out after ${ms}ms`)), ms);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    controller.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }, { once: true });
+    return controller.signal;
+}
+
 // Analyze robots.txt for forum hints
-async function fetchRobotsTxt(baseUrl) {
+async function fetchRobotsTxt(baseUrl, signal) {
     try {
         const robotsUrl = new URL('/robots.txt', baseUrl).href;
-        const response = await fetch(robotsUrl, { signal: AbortSignal.timeout(5000) });
+        const response = await fetch(robotsUrl, { signal: requestSignal(signal, 5000) });
         if (response.ok) {
             const text = await response.text();
             const hints = [];
@@ -38,10 +54,10 @@ async function fetchRobotsTxt(baseUrl) {
 }
 
 // Analyze sitemap.xml
-async function fetchSitemap(baseUrl) {
+async function fetchSitemap(baseUrl, signal) {
     try {
         const sitemapUrl = new URL('/sitemap.xml', baseUrl).href;
-        const response = await fetch(sitemapUrl, { signal: AbortSignal.timeout(5000) });
+        const response = await fetch(sitemapUrl, { signal: requestSignal(signal, 5000) });
         if (response.ok) {
             const text = await response.text();
             const urls = [];
@@ -162,19 +178,21 @@ async function performIntelligence(domain, forumName) {
 
 /**
  * Perform deep analysis of a forum URL
+ * @param {string} inputUrl - Forum URL (protocol optional)
+ * @param {function} progressCallback - Receives progress messages
+ * @param {AbortSignal} [signal] - Aborting stops navigation and closes the CDP connection
  */
-export async function analyzeUrl(inputUrl, progressCallback) {
-    // Ensure URL has protocol
-    let url = inputUrl;
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
-    }
+export async function analyzeUrl(inputUrl, progressCallback, signal) {
+    signal?.throwIfAborted();
+
+    const url = normalizeUrl(inputUrl);
 
     const report = {
         url,
         forumType: null,
         registrationPaths: [],
         invitationCodes: [],
+        expectedOpening: null,
         robotsTxtInfo: null,
         sitemapLinks: [],
         allLinks: [],
@@ -187,23 +205,32 @@ export async function analyzeUrl(inputUrl, progressCallback) {
 
     // 1. Fetch robots.txt
     progressCallback('Fetching robots.txt...');
-    report.robotsTxtInfo = await fetchRobotsTxt(url);
+    report.robotsTxtInfo = await fetchRobotsTxt(url, signal);
     if (report.robotsTxtInfo.hints.length > 0) {
         progressCallback(`robots.txt hints: ${report.robotsTxtInfo.hints.join(', ')}`);
     }
 
     // 2. Fetch sitemap.xml
     progressCallback('Fetching sitemap.xml...');
-    report.sitemapLinks = await fetchSitemap(url);
+    report.sitemapLinks = await fetchSitemap(url, signal);
     if (report.sitemapLinks.length > 0) {
         progressCallback(`Found ${report.sitemapLinks.length} relevant sitemap links`);
     }
 
     // 3. Browser analysis
+    signal?.throwIfAborted();
     let browser;
+    // Closing the browser drops the CDP connection, which makes any pending Playwright call reject
+    const onAbort = () => {
+        progressCallback('Analysis aborted. Closing browser...');
+        if (browser) browser.close().catch(() => { });
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     try {
         progressCallback('Connecting to browser...');
         browser = await chromium.connectOverCDP(BROWSERLESS_URL);
+        signal?.throwIfAborted(); // Aborted while connecting
         const context = await browser.newContext();
         const page = await context.newPage();
 
@@ -329,11 +356,18 @@ export async function analyzeUrl(inputUrl, progressCallback) {
             progressCallback(`Found codes: ${report.invitationCodes.join(', ')}`);
         }
 
+        report.expectedOpening = extractOpeningDate(bodyText);
+        if (report.expectedOpening) {
+            progressCallback(`Opening announced for ${new Date(report.expectedOpening.at).toLocaleString()}: "${report.expectedOpening.text}"`);
+            report.notes.push(`📅 Opening announced: ${report.expectedOpening.text}`);
+        }
+
         // 7. Try to find registration page and analyze form
         progressCallback('Looking for registration page...');
         const regPaths = [...(forumInfo?.registrationPaths || []), ...getCommonRegistrationPaths()];
 
         for (const regPath of regPaths.slice(0, 5)) {
+            signal?.throwIfAborted();
             try {
                 const regUrl = new URL(regPath, url).href;
                 const response = await page.goto(regUrl, { timeout: 10000, waitUntil: 'domcontentloaded' });
@@ -430,8 +464,11 @@ export async function analyzeUrl(inputUrl, progressCallback) {
         await browser.close();
 
     } catch (error) {
+        if (browser) await browser.close().catch(() => { });
+        if (signal?.aborted) throw signal.reason;
         report.notes.push(`Error: ${error.message}`);
-        if (browser) await browser.close();
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
     }
 
     // 8. Intelligence / Web Research
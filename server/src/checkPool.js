@@ -0,0 +1,247 @@
+/**
+ * Check Pool Module
+ * Runs check jobs from the durable `jobs` table concurrently, up to a limit,
+ * never two on the same host at once. Failed jobs retry with exponential backoff.
+ * Interactive checks (dry runs) share the same slots but are not persisted.
+ */
+
+import {
+    createJob, getJob, updateJob, getPendingJobForTarget, getJobsByStatus,
+    requeueInterruptedJobs, deleteQueuedJobsForTarget, pruneFinishedJobs
+} from './database.js';
+import { siteKey } from './domains.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 10;
+const POLL_INTERVAL_MS = 5 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1 min, 2 min, 4 min...
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+let concurrency = DEFAULT_CONCURRENCY;
+let runner = null;
+let changeCallback = () => { };
+let paused = false;
+
+const active = new Map(); // jobId -> { job, host, startedAt }
+const waiting = []; // Interactive checks waiting for a slot: { kind, targetId, url, task, resolve, reject }
+let interactiveCount = 0;
+
+// Politeness key: checks of the same site never run in parallel, an unparsable URL only blocks itself
+const hostKey = (url) => siteKey(url) || url;
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} - Delay in ms
+ */
+export function getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Set the maximum number of checks running at the same time
+ * @param {number|string} value - Requested concurrency (clamped to 1..MAX_CONCURRENCY)
+ */
+export function configureCheckPool(value) {
+    const parsed = parseInt(value, 10);
+    concurrency = Number.isFinite(parsed) ? Math.min(Math.max(parsed, 1), MAX_CONCURRENCY) : DEFAULT_CONCURRENCY;
+    drain();
+}
+
+/**
+ * Current queue and active checks, for the dashboard
+ * @returns {object} - { concurrency, queueDepth, activeCount, queued, active }
+ */
+export function getPoolStats() {
+    const queued = getJobsByStatus('queued');
+    return {
+        concurrency,
+        queueDepth: queued.length,
+        activeCount: active.size,
+        queued: queued.map(({ id, targetId, url, runAfter, attempts, lastError }) => ({ jobId: id, targetId, url, runAfter, attempts, lastError })),
+        active: [...active.values()].map(({ job, startedAt }) => ({ jobId: job.id, kind: job.kind || 'check', targetId: job.targetId, url: job.url, startedAt, attempt: job.attempts }))
+    };
+}
+
+/**
+ * Queue a check for a target
+ * @param {object} target - Target to check
+ * @param {string} source - 'scheduler' or 'manual'
+ * @returns {boolean} - false if the target already had a queued or running job
+ */
+export function enqueueCheck(target, source = 'scheduler') {
+    const pending = getPendingJobForTarget(target.id);
+    if (pending) {
+        // A manual request skips any remaining retry backoff
+        if (source === 'manual' && pending.status === 'queued') {
+            updateJob(pending.id, { runAfter: new Date().toISOString() });
+            changeCallback(getPoolStats());
+            drain();
+        }
+        return false;
+    }
+
+    createJob({ targetId: target.id, url: target.url, source, maxAttempts: MAX_ATTEMPTS });
+    changeCallback(getPoolStats());
+    drain();
+    return true;
+}
+
+/**
+ * Run a check that answers a request directly (a dry run) under the same limits as queued
+ * jobs: it waits for a free slot and for its host to be idle, and never overlaps another
+ * check of the same target. It is not stored in the jobs table and is never retried.
+ * @param {object} target - Target to check
+ * @param {string} kind - Shown in the pool stats, e.g. 'dry-run'
+ * @param {function} task - async () => result, performs the check once the slot is taken
+ * @returns {Promise<*>|null} - Resolves with the task's result, null if the target already has a check queued or running
+ */
+export function runInteractiveCheck(target, kind, task) {
+    const busy = getPendingJobForTarget(target.id)
+        || [...active.values()].some(entry => entry.job.targetId === target.id)
+        || waiting.some(entry => entry.targetId === target.id);
+    if (busy) return null;
+
+    const done = new Promise((resolve, reject) => {
+        waiting.push({ kind, targetId: target.id, url: target.url, task, resolve, reject });
+    });
+    drain();
+    return done;
+}
+
+/**
+ * Drop a target's queued jobs (running checks are not affected)
+ * @param {string} targetId - Target ID
+ */
+export function removeFromQueue(targetId) {
+    if (deleteQueuedJobsForTarget(targetId) > 0) {
+        changeCallback(getPoolStats());
+    }
+}
+
+// Record the outcome of a job and schedule a retry if attempts remain
+function finishJob(job, outcome) {
+    const now = new Date();
+
+    if (outcome.cancelled) {
+        updateJob(job.id, { status: 'cancelled', finishedAt: now.toISOString(), lastError: 'Cancelled by user' });
+    } else if (outcome.ok) {
+        updateJob(job.id, { status: 'succeeded', finishedAt: now.toISOString(), lastError: null });
+    } else if (outcome.retry !== false && job.attempts < job.maxAttempts) {
+        const delay = getRetryDelay(job.attempts);
+        console.log(`[POOL] Job ${job.id} (${job.url}) failed attempt ${job.attempts}/${job.maxAttempts}, retrying in ${Math.round(delay / 1000)}s`);
+        updateJob(job.id, {
+            status: 'queued',
+            startedAt: null,
+            runAfter: new Date(now.getTime() + delay).toISOString(),
+            lastError: outcome.error || 'Unknown error'
+        });
+    } else {
+        updateJob(job.id, { status: 'failed', finishedAt: now.toISOString(), lastError: outcome.error || 'Unknown error' });
+    }
+}
+
+// Start as many due jobs as the limits allow
+function drain() {
+    if (!runner || paused) return;
+
+    const now = new Date().toISOString();
+    const busyHosts = new Set([...active.values()].map(entry => entry.host));
+    const busyTargets = new Set([...active.values()].map(entry => entry.job.targetId));
+    let started = 0;
+
+    // Interactive checks first, someone is waiting for their answer
+    for (const entry of [...waiting]) {
+        if (active.size >= concurrency) break;
+        const host = hostKey(entry.url);
+        if (busyHosts.has(host)) continue;
+
+        waiting.splice(waiting.indexOf(entry), 1);
+        const job = { id: `${entry.kind}-${++interactiveCount}`, kind: entry.kind, targetId: entry.targetId, url: entry.url, attempts: 1 };
+        active.set(job.id, { job, host, startedAt: new Date().toISOString() });
+        busyHosts.add(host);
+        busyTargets.add(job.targetId);
+        started++;
+
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                active.delete(job.id);
+                changeCallback(getPoolStats());
+                drain();
+            });
+    }
+
+    for (const job of getJobsByStatus('queued')) {
+        if (active.size >= concurrency) break;
+        if (job.runAfter > now) continue; // Waiting for retry backoff
+        if (busyTargets.has(job.targetId)) continue; // Its target is in a dry run
+        const host = hostKey(job.url);
+        if (busyHosts.has(host)) continue;
+
+        const startedAt = new Date().toISOString();
+        updateJob(job.id, { status: 'running', attempts: job.attempts + 1, startedAt });
+        const running = getJob(job.id);
+        active.set(job.id, { job: running, host, startedAt });
+        busyHosts.add(host);
+        busyTargets.add(job.targetId);
+        started++;
+
+        Promise.resolve()
+            .then(() => runner(running))
+            .catch(err => ({ ok: false, error: err.message }))
+            .then(outcome => finishJob(running, outcome || { ok: true }))
+            .catch(err => console.error(`[POOL] Failed to record outcome of job ${job.id}:`, err))
+            .finally(() => {
+                active.delete(job.id);
+                changeCallback(getPoolStats());
+                drain();
+            });
+    }
+
+    if (started > 0) changeCallback(getPoolStats());
+}
+
+/**
+ * Stop starting new jobs, running ones finish normally (see getPoolStats().activeCount)
+ */
+export function pauseCheckPool() {
+    paused = true;
+}
+
+/**
+ * Start jobs again after pauseCheckPool, re-queuing any left running in the jobs table,
+ * as a restored database can hold jobs that were running when its backup was taken
+ */
+export function resumeCheckPool() {
+    paused = false;
+    const resumed = requeueInterruptedJobs();
+    if (resumed > 0) console.log(`[POOL] Re-queued ${resumed} job(s) interrupted before the pause`);
+    changeCallback(getPoolStats());
+    drain();
+}
+
+/**
+ * Start processing the queue, picking up any job interrupted by a restart
+ * @param {function} runCheck - async (job) => ({ ok, error, retry }), performs one check; retry: false fails it without retrying
+ * @param {function} onChange - Called with getPoolStats() whenever the queue changes
+ * @param {number|string} initialConcurrency - Starting concurrency limit
+ */
+export function startCheckPool(runCheck, onChange, initialConcurrency) {
+    runner = runCheck;
+    changeCallback = onChange || changeCallback;
+
+    const resumed = requeueInterruptedJobs();
+    if (resumed > 0) console.log(`[POOL] Re-queued ${resumed} job(s) interrupted by a restart`);
+
+    const prune = () => pruneFinishedJobs(new Date(Date.now() - JOB_RETENTION_MS).toISOString());
+    prune();
+    setInterval(prune, PRUNE_INTERVAL_MS);
+
+    configureCheckPool(initialConcurrency);
+    setInterval(drain, POLL_INTERVAL_MS);
+}
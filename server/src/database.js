@@ -1,20 +1,20 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
+import { runMigrations, listMigrations } from './migrate.js';
+import { loadMasterKey, getMasterKeyInfo, encryptSecret, decryptSecret, secretKeyId, isKnownKey, ENCRYPTED_SETTINGS } from './secrets.js';
+import { INTERRUPTED_REASON } from './failures.js';
 
-const DATA_DIR = path.resolve('data');
+export const DATA_DIR = path.resolve('data');
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
 const DB_PATH = path.join(DATA_DIR, 'database.sqlite');
-const db = new Database(DB_PATH);
 
-// Enable WAL mode for concurrency
-db.pragma('journal_mode = WAL');
-
-// Initialize Schema
-db.exec(`
+// Initial schema (version 0), the tables of the pre-migration versions. Every table and column
+// added since is created by a numbered file in src/migrations, see openDatabase below.
+const INITIAL_SCHEMA = `
   CREATE TABLE IF NOT EXISTS targets (
     id TEXT PRIMARY KEY,
     url TEXT NOT NULL,
@@ -33,102 +33,237 @@ db.exec(`
     key TEXT PRIMARY KEY,
     value TEXT
   );
-`);
+`;
+
+// Replaced by restoreDatabase(), so every helper prepares its statements on the current connection
+let db;
+
+// Every stored secret as a { value } row, to check which master key they need.
+// Backups from before webhooks existed have no webhooks table.
+const SECRET_SETTING_KEYS = ENCRYPTED_SETTINGS.map(key => `'${key}'`).join(', ');
+const hasTable = (conn, table) => !!conn.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+const storedSecrets = (conn) => [
+    ...conn.prepare(`SELECT password AS value FROM targets WHERE password IS NOT NULL AND password != ''`).all(),
+    ...conn.prepare(`SELECT value FROM settings WHERE key IN (${SECRET_SETTING_KEYS}) AND value IS NOT NULL AND value != ''`).all(),
+    ...(hasTable(conn, 'webhooks') ? conn.prepare(`SELECT headers AS value FROM webhooks WHERE headers IS NOT NULL AND headers != ''`).all() : [])
+];
+
+// Secrets neither the loaded master key nor a retired one can decrypt, by key id
+const foreignSecretKeys = (conn) => {
+    const ids = storedSecrets(conn).map(row => secretKeyId(row.value)).filter(id => id && !isKnownKey(id));
+    return [...new Set(ids)];
+};
 
-// Migration Logic: Import from JSON if DB is empty
-const TARGETS_JSON = path.join(DATA_DIR, 'targets.json');
-const SETTINGS_JSON = path.join(DATA_DIR, 'settings.json');
+/**
+ * Rewrite every stored secret in one transaction, for master key rotation
+ * @param {function} transform - (storedValue) => newStoredValue
+ * @returns {number} - Secrets rewritten
+ */
+export const rewriteSecrets = (transform) => db.transaction(() => {
+    const targetRows = db.prepare(`SELECT id, password FROM targets WHERE password IS NOT NULL AND password != ''`).all();
+    const updateTarget = db.prepare('UPDATE targets SET password = ? WHERE id = ?');
+    targetRows.forEach(row => updateTarget.run(transform(row.password), row.id));
 
-const targetCount = db.prepare('SELECT count(*) as count FROM targets').get();
-if (targetCount.count === 0 && fs.existsSync(TARGETS_JSON)) {
-    console.log('[DB] Migrating targets.json to SQLite...');
+    const settingRows = db.prepare(`SELECT key, value FROM settings WHERE key IN (${SECRET_SETTING_KEYS}) AND value IS NOT NULL AND value != ''`).all();
+    const updateSetting = db.prepare('UPDATE settings SET value = ? WHERE key = ?');
+    settingRows.forEach(row => updateSetting.run(transform(row.value), row.key));
+
+    const webhookRows = db.prepare(`SELECT id, headers FROM webhooks WHERE headers IS NOT NULL AND headers != ''`).all();
+    const updateWebhook = db.prepare('UPDATE webhooks SET headers = ? WHERE id = ?');
+    webhookRows.forEach(row => updateWebhook.run(transform(row.headers), row.id));
+
+    return targetRows.length + settingRows.length + webhookRows.length;
+})();
+
+const openDatabase = async () => {
+    db = new Database(DB_PATH);
+    // Enable WAL mode for concurrency
+    db.pragma('journal_mode = WAL');
+    db.exec(INITIAL_SCHEMA);
+    // Tables, columns and data changes after the initial schema live in src/migrations, one numbered file each.
+    // Refuses to go on if the database was written by a newer version.
+    await runMigrations(db, { dataDir: DATA_DIR });
+
+    const foreign = foreignSecretKeys(db);
+    if (foreign.length > 0) {
+        throw new Error(`Stored secrets were encrypted with master key ${foreign.join(', ')} but the loaded key is ${getMasterKeyInfo().id}. Set SECRETS_KEY or SECRETS_KEY_FILE to the key they were written with.`);
+    }
+
+    // A backup taken before a key rotation comes back under a retired key, move it to the current one
+    const currentKeyId = getMasterKeyInfo().id;
+    const isRetired = (value) => !!secretKeyId(value) && secretKeyId(value) !== currentKeyId;
+    const retired = storedSecrets(db).filter(row => isRetired(row.value)).length;
+    if (retired > 0) {
+        rewriteSecrets(value => isRetired(value) ? encryptSecret(decryptSecret(value)) : value);
+        console.log(`[SECRETS] Re-encrypted ${retired} secret(s) from a retired key to key ${currentKeyId}`);
+    }
+};
+
+// Needed by the migration that encrypts plaintext secrets, so loaded first
+const masterKey = loadMasterKey(DATA_DIR);
+console.log(`[SECRETS] Using master key ${masterKey.id} from ${masterKey.source === 'env' ? 'SECRETS_KEY' : masterKey.file}`);
+await openDatabase();
+
+/**
+ * Consistent copy of the live database, taken page by page while it stays in use
+ * @param {string} destination - File to write
+ */
+export const backupDatabase = async (destination) => {
+    await db.backup(destination);
+    // The copy inherits WAL mode, switch it back so it stays a single self-contained file
+    const copy = new Database(destination);
     try {
-        const targets = JSON.parse(fs.readFileSync(TARGETS_JSON, 'utf-8'));
-        const insert = db.prepare(`
-            INSERT INTO targets (id, url, pseudo, email, password, status, logs, lastCheck, forumType, robotsInfo, invitationCodes)
-            VALUES (@id, @url, @pseudo, @email, @password, @status, @logs, @lastCheck, @forumType, @robotsInfo, @invitationCodes)
-        `);
-        const insertMany = db.transaction((list) => {
-            for (const t of list) {
-                insert.run({
-                    id: t.id,
-                    url: t.url,
-                    pseudo: t.pseudo,
-                    email: t.email,
-                    password: t.password,
-                    status: t.status,
-                    logs: JSON.stringify(t.logs || []),
-                    lastCheck: t.lastCheck,
-                    forumType: t.forumType,
-                    robotsInfo: JSON.stringify(t.robotsInfo || {}),
-                    invitationCodes: JSON.stringify(t.invitationCodes || [])
-                });
-            }
-        });
-        insertMany(targets);
-        console.log(`[DB] Imported ${targets.length} targets.`);
-        fs.renameSync(TARGETS_JSON, TARGETS_JSON + '.bak'); // Rename to prevent re-import
-    } catch (e) {
-        console.error('[DB] Migration failed:', e);
+        copy.pragma('journal_mode = DELETE');
+    } finally {
+        copy.close();
     }
-}
+};
 
-const settingsCount = db.prepare('SELECT count(*) as count FROM settings').get();
-if (settingsCount.count === 0 && fs.existsSync(SETTINGS_JSON)) {
-    console.log('[DB] Migrating settings.json to SQLite...');
+/**
+ * Check that a file is a Forum Sniper database this version can open
+ * @param {string} file - SQLite file
+ * @returns {object} - { schemaVersion, targets }
+ * @throws {Error} - If the file is corrupt, not a Forum Sniper database, or from a newer version
+ */
+export const inspectDatabaseFile = (file) => {
+    const candidate = new Database(file, { readonly: true, fileMustExist: true });
     try {
-        const settings = JSON.parse(fs.readFileSync(SETTINGS_JSON, 'utf-8'));
-        const insert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)');
-        const insertMany = db.transaction((obj) => {
-            for (const [k, v] of Object.entries(obj)) {
-                insert.run(k, String(v));
-            }
-        });
-        insertMany(settings);
-        console.log('[DB] Imported settings.');
-        fs.renameSync(SETTINGS_JSON, SETTINGS_JSON + '.bak');
-    } catch (e) {
-        console.error('[DB] Settings migration failed:', e);
+        const integrity = candidate.pragma('integrity_check', { simple: true });
+        if (integrity !== 'ok') throw new Error(`Integrity check failed: ${integrity}`);
+
+        const tables = new Set(candidate.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(r => r.name));
+        if (!tables.has('targets') || !tables.has('settings')) throw new Error('Not a Forum Sniper database');
+
+        const schemaVersion = tables.has('schema_migrations')
+            ? candidate.prepare('SELECT max(version) AS version FROM schema_migrations').get().version || 0
+            : 0;
+        const known = listMigrations().at(-1)?.version || 0;
+        if (schemaVersion > known) throw new Error(`Schema version ${schemaVersion} is newer than this build knows (${known})`);
+
+        const foreign = foreignSecretKeys(candidate);
+        if (foreign.length > 0) throw new Error(`Secrets are encrypted with master key ${foreign.join(', ')}, neither the loaded key ${getMasterKeyInfo().id} nor a retired one`);
+
+        return { schemaVersion, targets: candidate.prepare('SELECT count(*) AS count FROM targets').get().count };
+    } finally {
+        candidate.close();
     }
-}
+};
+
+/**
+ * Replace the live database with another file and migrate it to the current schema.
+ * If the file cannot be opened or migrated, the previous database is put back.
+ * The caller must make sure nothing else writes in the meantime.
+ * @param {string} source - Validated SQLite file (see inspectDatabaseFile)
+ * @throws {Error} - If the restored file fails to open or migrate
+ */
+export const restoreDatabase = async (source) => {
+    // Copy next to the live file first, so the swap itself is a rename
+    const incoming = `${DB_PATH}.restore`;
+    const previous = `${DB_PATH}.previous`;
+    fs.copyFileSync(source, incoming);
+
+    // Closing the last connection checkpoints the WAL, the main file then holds everything
+    db.close();
+    for (const suffix of ['-wal', '-shm']) fs.rmSync(DB_PATH + suffix, { force: true });
+    fs.renameSync(DB_PATH, previous);
+    fs.renameSync(incoming, DB_PATH);
+
+    try {
+        await openDatabase();
+    } catch (err) {
+        if (db.open) db.close();
+        for (const suffix of ['-wal', '-shm']) fs.rmSync(DB_PATH + suffix, { force: true });
+        fs.renameSync(previous, DB_PATH);
+        await openDatabase();
+        throw err;
+    }
+    fs.rmSync(previous, { force: true });
+};
 
 // Helpers
 export const getAllTargets = () => {
     const rows = db.prepare('SELECT * FROM targets').all();
     return rows.map(r => ({
         ...r,
-        logs: JSON.parse(r.logs || '[]'),
+        password: decryptSecret(r.password),
+        logs: getLatestLogs(r.id),
         robotsInfo: JSON.parse(r.robotsInfo || '{}'),
-        invitationCodes: JSON.parse(r.invitationCodes || '[]')
+        invitationCodes: JSON.parse(r.invitationCodes || '[]'),
+        schedule: r.schedule ? JSON.parse(r.schedule) : null,
+        formFields: r.formFields ? JSON.parse(r.formFields) : [],
+        formFingerprint: r.formFingerprint ? JSON.parse(r.formFingerprint) : null,
+        formChanges: r.formChanges ? JSON.parse(r.formChanges) : [],
+        watch: r.watch ? JSON.parse(r.watch) : null,
+        expectedOpening: r.expectedOpening ? JSON.parse(r.expectedOpening) : null,
+        aliases: JSON.parse(r.aliases || '[]'),
+        domainMove: r.domainMove ? JSON.parse(r.domainMove) : null,
+        tags: JSON.parse(r.tags || '[]'),
+        enabled: !!r.enabled
     }));
 };
 
 export const upsertTarget = (target) => {
     const stmt = db.prepare(`
-        INSERT INTO targets (id, url, pseudo, email, password, status, logs, lastCheck, forumType, robotsInfo, invitationCodes)
-        VALUES (@id, @url, @pseudo, @email, @password, @status, @logs, @lastCheck, @forumType, @robotsInfo, @invitationCodes)
+        INSERT INTO targets (id, url, pseudo, email, password, status, lastCheck, forumType, robotsInfo, invitationCodes, schedule, nextCheckAt, mode, formFields,
+            formFingerprint, formChanges, formChangedAt, type, watch, watchChangedAt, expectedOpening, nextCheckReason, failureReason, aliases, domainMove,
+            tags, priority, notes, enabled)
+        VALUES (@id, @url, @pseudo, @email, @password, @status, @lastCheck, @forumType, @robotsInfo, @invitationCodes, @schedule, @nextCheckAt, @mode, @formFields,
+            @formFingerprint, @formChanges, @formChangedAt, @type, @watch, @watchChangedAt, @expectedOpening, @nextCheckReason, @failureReason, @aliases, @domainMove,
+            @tags, @priority, @notes, @enabled)
         ON CONFLICT(id) DO UPDATE SET
-        url=@url, pseudo=@pseudo, email=@email, password=@password, status=@status, logs=@logs, lastCheck=@lastCheck,
-        forumType=@forumType, robotsInfo=@robotsInfo, invitationCodes=@invitationCodes
+        url=@url, pseudo=@pseudo, email=@email, password=@password, status=@status, lastCheck=@lastCheck,
+        forumType=@forumType, robotsInfo=@robotsInfo, invitationCodes=@invitationCodes, schedule=@schedule, nextCheckAt=@nextCheckAt,
+        mode=@mode, formFields=@formFields, formFingerprint=@formFingerprint, formChanges=@formChanges, formChangedAt=@formChangedAt,
+        type=@type, watch=@watch, watchChangedAt=@watchChangedAt, expectedOpening=@expectedOpening, nextCheckReason=@nextCheckReason, failureReason=@failureReason, aliases=@aliases, domainMove=@domainMove,
+        tags=@tags, priority=@priority, notes=@notes, enabled=@enabled
     `);
     const info = stmt.run({
         ...target,
-        logs: JSON.stringify(target.logs || []),
+        forumType: target.forumType ?? null,
         robotsInfo: JSON.stringify(target.robotsInfo || {}),
-        invitationCodes: JSON.stringify(target.invitationCodes || [])
+        invitationCodes: JSON.stringify(target.invitationCodes || []),
+        schedule: target.schedule ? JSON.stringify(target.schedule) : null,
+        nextCheckAt: target.nextCheckAt ?? null,
+        mode: target.mode || 'auto-register',
+        formFields: JSON.stringify(target.formFields || []),
+        formFingerprint: target.formFingerprint ? JSON.stringify(target.formFingerprint) : null,
+        formChanges: JSON.stringify(target.formChanges || []),
+        formChangedAt: target.formChangedAt ?? null,
+        type: target.type || 'registration',
+        watch: target.watch ? JSON.stringify(target.watch) : null,
+        watchChangedAt: target.watchChangedAt ?? null,
+        expectedOpening: target.expectedOpening ? JSON.stringify(target.expectedOpening) : null,
+        nextCheckReason: target.nextCheckReason ?? null,
+        failureReason: target.failureReason ?? null,
+        aliases: JSON.stringify(target.aliases || []),
+        domainMove: target.domainMove ? JSON.stringify(target.domainMove) : null,
+        tags: JSON.stringify(target.tags || []),
+        priority: target.priority || 'normal',
+        notes: target.notes ?? null,
+        enabled: target.enabled === false ? 0 : 1,
+        password: encryptSecret(target.password ?? null)
     });
     return info;
 };
 
 export const deleteTarget = (id) => {
-    return db.prepare('DELETE FROM targets WHERE id = ?').run(id);
+    return db.transaction(() => {
+        db.prepare('DELETE FROM check_runs WHERE targetId = ?').run(id);
+        db.prepare('DELETE FROM logs WHERE targetId = ?').run(id);
+        db.prepare('DELETE FROM check_artifacts WHERE targetId = ?').run(id);
+        db.prepare('DELETE FROM watch_versions WHERE targetId = ?').run(id);
+        // Finished and running jobs too, a running check that ends afterwards updates nothing
+        db.prepare('DELETE FROM jobs WHERE targetId = ?').run(id);
+        db.prepare('DELETE FROM notification_deliveries WHERE targetId = ?').run(id);
+        return db.prepare('DELETE FROM targets WHERE id = ?').run(id);
+    })();
 };
 
 export const getSettings = () => {
     const rows = db.prepare('SELECT * FROM settings').all();
     const settings = {};
     for (const row of rows) {
-        settings[row.key] = row.value;
+        settings[row.key] = ENCRYPTED_SETTINGS.includes(row.key) ? decryptSecret(row.value) : row.value;
     }
     return settings;
 };
@@ -138,11 +273,448 @@ export const saveSettings = (newSettings) => {
     const updateMany = db.transaction((obj) => {
         for (const [k, v] of Object.entries(obj)) {
             if (v !== undefined) {
-                insert.run({ key: k, value: String(v) });
+                insert.run({ key: k, value: ENCRYPTED_SETTINGS.includes(k) ? encryptSecret(String(v)) : String(v) });
             }
         }
     });
     updateMany(newSettings);
 };
 
+// Jobs (durable check queue)
+export const createJob = ({ targetId, url, source = 'scheduler', maxAttempts = 3, runAfter = new Date().toISOString() }) => {
+    const info = db.prepare(`
+        INSERT INTO jobs (targetId, url, status, source, attempts, maxAttempts, runAfter, createdAt)
+        VALUES (@targetId, @url, 'queued', @source, 0, @maxAttempts, @runAfter, @createdAt)
+    `).run({ targetId, url, source, maxAttempts, runAfter, createdAt: new Date().toISOString() });
+    return getJob(info.lastInsertRowid);
+};
+
+export const getJob = (id) => {
+    return db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+};
+
+export const updateJob = (id, fields) => {
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return;
+    const assignments = keys.map(k => `${k}=@${k}`).join(', ');
+    db.prepare(`UPDATE jobs SET ${assignments} WHERE id = @id`).run({ ...fields, id });
+};
+
+// The queued or running job for a target, if any
+export const getPendingJobForTarget = (targetId) => {
+    return db.prepare(`SELECT * FROM jobs WHERE targetId = ? AND status IN ('queued', 'running') ORDER BY id LIMIT 1`).get(targetId);
+};
+
+export const getJobsByStatus = (status, limit = 100) => {
+    return db.prepare('SELECT * FROM jobs WHERE status = ? ORDER BY runAfter, id LIMIT ?').all(status, limit);
+};
+
+export const getRecentJobs = (limit = 50) => {
+    return db.prepare('SELECT * FROM jobs ORDER BY id DESC LIMIT ?').all(limit);
+};
+
+// Jobs left "running" by a crash or restart go back to the queue, unless they used all their attempts
+export const requeueInterruptedJobs = () => {
+    const now = new Date().toISOString();
+    return db.transaction(() => {
+        db.prepare(`UPDATE jobs SET status = 'failed', finishedAt = ?, lastError = 'Interrupted by restart' WHERE status = 'running' AND attempts >= maxAttempts`).run(now);
+        return db.prepare(`UPDATE jobs SET status = 'queued', startedAt = NULL, runAfter = ? WHERE status = 'running'`).run(now).changes;
+    })();
+};
+
+export const deleteQueuedJobsForTarget = (targetId) => {
+    return db.prepare(`DELETE FROM jobs WHERE targetId = ? AND status = 'queued'`).run(targetId).changes;
+};
+
+export const pruneFinishedJobs = (olderThanIso) => {
+    return db.prepare(`DELETE FROM jobs WHERE status IN ('succeeded', 'failed', 'cancelled') AND finishedAt < ?`).run(olderThanIso).changes;
+};
+
+// Check Runs (per-target history)
+const parseCheckRun = (r) => r && ({
+    ...r,
+    invitationCodes: JSON.parse(r.invitationCodes || '[]'),
+    formFields: JSON.parse(r.formFields || '[]'),
+    formChanges: JSON.parse(r.formChanges || '[]')
+});
+
+export const startCheckRun = ({ targetId, jobId = null }) => {
+    const info = db.prepare('INSERT INTO check_runs (targetId, jobId, startedAt) VALUES (?, ?, ?)')
+        .run(targetId, jobId, new Date().toISOString());
+    return info.lastInsertRowid;
+};
+
+export const finishCheckRun = (id, { status, forumType = null, invitationCodes = [], formFields = [], formChanges = [], traceFile = null, error = null, failureReason = null, redirectedTo = null }) => {
+    const run = db.prepare('SELECT startedAt FROM check_runs WHERE id = ?').get(id);
+    if (!run) return null;
+    const finishedAt = new Date();
+    db.prepare(`
+        UPDATE check_runs SET finishedAt = @finishedAt, durationMs = @durationMs, status = @status,
+        forumType = @forumType, invitationCodes = @invitationCodes, formFields = @formFields, formChanges = @formChanges,
+        traceFile = @traceFile, error = @error, failureReason = @failureReason, redirectedTo = @redirectedTo
+        WHERE id = @id
+    `).run({
+        id,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+        status,
+        forumType,
+        invitationCodes: JSON.stringify(invitationCodes || []),
+        formFields: JSON.stringify(formFields || []),
+        formChanges: JSON.stringify(formChanges || []),
+        traceFile,
+        error,
+        failureReason,
+        redirectedTo
+    });
+    return getCheckRun(id);
+};
+
+export const getCheckRun = (id) => {
+    return parseCheckRun(db.prepare('SELECT * FROM check_runs WHERE id = ?').get(id));
+};
+
+// Newest first
+export const getCheckRuns = (targetId, { limit = 20, offset = 0 } = {}) => {
+    const runs = db.prepare(`
+        SELECT r.*, (SELECT count(*) FROM check_artifacts a WHERE a.checkRunId = r.id) AS artifactCount
+        FROM check_runs r WHERE r.targetId = ? ORDER BY r.startedAt DESC, r.id DESC LIMIT ? OFFSET ?
+    `)
+        .all(targetId, limit, offset)
+        .map(parseCheckRun);
+    const { total } = db.prepare('SELECT count(*) as total FROM check_runs WHERE targetId = ?').get(targetId);
+    return { runs, total };
+};
+
+// Every finished run of a target, oldest first, without instance-local references (for bundle export)
+export const getCheckRunsForExport = (targetId) => {
+    return db.prepare(`
+        SELECT startedAt, finishedAt, durationMs, status, forumType, invitationCodes, formFields, formChanges, error, failureReason, redirectedTo
+        FROM check_runs WHERE targetId = ? AND finishedAt IS NOT NULL ORDER BY startedAt ASC
+    `).all(targetId).map(parseCheckRun);
+};
+
+// Add runs from an imported bundle, skipping those already recorded with the same start time
+export const importCheckRuns = (targetId, runs, { dryRun = false } = {}) => {
+    const exists = db.prepare('SELECT 1 FROM check_runs WHERE targetId = ? AND startedAt = ?');
+    const insert = db.prepare(`
+        INSERT INTO check_runs (targetId, startedAt, finishedAt, durationMs, status, forumType, invitationCodes, formFields, formChanges, error, failureReason, redirectedTo)
+        VALUES (@targetId, @startedAt, @finishedAt, @durationMs, @status, @forumType, @invitationCodes, @formFields, @formChanges, @error, @failureReason, @redirectedTo)
+    `);
+    return db.transaction(() => {
+        const seen = new Set();
+        let added = 0;
+        for (const run of runs) {
+            if (!run?.startedAt || seen.has(run.startedAt) || exists.get(targetId, run.startedAt)) continue;
+            seen.add(run.startedAt);
+            added++;
+            if (dryRun) continue;
+            insert.run({
+                targetId,
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt ?? null,
+                durationMs: run.durationMs ?? null,
+                status: run.status ?? null,
+                forumType: run.forumType ?? null,
+                invitationCodes: JSON.stringify(run.invitationCodes || []),
+                formFields: JSON.stringify(run.formFields || []),
+                formChanges: JSON.stringify(run.formChanges || []),
+                error: run.error ?? null,
+                failureReason: run.failureReason ?? null,
+                redirectedTo: run.redirectedTo ?? null
+            });
+        }
+        return added;
+    })();
+};
+
+// Outcome of every finished run since a date, oldest first (for learning opening patterns)
+export const getRunOutcomes = (targetId, sinceIso) => {
+    return db.prepare(`
+        SELECT startedAt, status FROM check_runs
+        WHERE targetId = ? AND startedAt >= ? AND finishedAt IS NOT NULL AND failureReason IS NOT ?
+        ORDER BY startedAt ASC
+    `).all(targetId, sinceIso, INTERRUPTED_REASON);
+};
+
+// Failed runs across all targets, newest first (for the daily digest)
+export const getErroredCheckRunsSince = (sinceIso) => {
+    return db.prepare(`
+        SELECT r.*, t.url FROM check_runs r LEFT JOIN targets t ON t.id = r.targetId
+        WHERE r.status IN ('ERROR', 'DOWN') AND r.finishedAt >= ? AND r.failureReason IS NOT ?
+        ORDER BY r.finishedAt DESC
+    `).all(sinceIso, INTERRUPTED_REASON).map(parseCheckRun);
+};
+
+export const getTraceFilesForTarget = (targetId) => {
+    return db.prepare('SELECT traceFile FROM check_runs WHERE targetId = ? AND traceFile IS NOT NULL').all(targetId).map(r => r.traceFile);
+};
+
+// Forget traces removed by retention
+export const clearTraceFiles = (files) => {
+    const clear = db.prepare('UPDATE check_runs SET traceFile = NULL WHERE traceFile = ?');
+    db.transaction(() => files.forEach(file => clear.run(file)))();
+};
+
+// Runs cut short by a crash or restart never got an end time. Their reason keeps them out of uptime and the digest.
+export const closeInterruptedCheckRuns = () => {
+    return db.prepare(`
+        UPDATE check_runs SET finishedAt = ?, status = 'ERROR', error = 'Interrupted by restart', failureReason = ?
+        WHERE finishedAt IS NULL
+    `).run(new Date().toISOString(), INTERRUPTED_REASON).changes;
+};
+
+// Logs
+export const insertLog = ({ targetId = null, checkRunId = null, level = 'info', step = null, message }) => {
+    const timestamp = new Date().toISOString();
+    const info = db.prepare('INSERT INTO logs (timestamp, targetId, checkRunId, level, step, message) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(timestamp, targetId, checkRunId, level, step, message);
+    return { id: info.lastInsertRowid, timestamp, targetId, checkRunId, level, step, message };
+};
+
+// Newest first, for the live panel on each target card
+export const getLatestLogs = (targetId, limit = 50) => {
+    return db.prepare('SELECT * FROM logs WHERE targetId = ? ORDER BY id DESC LIMIT ?').all(targetId, limit);
+};
+
+/**
+ * Search logs, newest first
+ * @param {object} filters - { targetId, checkRunId, levels, step, search, from, to, limit, offset }
+ * @returns {object} - { logs, total }
+ */
+export const queryLogs = ({ targetId, checkRunId, levels, step, search, from, to, limit = 100, offset = 0 } = {}) => {
+    const where = [];
+    const params = {};
+    if (targetId) { where.push('targetId = @targetId'); params.targetId = targetId; }
+    if (checkRunId) { where.push('checkRunId = @checkRunId'); params.checkRunId = checkRunId; }
+    if (levels?.length > 0) {
+        where.push(`level IN (${levels.map((_, i) => `@level${i}`).join(', ')})`);
+        levels.forEach((level, i) => { params[`level${i}`] = level; });
+    }
+    if (step) { where.push('step = @step'); params.step = step; }
+    if (search) {
+        where.push(`message LIKE @search ESCAPE '\\'`);
+        params.search = `%${search.replace(/[\\%_]/g, c => '\\' + c)}%`;
+    }
+    if (from) { where.push('timestamp >= @from'); params.from = from; }
+    if (to) { where.push('timestamp <= @to'); params.to = to; }
+
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const logs = db.prepare(`SELECT * FROM logs ${clause} ORDER BY timestamp DESC, id DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset });
+    const { total } = db.prepare(`SELECT count(*) as total FROM logs ${clause}`).get(params);
+    return { logs, total };
+};
+
+// Drop logs past the retention window, then cap each target to its newest maxPerTarget rows
+export const pruneLogs = (olderThanIso, maxPerTarget) => {
+    return db.transaction(() => {
+        let removed = db.prepare('DELETE FROM logs WHERE timestamp < ?').run(olderThanIso).changes;
+        if (maxPerTarget > 0) {
+            removed += db.prepare(`
+                DELETE FROM logs WHERE id IN (
+                    SELECT id FROM (
+                        SELECT id, ROW_NUMBER() OVER (PARTITION BY targetId ORDER BY id DESC) AS rank FROM logs
+                    ) WHERE rank > ?
+                )
+            `).run(maxPerTarget).changes;
+        }
+        return removed;
+    })();
+};
+
+// Check Artifacts (screenshots and HTML captured during a run)
+export const insertArtifact = ({ checkRunId, targetId, stage, kind, file, url = null, size = null }) => {
+    const createdAt = new Date().toISOString();
+    const info = db.prepare(`
+        INSERT INTO check_artifacts (checkRunId, targetId, stage, kind, file, url, size, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(checkRunId, targetId, stage, kind, file, url, size, createdAt);
+    return { id: info.lastInsertRowid, checkRunId, targetId, stage, kind, file, url, size, createdAt };
+};
+
+// In capture order
+export const getArtifactsForRun = (checkRunId) => {
+    return db.prepare('SELECT * FROM check_artifacts WHERE checkRunId = ? ORDER BY id').all(checkRunId);
+};
+
+export const getArtifact = (id) => {
+    return db.prepare('SELECT * FROM check_artifacts WHERE id = ?').get(id);
+};
+
+// Runs that own artifacts, so their files can be removed with the rows
+export const getArtifactRunIds = ({ targetId = null, olderThanIso = null } = {}) => {
+    if (targetId) {
+        return db.prepare('SELECT DISTINCT checkRunId FROM check_artifacts WHERE targetId = ?').all(targetId).map(r => r.checkRunId);
+    }
+    return db.prepare('SELECT DISTINCT checkRunId FROM check_artifacts WHERE createdAt < ?').all(olderThanIso).map(r => r.checkRunId);
+};
+
+export const deleteArtifactsForRuns = (checkRunIds) => {
+    const remove = db.prepare('DELETE FROM check_artifacts WHERE checkRunId = ?');
+    return db.transaction(() => checkRunIds.reduce((removed, id) => removed + remove.run(id).changes, 0))();
+};
+
+// Watch Versions (text of a watched page, stored only when it changes)
+const WATCH_VERSIONS_KEPT = 50;
+
+export const insertWatchVersion = ({ targetId, checkRunId = null, url = null, text }) => {
+    const capturedAt = new Date().toISOString();
+    return db.transaction(() => {
+        const info = db.prepare('INSERT INTO watch_versions (targetId, checkRunId, capturedAt, url, text) VALUES (?, ?, ?, ?, ?)')
+            .run(targetId, checkRunId, capturedAt, url, text);
+        db.prepare(`
+            DELETE FROM watch_versions WHERE targetId = ? AND id NOT IN (
+                SELECT id FROM watch_versions WHERE targetId = ? ORDER BY id DESC LIMIT ?
+            )
+        `).run(targetId, targetId, WATCH_VERSIONS_KEPT);
+        return { id: info.lastInsertRowid, targetId, checkRunId, capturedAt, url, text };
+    })();
+};
+
+export const getLatestWatchVersion = (targetId) => {
+    return db.prepare('SELECT * FROM watch_versions WHERE targetId = ? ORDER BY id DESC LIMIT 1').get(targetId);
+};
+
+export const getWatchVersion = (id) => {
+    return db.prepare('SELECT * FROM watch_versions WHERE id = ?').get(id);
+};
+
+// Newest first, without the text
+export const getWatchVersions = (targetId) => {
+    return db.prepare(`
+        SELECT id, targetId, checkRunId, capturedAt, url, length(text) AS length
+        FROM watch_versions WHERE targetId = ? ORDER BY id DESC
+    `).all(targetId);
+};
+
+// Webhooks
+// Headers carry tokens, stored encrypted as one JSON object
+const parseWebhook = (r) => r && ({
+    ...r,
+    headers: JSON.parse(decryptSecret(r.headers) || '{}'),
+    statuses: JSON.parse(r.statuses || '[]'),
+    targetIds: JSON.parse(r.targetIds || '[]'),
+    enabled: !!r.enabled
+});
+
+const serializeWebhook = (w) => ({
+    name: w.name,
+    url: w.url,
+    headers: Object.keys(w.headers || {}).length > 0 ? encryptSecret(JSON.stringify(w.headers)) : '{}',
+    bodyTemplate: w.bodyTemplate || null,
+    statuses: JSON.stringify(w.statuses || []),
+    targetIds: JSON.stringify(w.targetIds || []),
+    enabled: w.enabled === false ? 0 : 1
+});
+
+export const getWebhooks = () => {
+    return db.prepare('SELECT * FROM webhooks ORDER BY id').all().map(parseWebhook);
+};
+
+export const getWebhook = (id) => {
+    return parseWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+};
+
+export const createWebhook = (webhook) => {
+    const info = db.prepare(`
+        INSERT INTO webhooks (name, url, headers, bodyTemplate, statuses, targetIds, enabled, createdAt)
+        VALUES (@name, @url, @headers, @bodyTemplate, @statuses, @targetIds, @enabled, @createdAt)
+    `).run({ ...serializeWebhook(webhook), createdAt: new Date().toISOString() });
+    return getWebhook(info.lastInsertRowid);
+};
+
+export const updateWebhook = (id, webhook) => {
+    db.prepare(`
+        UPDATE webhooks SET name=@name, url=@url, headers=@headers, bodyTemplate=@bodyTemplate,
+        statuses=@statuses, targetIds=@targetIds, enabled=@enabled
+        WHERE id=@id
+    `).run({ ...serializeWebhook(webhook), id });
+    return getWebhook(id);
+};
+
+export const deleteWebhook = (id) => {
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+};
+
+// Notification Deliveries
+const parseDelivery = (r) => r && ({ ...r, payload: r.payload ? JSON.parse(r.payload) : null });
+
+export const createDelivery = ({ channel, webhookId = null, targetId = null, event, payload }) => {
+    const now = new Date().toISOString();
+    const info = db.prepare(`
+        INSERT INTO notification_deliveries (channel, webhookId, targetId, event, payload, status, attempts, nextAttemptAt, createdAt)
+        VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)
+    `).run(channel, webhookId, targetId, event, JSON.stringify(payload), now, now);
+    return getDelivery(info.lastInsertRowid);
+};
+
+export const getDelivery = (id) => {
+    return parseDelivery(db.prepare('SELECT * FROM notification_deliveries WHERE id = ?').get(id));
+};
+
+export const updateDelivery = (id, fields) => {
+    const keys = Object.keys(fields);
+    if (keys.length === 0) return;
+    const assignments = keys.map(k => `${k}=@${k}`).join(', ');
+    db.prepare(`UPDATE notification_deliveries SET ${assignments} WHERE id = @id`).run({ ...fields, id });
+};
+
+export const getDueDeliveries = (nowIso, limit = 50) => {
+    return db.prepare(`SELECT * FROM notification_deliveries WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY nextAttemptAt LIMIT ?`)
+        .all(nowIso, limit)
+        .map(parseDelivery);
+};
+
+export const getRecentDeliveries = (limit = 50) => {
+    return db.prepare('SELECT * FROM notification_deliveries ORDER BY id DESC LIMIT ?').all(limit).map(parseDelivery);
+};
+
+export const pruneDeliveries = (olderThanIso) => {
+    return db.prepare(`DELETE FROM notification_deliveries WHERE status != 'pending' AND createdAt < ?`).run(olderThanIso).changes;
+};
+
+// Push Subscriptions (one per browser)
+const parsePushSubscription = (r) => r && ({
+    ...r,
+    keys: JSON.parse(r.keys),
+    statuses: JSON.parse(r.statuses || '[]')
+});
+
+export const getPushSubscriptions = () => {
+    return db.prepare('SELECT * FROM push_subscriptions ORDER BY id').all().map(parsePushSubscription);
+};
+
+export const getPushSubscription = (id) => {
+    return parsePushSubscription(db.prepare('SELECT * FROM push_subscriptions WHERE id = ?').get(id));
+};
+
+export const getPushSubscriptionByEndpoint = (endpoint) => {
+    return parsePushSubscription(db.prepare('SELECT * FROM push_subscriptions WHERE endpoint = ?').get(endpoint));
+};
+
+// Re-subscribing the same browser only refreshes its keys and preferences
+export const savePushSubscription = ({ endpoint, keys, statuses, userAgent = null }) => {
+    db.prepare(`
+        INSERT INTO push_subscriptions (endpoint, keys, statuses, userAgent, createdAt)
+        VALUES (@endpoint, @keys, @statuses, @userAgent, @createdAt)
+        ON CONFLICT(endpoint) DO UPDATE SET keys=@keys, statuses=@statuses, userAgent=@userAgent
+    `).run({
+        endpoint,
+        keys: JSON.stringify(keys),
+        statuses: JSON.stringify(statuses),
+        userAgent,
+        createdAt: new Date().toISOString()
+    });
+    return getPushSubscriptionByEndpoint(endpoint);
+};
+
+export const touchPushSubscription = (id) => {
+    db.prepare('UPDATE push_subscriptions SET lastSuccessAt = ? WHERE id = ?').run(new Date().toISOString(), id);
+};
+
+export const deletePushSubscription = (id) => {
+    return db.prepare('DELETE FROM push_subscriptions WHERE id = ?').run(id).changes;
+};
+
 export { db };
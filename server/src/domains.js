@@ -0,0 +1,69 @@
+/**
+ * Domains Module
+ * Tells whether two URLs belong to the same site, across a target's mirrors and aliases
+ */
+
+import { normalizeUrl } from './urls.js';
+
+export const ALIAS_KINDS = ['mirror', 'alias'];
+
+/**
+ * Key identifying a site: its lower-case host without "www."
+ * @param {string} url - Any URL
+ * @returns {string|null} - e.g. "forum.example.org", null if the URL cannot be parsed
+ */
+export function siteKey(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether a page ended up on another site than the one requested
+ * @param {string} requestedUrl - URL the check navigated to
+ * @param {string} finalUrl - URL after redirects
+ * @returns {boolean}
+ */
+export function isCrossDomain(requestedUrl, finalUrl) {
+    const from = siteKey(requestedUrl);
+    const to = siteKey(finalUrl);
+    return Boolean(from && to && from !== to && /^https?:/.test(finalUrl));
+}
+
+/**
+ * Every site a target answers for: its URL, mirrors, aliases and a confirmed domain move
+ * @param {object} target - Target
+ * @returns {Set<string>} - Site keys
+ */
+export function targetSiteKeys(target) {
+    const urls = [target.url, ...(target.aliases || []).map(a => a.url)];
+    if (target.domainMove?.confirmed && !target.domainMove.dismissed) urls.push(target.domainMove.to);
+    return new Set(urls.map(siteKey).filter(Boolean));
+}
+
+/**
+ * Validate a list of mirror / alias URLs coming from the API
+ * @param {Array<object>} input - [{ url, kind }]
+ * @param {string} primaryUrl - The target's own URL, never listed as an alias
+ * @returns {Array<object>} - Deduplicated [{ url, kind, addedAt }]
+ * @throws {Error} - If an entry is invalid
+ */
+export function normalizeAliases(input, primaryUrl) {
+    if (!Array.isArray(input)) throw new Error('Aliases must be an array');
+
+    const seen = new Set([siteKey(primaryUrl)]);
+    const aliases = [];
+    for (const entry of input) {
+        const url = normalizeUrl(entry?.url);
+        const kind = entry.kind || 'mirror';
+        if (!ALIAS_KINDS.includes(kind)) throw new Error(`Alias kind must be one of: ${ALIAS_KINDS.join(', ')}`);
+
+        const key = siteKey(url);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        aliases.push({ url, kind, addedAt: entry.addedAt || new Date().toISOString() });
+    }
+    return aliases;
+}
@@ -0,0 +1,84 @@
+/**
+ * Check Failure Module
+ * Turns check errors into reason codes and computes uptime from the run history
+ */
+
+export const FAILURE_REASONS = [
+    'DNS', 'CONNECTION', 'HTTP_5XX', 'TIMEOUT', 'BROWSER_UNAVAILABLE',
+    'CHALLENGE_PAGE', 'AI_FAILURE', 'SELECTOR_FAILURE', 'UNKNOWN', 'INTERRUPTED'
+];
+
+// The server stopped mid-check: says nothing about the site, so left out of uptime, patterns and the digest
+export const INTERRUPTED_REASON = 'INTERRUPTED';
+
+// The site itself could not be reached: the target is DOWN rather than in ERROR
+export const DOWN_REASONS = ['DNS', 'CONNECTION', 'HTTP_5XX'];
+
+// Statuses of a check that did not get an answer about registrations
+export const FAILED_STATUSES = ['ERROR', 'DOWN'];
+
+// A retry would hit the same wall: the challenge needs FlareSolverr, the AI provider is misconfigured or refusing
+export const NON_RETRYABLE_REASONS = ['CHALLENGE_PAGE', 'AI_FAILURE'];
+
+// First match wins, so the more specific patterns come first
+const REASON_PATTERNS = [
+    ['SELECTOR_FAILURE', /locator\.\w+:|waiting for (?:locator|selector)|strict mode violation|matched nothing/i],
+    ['BROWSER_UNAVAILABLE', /connectOverCDP|Browserless|browser has been (?:closed|disconnected)|Target page, context or browser has been closed/i],
+    ['DNS', /ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN|getaddrinfo/i],
+    ['CONNECTION', /ERR_CONNECTION_(?:REFUSED|RESET|CLOSED)|ERR_ADDRESS_UNREACHABLE|ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ENETUNREACH|ERR_SSL_PROTOCOL_ERROR|ERR_CERT_/i],
+    ['HTTP_5XX', /\bHTTP 5\d\d\b/],
+    ['TIMEOUT', /timeout|timed out|ETIMEDOUT|ERR_TIMED_OUT/i]
+];
+
+/**
+ * Error carrying its reason code, thrown by the worker when it already knows what went wrong
+ */
+export class CheckFailure extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'CheckFailure';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Reason code of a failed check
+ * @param {Error} error - Error thrown by the worker (or the check timeout)
+ * @returns {string} - One of FAILURE_REASONS
+ */
+export function classifyFailure(error) {
+    if (error instanceof CheckFailure) return error.reason;
+    // fetch() hides the network error code in its cause
+    const text = [error?.message, error?.code, error?.cause?.code, error?.cause?.message].filter(Boolean).join(' ');
+    return REASON_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'UNKNOWN';
+}
+
+/**
+ * Status a failed check leaves the target in
+ * @param {string} reason - Reason code
+ * @returns {string} - 'DOWN' when the site was unreachable, 'CLOSED' behind a challenge page
+ *                     (as before reason codes existed), 'ERROR' otherwise
+ */
+export function failureStatus(reason) {
+    if (reason === 'CHALLENGE_PAGE') return 'CLOSED';
+    return DOWN_REASONS.includes(reason) ? 'DOWN' : 'ERROR';
+}
+
+const UPTIME_PERIODS = { '24h': 1, '7d': 7, '30d': 30 };
+
+/**
+ * Share of checks that reached the site, per period
+ * @param {Array<object>} runs - { startedAt, status } of finished checks
+ * @param {Date} [now] - Reference time
+ * @returns {object} - { '24h', '7d', '30d' }: percentage with one decimal, null without checks in the period
+ */
+export function computeUptime(runs, now = new Date()) {
+    const uptime = {};
+    for (const [period, days] of Object.entries(UPTIME_PERIODS)) {
+        const since = now.getTime() - days * 24 * 60 * 60 * 1000;
+        const inPeriod = runs.filter(r => r.status && new Date(r.startedAt).getTime() >= since);
+        const down = inPeriod.filter(r => r.status === 'DOWN').length;
+        uptime[period] = inPeriod.length > 0 ? Math.round(1000 * (1 - down / inPeriod.length)) / 10 : null;
+    }
+    return uptime;
+}
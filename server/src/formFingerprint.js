@@ -0,0 +1,60 @@
+/**
+ * Registration Form Fingerprint Module
+ * Reduces a form to its structure so two checks can be compared
+ */
+
+/**
+ * Structural fingerprint of a registration form
+ * @param {Array<object>} formFields - Fields from the worker ({ tag, type, name, required })
+ * @param {string} submitState - 'enabled', 'disabled' or 'missing'
+ * @returns {object} - { fields: [{ name, type, required }], submit }
+ */
+export function buildFormFingerprint(formFields, submitState) {
+    const fields = formFields
+        .map(f => ({ name: f.name || `(unnamed ${f.type || f.tag})`, type: f.type || f.tag, required: !!f.required }))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.type.localeCompare(b.type));
+    return { fields, submit: submitState };
+}
+
+const describeField = (f) => `${f.name} (${f.type}${f.required ? ', required' : ''})`;
+
+// Keyed by name, so a renamed field shows as removed + added
+const indexFields = (fields) => new Map(fields.map(f => [f.name, f]));
+
+/**
+ * Human-readable differences between two fingerprints
+ * @param {object|null} previous - Stored fingerprint (null on the first check)
+ * @param {object} current - Fingerprint of this check
+ * @returns {Array<string>} - One line per change, empty when nothing changed
+ */
+export function diffFormFingerprints(previous, current) {
+    if (!previous) return [];
+
+    const changes = [];
+    const hadForm = previous.fields.length > 0;
+    const hasForm = current.fields.length > 0;
+
+    if (!hadForm && hasForm) changes.push(`Form appeared with ${current.fields.length} field(s)`);
+    if (hadForm && !hasForm) changes.push('Form disappeared');
+
+    if (hadForm && hasForm) {
+        const before = indexFields(previous.fields);
+        const after = indexFields(current.fields);
+
+        for (const [name, field] of after) {
+            const old = before.get(name);
+            if (!old) {
+                changes.push(`Field added: ${describeField(field)}`);
+                continue;
+            }
+            if (old.type !== field.type) changes.push(`Field ${name} changed type: ${old.type} → ${field.type}`);
+            if (old.required !== field.required) changes.push(`Field ${name} is ${field.required ? 'now required' : 'no longer required'}`);
+        }
+        for (const [name, field] of before) {
+            if (!after.has(name)) changes.push(`Field removed: ${describeField(field)}`);
+        }
+    }
+
+    if (previous.submit !== current.submit) changes.push(`Submit button: ${previous.submit} → ${current.submit}`);
+    return changes;
+}
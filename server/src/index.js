@@ -3,11 +3,44 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import path from 'path';
-import { checkTarget } from './worker.js';
+import crypto from 'crypto';
+import { checkTarget, checkWatchTarget, TARGET_MODES, TARGET_TYPES, WATCH_FETCH_MODES } from './worker.js';
+import { diffFormFingerprints } from './formFingerprint.js';
+import { diffLines, summarizeDiff } from './textDiff.js';
 import { configureAI } from './aiService.js';
 import { analyzeUrl } from './analyzer.js';
+import { DEFAULT_SCHEDULE, normalizeSchedule, computeNextCheckAt, applyBurstWindow } from './schedule.js';
+import { learnOpeningPattern, adaptNextCheckAt } from './schedulePattern.js';
+import { classifyFailure, failureStatus, computeUptime, FAILED_STATUSES, DOWN_REASONS, NON_RETRYABLE_REASONS } from './failures.js';
+import { siteKey, targetSiteKeys, normalizeAliases } from './domains.js';
+import { normalizeUrl, canonicalUrl, splitUrlList } from './urls.js';
+import { normalizeTags, normalizePriority, normalizeNotes, comparePriority, queryTargets } from './targetFields.js';
+import { REDACTED, ENCRYPTED_SETTINGS, redactSecret } from './secrets.js';
+import { buildOpeningsCalendar } from './services/calendar.js';
+import { buildBundle, validateBundle, mergeTargetFields, targetsToCsv, SECRET_SETTINGS, INSTANCE_SETTINGS } from './services/bundle.js';
+import {
+  startCheckPool, configureCheckPool, enqueueCheck, runInteractiveCheck, removeFromQueue, getPoolStats, pauseCheckPool, resumeCheckPool
+} from './checkPool.js';
 import { startRedditMonitor, getRedditStats } from './services/reddit.js';
-import { getAllTargets, upsertTarget, deleteTarget, getSettings, saveSettings } from './database.js';
+import {
+  startNotificationService, startDailyDigest, notifyStatusChange, forgetNotifiedStatus, notifyFormChanged, notifyContentChanged, validateWebhook, sendTestWebhook, sendTestEmail,
+  sendTestPush, DEFAULT_BODY_TEMPLATE, NOTIFY_STATUSES
+} from './services/notifications.js';
+import { configureEmail, isEmailConfigured } from './services/email.js';
+import { initPush, getVapidPublicKey, validatePushSubscription } from './services/push.js';
+import { saveSnapshot, resolveArtifact, removeTargetArtifacts, pruneArtifacts } from './services/artifacts.js';
+import { tracePathFor, finalizeTrace, resolveTrace, removeTraces, pruneTraces } from './services/traces.js';
+import {
+  listBackups, resolveBackup, createBackup, deleteBackup, inspectBackup, restoreBackup, startBackupSchedule
+} from './services/backups.js';
+import {
+  getAllTargets, upsertTarget, deleteTarget, getSettings, saveSettings, getRecentJobs,
+  startCheckRun, finishCheckRun, getCheckRuns, getRunOutcomes, closeInterruptedCheckRuns, getErroredCheckRunsSince,
+  getWebhooks, getWebhook, createWebhook, updateWebhook, deleteWebhook, getRecentDeliveries,
+  getPushSubscriptionByEndpoint, savePushSubscription, deletePushSubscription,
+  insertLog, queryLogs, pruneLogs, getCheckRun, getArtifactsForRun, getArtifact, getTraceFilesForTarget, clearTraceFiles,
+  insertWatchVersion, getLatestWatchVersion, getWatchVersion, getWatchVersions, importCheckRuns
+} from './database.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -18,48 +51,144 @@ const io = new Server(httpServer, {
 const PORT = process.env.PORT || 4000;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '25mb' })); // Import bundles carry the check history
+
+// Set while a backup is being restored: the database is swapped and the in-memory state reloaded
+let restoreInProgress = false;
+app.use('/api', (req, res, next) => {
+  if (restoreInProgress) return res.status(503).json({ error: 'A database restore is in progress, try again in a moment' });
+  next();
+});
 
-// Load targets from DB with error handling
 let targets = [];
-try {
-  targets = getAllTargets();
-  console.log(`[DB] Loaded ${targets.length} targets from database`);
-} catch (err) {
-  console.error('[DB] Failed to load targets:', err);
-}
 
-// STARTUP FIX: Reset any targets stuck in CHECKING to IDLE
-let dirty = false;
-targets.forEach(t => {
-  if (t.status === 'CHECKING') {
-    console.log(`[STARTUP] Resetting stuck target ${t.url} from CHECKING to IDLE`);
-    t.status = 'IDLE';
-    try { upsertTarget(t); } catch (e) { console.error('[DB] upsertTarget failed:', e); }
-  }
+// Stored passwords and API keys never leave the server in clear, except through the admin-only routes below
+const redactTarget = (target) => ({ ...target, password: redactSecret(target.password) });
+const redactWebhook = (webhook) => ({
+  ...webhook,
+  headers: Object.fromEntries(Object.entries(webhook.headers).map(([name, value]) => [name, redactSecret(value)]))
 });
 
-// Load Settings from DB with error handling
-let settings = {
+// Admin-only routes want ADMIN_TOKEN as "Authorization: Bearer <token>"
+const adminDenied = (req) => {
+  if (!process.env.ADMIN_TOKEN) return { status: 403, error: 'Set ADMIN_TOKEN on the server to use secrets, traces and backups' };
+  const presented = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  // Compare digests: same length, constant time
+  const [expected, actual] = [process.env.ADMIN_TOKEN, presented].map(v => crypto.createHash('sha256').update(v).digest());
+  if (!presented || !crypto.timingSafeEqual(expected, actual)) return { status: 401, error: 'Missing or invalid admin token' };
+  return null;
+};
+
+const requireAdmin = (req, res, next) => {
+  const denied = adminDenied(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+  next();
+};
+// How far back the check history is read to learn opening patterns and uptime
+const PATTERN_HISTORY_DAYS = 120;
+const refreshHistoryStats = (target) => {
+  const since = new Date(Date.now() - PATTERN_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const runs = getRunOutcomes(target.id, since);
+  target.pattern = learnOpeningPattern(runs);
+  target.uptime = computeUptime(runs);
+};
+
+// Load targets from DB and get them ready to schedule, at startup and after a database restore
+const loadTargets = () => {
+  try {
+    targets = getAllTargets();
+    console.log(`[DB] Loaded ${targets.length} targets from database`);
+  } catch (err) {
+    console.error('[DB] Failed to load targets:', err);
+  }
+
+  // STARTUP FIX: Reset any targets stuck in CHECKING to IDLE (their interrupted job is re-queued by the check pool)
+  try {
+    const interrupted = closeInterruptedCheckRuns();
+    if (interrupted > 0) console.log(`[STARTUP] Closed ${interrupted} check run(s) interrupted by a restart`);
+  } catch (e) { console.error('[DB] closeInterruptedCheckRuns failed:', e); }
+  targets.forEach(t => {
+    if (t.status === 'CHECKING') {
+      console.log(`[STARTUP] Resetting stuck target ${t.url} from CHECKING to IDLE`);
+      t.status = 'IDLE';
+      try { upsertTarget(t); } catch (e) { console.error('[DB] upsertTarget failed:', e); }
+    }
+  });
+
+  // STARTUP: Give every target a schedule and a next due time
+  targets.forEach(t => {
+    if (!t.schedule) t.schedule = { ...DEFAULT_SCHEDULE };
+    try { refreshHistoryStats(t); } catch (e) { console.error('[DB] refreshHistoryStats failed:', e); }
+    if (!t.nextCheckAt && t.schedule.type !== 'manual') {
+      // Never-checked targets are due right away, others resume from their last check
+      t.nextCheckAt = t.lastCheck ? computeNextCheckAt(t.schedule, t.lastCheck) : new Date().toISOString();
+      try { upsertTarget(t); } catch (e) { console.error('[DB] upsertTarget failed:', e); }
+    }
+  });
+};
+loadTargets();
+
+const DEFAULT_SETTINGS = {
   openRouterKey: '',
   flaresolverr_url: '',
   defaultPseudo: '',
   defaultEmail: '',
-  defaultPassword: ''
+  defaultPassword: '',
+  maxConcurrentChecks: '2',
+  probeDelayMs: '1500',
+  smtpHost: '',
+  smtpPort: '587',
+  smtpSecure: '',
+  smtpUser: '',
+  smtpPass: '',
+  smtpFrom: '',
+  emailRecipients: '',
+  emailAlerts: 'true',
+  emailDigest: 'false',
+  digestHour: '8',
+  logRetentionDays: '30',
+  logMaxPerTarget: '2000',
+  snapshotRetentionDays: '7',
+  traceOnError: 'true',
+  traceRetentionDays: '7',
+  traceMaxFiles: '20',
+  burstBeforeMinutes: '10',
+  burstAfterMinutes: '30',
+  burstIntervalSeconds: '60',
+  backupIntervalHours: '24',
+  backupKeep: '7'
 };
-try {
-  settings = { ...settings, ...getSettings() };
-  console.log('[DB] Loaded settings from database');
-} catch (err) {
-  console.error('[DB] Failed to load settings:', err);
-}
+let settings = { ...DEFAULT_SETTINGS };
+
+// Load Settings from DB with error handling, then configure the services that read them
+const loadSettings = () => {
+  try {
+    settings = { ...DEFAULT_SETTINGS, ...getSettings() };
+    console.log('[DB] Loaded settings from database');
+  } catch (err) {
+    console.error('[DB] Failed to load settings:', err);
+  }
 
-configureAI(settings.openRouterKey, settings.model);
+  configureAI(settings.openRouterKey, settings.model);
+  configureEmail(settings);
+  initPush();
+};
+loadSettings();
 
 // Routes with error handling
+// Without query parameters the full list is returned; X-Total-Count gives the matches before limit/offset
 app.get('/api/targets', (req, res) => {
+  let result;
+  try {
+    result = queryTargets(targets, req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   try {
-    res.json(targets);
+    res.set('X-Total-Count', String(result.total));
+    res.set('Access-Control-Expose-Headers', 'X-Total-Count');
+    res.json(result.items.map(redactTarget));
   } catch (err) {
     console.error('[API] GET /api/targets error:', err);
     res.status(500).json({ error: err.message, stack: err.stack });
@@ -71,36 +200,457 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', targets: targets.length, dbConnected: true });
 });
 
+// Validate the { selector, fetchMode } of a watch target
+const normalizeWatchConfig = (input = {}) => {
+  const selector = String(input.selector || '').trim();
+  if (selector.length > 500) throw new Error('Selector is too long');
+  const fetchMode = input.fetchMode || 'browser';
+  if (!WATCH_FETCH_MODES.includes(fetchMode)) throw new Error(`Fetch mode must be one of: ${WATCH_FETCH_MODES.join(', ')}`);
+  return { selector, fetchMode };
+};
+
+// Another target already answering for one of these sites
+const findTargetForSites = (keys, exceptId = null) => targets.find(t => t.id !== exceptId && [...targetSiteKeys(t)].some(key => keys.has(key)));
+
+// Registration targets are one per site (mirrors included), watch targets one per page
+const findDuplicateTarget = (url, type = 'registration', exceptId = null) => {
+  const others = targets.filter(t => t.id !== exceptId);
+  if (type === 'watch') {
+    const key = canonicalUrl(url);
+    return others.find(t => t.type === 'watch' && canonicalUrl(t.url) === key);
+  }
+  const key = siteKey(url);
+  return others.find(t => t.type !== 'watch' && targetSiteKeys(t).has(key));
+};
+
+// Ids are creation timestamps, bumped when a bulk import creates several in the same millisecond
+let lastTargetId = 0;
+const newTargetId = () => {
+  lastTargetId = Math.max(Date.now(), lastTargetId + 1);
+  return lastTargetId.toString();
+};
+
+// New target with the defaults from settings, `url` must already be normalised
+const buildTarget = ({ url, type = 'registration', mode = 'auto-register', schedule = { ...DEFAULT_SCHEDULE }, watch = null, pseudo, email, password }) => {
+  const isWatch = type === 'watch';
+  return {
+    id: newTargetId(),
+    url,
+    // Watch targets never register, they get no credentials
+    pseudo: isWatch ? '' : pseudo || settings.defaultPseudo || `AutoUser_${Math.floor(Math.random() * 1000)}`,
+    email: isWatch ? '' : email || settings.defaultEmail || '',
+    // A redacted password comes from a form pre-filled with the (redacted) default one
+    password: isWatch ? '' : (password !== REDACTED && password) || settings.defaultPassword || '',
+    status: 'IDLE', // IDLE, CHECKING, OPEN, REGISTERED, ERROR, DOWN (watch targets: UNCHANGED, CHANGED)
+    logs: [],
+    lastCheck: null,
+    forumType: null,
+    robotsInfo: {},
+    invitationCodes: [],
+    schedule,
+    nextCheckAt: schedule.type === 'manual' ? null : new Date().toISOString(),
+    mode,
+    formFields: [],
+    type,
+    watch,
+    tags: [],
+    priority: 'normal',
+    notes: null,
+    enabled: true
+  };
+};
+
 app.post('/api/targets', (req, res) => {
+  let url;
+  let schedule;
+  let watch = null;
+  try {
+    url = normalizeUrl(req.body.url);
+    schedule = req.body.schedule ? normalizeSchedule(req.body.schedule) : { ...DEFAULT_SCHEDULE };
+    if (req.body.type === 'watch') watch = normalizeWatchConfig(req.body.watch);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const type = req.body.type || 'registration';
+  if (!TARGET_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Type must be one of: ${TARGET_TYPES.join(', ')}` });
+  }
+  const mode = req.body.mode || 'auto-register';
+  if (!TARGET_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${TARGET_MODES.join(', ')}` });
+  }
+  const existing = findDuplicateTarget(url, type);
+  if (existing) {
+    return res.status(409).json({ error: `Already tracked: ${existing.url}`, targetId: existing.id });
+  }
+
   try {
-    const newTarget = {
-      id: Date.now().toString(),
-      url: req.body.url,
-      pseudo: req.body.pseudo || settings.defaultPseudo || `AutoUser_${Math.floor(Math.random() * 1000)}`,
-      email: req.body.email || settings.defaultEmail || '',
-      password: req.body.password || settings.defaultPassword || '',
-      status: 'IDLE', // IDLE, CHECKING, OPEN, REGISTERED, ERROR
-      logs: [],
-      lastCheck: null,
-      forumType: null,
-      robotsInfo: {},
-      invitationCodes: []
-    };
+    const { pseudo, email, password } = req.body;
+    const newTarget = buildTarget({ url, type, mode, schedule, watch, pseudo, email, password });
     targets.push(newTarget);
     upsertTarget(newTarget);
-    io.emit('targets_updated', targets);
-    res.json(newTarget);
+    io.emit('targets_updated', targets.map(redactTarget));
+    res.json(redactTarget(newTarget));
   } catch (err) {
     console.error('[API] POST /api/targets error:', err);
     res.status(500).json({ error: err.message, stack: err.stack });
   }
 });
 
+const BULK_IMPORT_MAX = 500;
+
+// Add many targets from a pasted list or file: every entry ends up added, merged into an existing target, or rejected
+app.post('/api/targets/bulk', (req, res) => {
+  const entries = Array.isArray(req.body.urls) ? req.body.urls.map(String) : splitUrlList(req.body.text);
+  if (entries.length === 0) return res.status(400).json({ error: 'No URLs given' });
+  if (entries.length > BULK_IMPORT_MAX) return res.status(400).json({ error: `At most ${BULK_IMPORT_MAX} URLs per import` });
+
+  let schedule;
+  let watch = null;
+  const type = req.body.type || 'registration';
+  const mode = req.body.mode || 'auto-register';
+  try {
+    if (!TARGET_TYPES.includes(type)) throw new Error(`Type must be one of: ${TARGET_TYPES.join(', ')}`);
+    if (!TARGET_MODES.includes(mode)) throw new Error(`Mode must be one of: ${TARGET_MODES.join(', ')}`);
+    schedule = req.body.schedule ? normalizeSchedule(req.body.schedule) : { ...DEFAULT_SCHEDULE };
+    if (type === 'watch') watch = normalizeWatchConfig(req.body.watch);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const report = { added: [], merged: [], rejected: [] };
+    for (const input of entries) {
+      let url;
+      try {
+        url = normalizeUrl(input);
+      } catch (err) {
+        report.rejected.push({ input, reason: err.message });
+        continue;
+      }
+
+      // Duplicates inside the list merge into the target added for their first occurrence
+      const existing = findDuplicateTarget(url, type);
+      if (existing) {
+        report.merged.push({ input, url, targetId: existing.id, into: existing.url });
+        continue;
+      }
+
+      const newTarget = buildTarget({ url, type, mode, schedule: { ...schedule }, watch: watch && { ...watch } });
+      targets.push(newTarget);
+      upsertTarget(newTarget);
+      log(newTarget.id, 'Added by bulk import', { step: 'discovery' });
+      report.added.push({ input, url, targetId: newTarget.id });
+    }
+
+    console.log(`[API] Bulk import: ${report.added.length} added, ${report.merged.length} merged, ${report.rejected.length} rejected`);
+    if (report.added.length > 0) io.emit('targets_updated', targets.map(redactTarget));
+    res.json(report);
+  } catch (err) {
+    console.error('[API] POST /api/targets/bulk error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+const PATCHABLE_FIELDS = ['url', 'pseudo', 'email', 'password', 'mode', 'tags', 'priority', 'notes', 'enabled', 'schedule', 'watch'];
+
+// Validate the fields of a PATCH body against the target they apply to
+const normalizeTargetPatch = (body, target) => {
+  const unknown = Object.keys(body).filter(key => !PATCHABLE_FIELDS.includes(key));
+  if (unknown.length > 0) throw new Error(`Cannot edit: ${unknown.join(', ')}`);
+
+  const changes = {};
+  if ('url' in body) changes.url = normalizeUrl(body.url);
+  for (const field of ['pseudo', 'email', 'password']) {
+    if (!(field in body)) continue;
+    if (field === 'password' && body.password === REDACTED) continue; // Sent back unchanged from a redacted form
+    if (target.type === 'watch') throw new Error('Watch targets have no credentials');
+    changes[field] = field === 'password' ? String(body[field] ?? '') : String(body[field] ?? '').trim();
+  }
+  if (changes.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(changes.email)) throw new Error('Invalid email address');
+  if ('mode' in body) {
+    if (!TARGET_MODES.includes(body.mode)) throw new Error(`Mode must be one of: ${TARGET_MODES.join(', ')}`);
+    changes.mode = body.mode;
+  }
+  if ('tags' in body) changes.tags = normalizeTags(body.tags);
+  if ('priority' in body) changes.priority = normalizePriority(body.priority);
+  if ('notes' in body) changes.notes = normalizeNotes(body.notes);
+  if ('enabled' in body) {
+    if (typeof body.enabled !== 'boolean') throw new Error('Enabled must be true or false');
+    changes.enabled = body.enabled;
+  }
+  if ('schedule' in body) changes.schedule = normalizeSchedule(body.schedule);
+  if ('watch' in body) {
+    if (target.type !== 'watch') throw new Error('Only watch targets have a watch config');
+    changes.watch = normalizeWatchConfig(body.watch);
+  }
+  return changes;
+};
+
+// Edit a target in place, its history is kept
+app.patch('/api/targets/:id', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  let changes;
+  try {
+    changes = normalizeTargetPatch(req.body || {}, target);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const urlChanged = changes.url !== undefined && changes.url !== target.url;
+  if (urlChanged) {
+    if (target.status === 'CHECKING') return res.status(409).json({ error: 'Target is being checked' });
+    const existing = findDuplicateTarget(changes.url, target.type, target.id);
+    if (existing) return res.status(409).json({ error: `Already tracked: ${existing.url}`, targetId: existing.id });
+  }
+
+  try {
+    Object.assign(target, changes);
+    if (urlChanged) {
+      // A pending redirect was seen from the old URL, and the new one cannot be its own alias
+      target.domainMove = null;
+      target.aliases = (target.aliases || []).filter(a => siteKey(a.url) !== siteKey(target.url));
+    }
+    if (changes.schedule) planNextCheck(target);
+    if (changes.enabled === false) removeFromQueue(target.id);
+    upsertTarget(target);
+
+    log(target.id, `Edited ${Object.keys(changes).join(', ')}${changes.enabled === false ? ' (paused)' : changes.enabled ? ' (resumed)' : ''}.`, { step: 'edit' });
+    if (changes.schedule) emitScheduleUpdate(target);
+    io.emit('targets_updated', targets.map(redactTarget));
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] PATCH /api/targets/:id error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Clear password of a target, admin only
+app.post('/api/targets/:id/reveal', requireAdmin, (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  console.log(`[API] Revealed password of target ${target.id}`);
+  res.json({ password: target.password || '' });
+});
+
+app.put('/api/targets/:id/schedule', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  let schedule;
+  try {
+    schedule = normalizeSchedule(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    target.schedule = schedule;
+    planNextCheck(target);
+    upsertTarget(target);
+    emitScheduleUpdate(target);
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] PUT /api/targets/:id/schedule error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+app.put('/api/targets/:id/watch', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+  if (target.type !== 'watch') return res.status(400).json({ error: 'Not a watch target' });
+
+  let watch;
+  try {
+    watch = normalizeWatchConfig(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    target.watch = watch;
+    upsertTarget(target);
+    io.emit('targets_updated', targets.map(redactTarget));
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] PUT /api/targets/:id/watch error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Stored versions of a watched page, newest first
+app.get('/api/targets/:id/watch/versions', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+  res.json({ versions: getWatchVersions(target.id) });
+});
+
+// Line diff between two versions, the latest change by default
+app.get('/api/targets/:id/watch/diff', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  const versions = getWatchVersions(target.id);
+  const toId = req.query.to ? parseInt(req.query.to, 10) : versions[0]?.id;
+  const toIndex = versions.findIndex(v => v.id === toId);
+  const fromId = req.query.from ? parseInt(req.query.from, 10) : versions[toIndex + 1]?.id;
+
+  const to = toId ? getWatchVersion(toId) : null;
+  if (!to || to.targetId !== target.id) return res.status(404).json({ error: 'Version not found' });
+  const from = fromId ? getWatchVersion(fromId) : null;
+  if (from && from.targetId !== target.id) return res.status(404).json({ error: 'Version not found' });
+
+  // No older version: everything in the baseline shows as added
+  const diff = diffLines(from?.text || '', to.text);
+  res.json({
+    from: from ? { id: from.id, capturedAt: from.capturedAt } : null,
+    to: { id: to.id, capturedAt: to.capturedAt },
+    summary: summarizeDiff(diff),
+    diff
+  });
+});
+
+app.put('/api/targets/:id/mode', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+  if (!TARGET_MODES.includes(req.body.mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${TARGET_MODES.join(', ')}` });
+  }
+
+  try {
+    target.mode = req.body.mode;
+    upsertTarget(target);
+    io.emit('targets_updated', targets.map(redactTarget));
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] PUT /api/targets/:id/mode error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+app.put('/api/targets/:id/aliases', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  let aliases;
+  try {
+    aliases = normalizeAliases(req.body.aliases, target.url);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const owner = findTargetForSites(new Set(aliases.map(a => siteKey(a.url))), target.id);
+  if (owner) return res.status(409).json({ error: `Already tracked by another target: ${owner.url}` });
+
+  try {
+    target.aliases = aliases;
+    upsertTarget(target);
+    io.emit('domain_move', { targetId: target.id, domainMove: target.domainMove, aliases });
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] PUT /api/targets/:id/aliases error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Make a mirror (or the confirmed redirect) the primary URL, the old one stays as an alias
+app.post('/api/targets/:id/promote', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  const url = req.body.url || target.domainMove?.to;
+  const key = siteKey(url);
+  const known = (target.aliases || []).some(a => siteKey(a.url) === key) || target.domainMove?.host === key;
+  if (!key || !known) return res.status(400).json({ error: 'URL is not a mirror or alias of this target' });
+  if (target.status === 'CHECKING') return res.status(409).json({ error: 'Target is being checked' });
+
+  try {
+    const previousUrl = target.url;
+    target.aliases = [
+      ...(target.aliases || []).filter(a => siteKey(a.url) !== key),
+      { url: previousUrl, kind: 'alias', addedAt: new Date().toISOString() }
+    ];
+    target.url = url;
+    target.domainMove = null;
+    upsertTarget(target);
+    log(target.id, `Primary URL changed from ${previousUrl} to ${url}.`, { step: 'domain' });
+    io.emit('targets_updated', targets.map(redactTarget));
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] POST /api/targets/:id/promote error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Stop offering a domain move, the same redirect is then ignored
+app.post('/api/targets/:id/domain-move/dismiss', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+  if (!target.domainMove) return res.status(404).json({ error: 'No domain move to dismiss' });
+
+  try {
+    target.domainMove.dismissed = true;
+    upsertTarget(target);
+    io.emit('domain_move', { targetId: target.id, domainMove: target.domainMove, aliases: target.aliases });
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] POST /api/targets/:id/domain-move/dismiss error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Set or clear (at: null) the expected opening by hand, e.g. from a Discord announcement
+app.put('/api/targets/:id/expected-opening', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  let expectedOpening = null;
+  if (req.body.at) {
+    const at = new Date(req.body.at);
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'Invalid date' });
+    const text = String(req.body.text || 'Set manually').slice(0, 160);
+    expectedOpening = { at: at.toISOString(), text, source: 'manual', detectedAt: new Date().toISOString() };
+  }
+
+  try {
+    target.expectedOpening = expectedOpening;
+    planNextCheck(target);
+    upsertTarget(target);
+    io.emit('opening_update', { targetId: target.id, expectedOpening });
+    emitScheduleUpdate(target);
+    res.json(redactTarget(target));
+  } catch (err) {
+    console.error('[API] PUT /api/targets/:id/expected-opening error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// iCal feed of expected openings, to subscribe to from a calendar app
+app.get('/api/openings.ics', (req, res) => {
+  try {
+    res.type('text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="forum-sniper-openings.ics"');
+    res.send(buildOpeningsCalendar(targets.filter(t => t.expectedOpening)));
+  } catch (err) {
+    console.error('[API] GET /api/openings.ics error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
 app.delete('/api/targets/:id', (req, res) => {
   try {
     targets = targets.filter(t => t.id !== req.params.id);
+    removeFromQueue(req.params.id);
+    settledStatuses.delete(req.params.id);
+    forgetNotifiedStatus(req.params.id);
+    nextCheckOptions.delete(req.params.id);
+    removeTargetArtifacts(req.params.id);
+    removeTraces(getTraceFilesForTarget(req.params.id));
     deleteTarget(req.params.id);
-    io.emit('targets_updated', targets);
+    io.emit('targets_updated', targets.map(redactTarget));
     res.json({ success: true });
   } catch (err) {
     console.error('[API] DELETE /api/targets error:', err);
@@ -108,6 +658,16 @@ app.delete('/api/targets/:id', (req, res) => {
   }
 });
 
+// Store changed settings and reconfigure the services that read them
+const applySettings = (updates) => {
+  settings = { ...settings, ...updates };
+  saveSettings(updates);
+
+  configureAI(settings.openRouterKey, settings.model);
+  configureCheckPool(settings.maxConcurrentChecks);
+  configureEmail(settings);
+};
+
 app.post('/api/settings', (req, res) => {
   const updates = {};
   if (req.body.openRouterKey !== undefined) updates.openRouterKey = req.body.openRouterKey;
@@ -119,111 +679,829 @@ app.post('/api/settings', (req, res) => {
   if (req.body.defaultEmail !== undefined) updates.defaultEmail = req.body.defaultEmail;
   if (req.body.defaultPassword !== undefined) updates.defaultPassword = req.body.defaultPassword;
 
-  settings = { ...settings, ...updates };
-  saveSettings(updates);
+  // Check Pool
+  if (req.body.maxConcurrentChecks !== undefined) updates.maxConcurrentChecks = req.body.maxConcurrentChecks;
+  if (req.body.probeDelayMs !== undefined) updates.probeDelayMs = req.body.probeDelayMs;
 
-  configureAI(settings.openRouterKey, settings.model);
+  // Email (SMTP)
+  for (const key of ['smtpHost', 'smtpPort', 'smtpSecure', 'smtpUser', 'smtpPass', 'smtpFrom', 'emailRecipients', 'emailAlerts', 'emailDigest', 'digestHour']) {
+    if (req.body[key] !== undefined) updates[key] = String(req.body[key]);
+  }
+
+  // Log Retention
+  if (req.body.logRetentionDays !== undefined) updates.logRetentionDays = req.body.logRetentionDays;
+  if (req.body.logMaxPerTarget !== undefined) updates.logMaxPerTarget = req.body.logMaxPerTarget;
+  if (req.body.snapshotRetentionDays !== undefined) updates.snapshotRetentionDays = req.body.snapshotRetentionDays;
+  if (req.body.traceOnError !== undefined) updates.traceOnError = req.body.traceOnError;
+  if (req.body.traceRetentionDays !== undefined) updates.traceRetentionDays = req.body.traceRetentionDays;
+  if (req.body.traceMaxFiles !== undefined) updates.traceMaxFiles = req.body.traceMaxFiles;
+
+  // Burst checks around announced openings
+  if (req.body.burstBeforeMinutes !== undefined) updates.burstBeforeMinutes = req.body.burstBeforeMinutes;
+  if (req.body.burstAfterMinutes !== undefined) updates.burstAfterMinutes = req.body.burstAfterMinutes;
+  if (req.body.burstIntervalSeconds !== undefined) updates.burstIntervalSeconds = req.body.burstIntervalSeconds;
+
+  // Database backups
+  if (req.body.backupIntervalHours !== undefined) updates.backupIntervalHours = req.body.backupIntervalHours;
+  if (req.body.backupKeep !== undefined) updates.backupKeep = req.body.backupKeep;
+
+  // Secrets sent back as shown by GET /api/settings are unchanged
+  for (const key of ENCRYPTED_SETTINGS) {
+    if (updates[key] === REDACTED) delete updates[key];
+  }
+
+  applySettings(updates);
   res.json({ success: true });
 });
 
-app.get('/api/settings', (req, res) => res.json(settings));
+app.get('/api/settings', (req, res) => {
+  const { vapidPrivateKey, lastDigestDate, ...publicSettings } = settings;
+  for (const key of ENCRYPTED_SETTINGS) {
+    if (key in publicSettings) publicSettings[key] = redactSecret(publicSettings[key]);
+  }
+  res.json(publicSettings);
+});
+
+// Clear value of a secret setting, admin only
+app.post('/api/settings/reveal', requireAdmin, (req, res) => {
+  const key = req.body?.key;
+  if (!ENCRYPTED_SETTINGS.includes(key) || key === 'vapidPrivateKey') {
+    return res.status(400).json({ error: `Key must be one of: ${ENCRYPTED_SETTINGS.filter(k => k !== 'vapidPrivateKey').join(', ')}` });
+  }
+  console.log(`[API] Revealed setting ${key}`);
+  res.json({ key, value: settings[key] || '' });
+});
+
+// Export / import between instances: secrets (passwords, API keys) only with ?secrets=true and the admin token
+app.get('/api/export', (req, res) => {
+  const includeSecrets = req.query.secrets === 'true';
+  const denied = includeSecrets && adminDenied(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+
+  try {
+    const bundle = buildBundle({ targets, settings, includeSecrets });
+    res.setHeader('Content-Disposition', `attachment; filename="forum-sniper-${bundle.exportedAt.slice(0, 10)}.json"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error('[API] GET /api/export error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+app.get('/api/export/targets.csv', (req, res) => {
+  const includeSecrets = req.query.secrets === 'true';
+  const denied = includeSecrets && adminDenied(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+
+  try {
+    res.type('text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="forum-sniper-targets-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(targetsToCsv(targets, includeSecrets));
+  } catch (err) {
+    console.error('[API] GET /api/export/targets.csv error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Statuses an imported target keeps, anything else (CHECKING, unknown strings) becomes IDLE.
+// REGISTERED stops every check, so it only comes along with the account's password.
+const IMPORTED_STATUSES = {
+  registration: ['IDLE', 'OPEN', 'CLOSED', 'NEEDS_INVITE', 'REGISTERED', 'ERROR', 'DOWN'],
+  watch: ['IDLE', 'UNCHANGED', 'CHANGED', 'ERROR', 'DOWN']
+};
+const EXPECTED_OPENING_SOURCES = ['page', 'manual'];
+
+const importedStatus = (entry, type) => {
+  if (!IMPORTED_STATUSES[type].includes(entry.status)) return 'IDLE';
+  if (entry.status === 'REGISTERED' && !entry.password) return 'IDLE';
+  return entry.status;
+};
+
+// Rebuilt field by field like PUT /expected-opening does, null when the date is unusable
+const importedExpectedOpening = (opening) => {
+  const at = opening?.at ? new Date(opening.at) : null;
+  if (!at || Number.isNaN(at.getTime())) return null;
+  const detectedAt = opening.detectedAt ? new Date(opening.detectedAt) : null;
+  return {
+    at: at.toISOString(),
+    text: (typeof opening.text === 'string' && opening.text.trim() ? opening.text : 'Imported').slice(0, 160),
+    source: EXPECTED_OPENING_SOURCES.includes(opening.source) ? opening.source : 'manual',
+    detectedAt: detectedAt && !Number.isNaN(detectedAt.getTime()) ? detectedAt.toISOString() : new Date().toISOString()
+  };
+};
+
+// Validate one target of an imported bundle the way the API validates new targets
+const normalizeImportedTarget = (entry) => {
+  const type = entry?.type || 'registration';
+  if (!TARGET_TYPES.includes(type)) throw new Error(`Type must be one of: ${TARGET_TYPES.join(', ')}`);
+  const mode = entry.mode || 'auto-register';
+  if (!TARGET_MODES.includes(mode)) throw new Error(`Mode must be one of: ${TARGET_MODES.join(', ')}`);
+  const url = normalizeUrl(entry.url);
+
+  return {
+    url,
+    type,
+    mode,
+    pseudo: entry.pseudo || '',
+    email: entry.email || '',
+    password: entry.password || '',
+    tags: normalizeTags(entry.tags || []),
+    priority: normalizePriority(entry.priority || 'normal'),
+    notes: normalizeNotes(entry.notes),
+    enabled: entry.enabled !== false,
+    schedule: entry.schedule ? normalizeSchedule(entry.schedule) : { ...DEFAULT_SCHEDULE },
+    watch: type === 'watch' ? normalizeWatchConfig(entry.watch || {}) : null,
+    aliases: normalizeAliases(entry.aliases || [], url),
+    forumType: entry.forumType || null,
+    invitationCodes: Array.isArray(entry.invitationCodes) ? entry.invitationCodes.filter(c => c?.code) : [],
+    expectedOpening: importedExpectedOpening(entry.expectedOpening),
+    status: importedStatus(entry, type),
+    lastCheck: entry.lastCheck || null,
+    history: Array.isArray(entry.history) ? entry.history : []
+  };
+};
+
+// Merge a bundle into this instance by canonical URL; a dry run reports the same without writing
+const importBundle = (bundle, { dryRun = false, withSettings = false } = {}) => {
+  const report = { dryRun, added: [], merged: [], skipped: [], historyRuns: 0, settings: [] };
+  const added = []; // Duplicates inside the bundle merge into the target their first occurrence created
+
+  const findMatch = (url, type) => {
+    const key = canonicalUrl(url);
+    return [...targets, ...(dryRun ? added : [])].find(t => (t.type || 'registration') === type
+      && [t.url, ...(t.aliases || []).map(a => a.url)].some(u => canonicalUrl(u) === key));
+  };
+
+  for (const entry of bundle.targets) {
+    let incoming;
+    try {
+      incoming = normalizeImportedTarget(entry);
+    } catch (err) {
+      report.skipped.push({ url: entry?.url ?? null, reason: err.message });
+      continue;
+    }
+    const { history, ...fields } = incoming;
+
+    const local = findMatch(fields.url, fields.type);
+    if (local) {
+      const changes = mergeTargetFields(local, fields);
+      const runs = importCheckRuns(local.id, history, { dryRun });
+      if (!dryRun && (Object.keys(changes).length > 0 || runs > 0)) {
+        Object.assign(local, changes);
+        refreshHistoryStats(local);
+        upsertTarget(local);
+        log(local.id, `Merged from an imported bundle: ${[...Object.keys(changes), runs > 0 ? `${runs} history runs` : null].filter(Boolean).join(', ')}.`, { step: 'import' });
+      }
+      report.historyRuns += runs;
+      report.merged.push({ url: fields.url, into: local.url, targetId: local.id, fields: Object.keys(changes), historyRuns: runs });
+      continue;
+    }
+
+    const { url, type, mode, schedule, watch, pseudo, email, password, ...imported } = fields;
+    const target = { ...buildTarget({ url, type, mode, schedule, watch, pseudo, email, password }), ...imported };
+    const runs = importCheckRuns(target.id, history, { dryRun });
+    if (!dryRun) {
+      refreshHistoryStats(target);
+      targets.push(target);
+      upsertTarget(target);
+      log(target.id, `Imported from a bundle${runs > 0 ? ` with ${runs} history runs` : ''}.`, { step: 'import' });
+    }
+    added.push(target);
+    report.historyRuns += runs;
+    report.added.push({ url: target.url, targetId: target.id, historyRuns: runs });
+  }
+
+  if (withSettings) {
+    const updates = Object.fromEntries(Object.entries(bundle.settings || {})
+      .filter(([key, value]) => key in settings && !INSTANCE_SETTINGS.includes(key) && String(value) !== String(settings[key]))
+      .map(([key, value]) => [key, String(value)]));
+    report.settings = Object.keys(updates);
+    if (!dryRun && report.settings.length > 0) applySettings(updates);
+  }
+
+  if (!dryRun && (report.added.length > 0 || report.merged.length > 0)) io.emit('targets_updated', targets.map(redactTarget));
+  return report;
+};
+
+app.post('/api/import', (req, res) => {
+  try {
+    validateBundle(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Writing secrets (settings or target passwords) is as sensitive as exporting them, a dry run would also tell if a guess matches
+  const withSettings = req.query.settings === 'true';
+  const writesSecrets = (withSettings && SECRET_SETTINGS.some(key => req.body.settings?.[key]))
+    || req.body.targets.some(entry => entry?.password);
+  const denied = writesSecrets && adminDenied(req);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+
+  try {
+    const report = importBundle(req.body, { dryRun: req.query.dryRun === 'true', withSettings });
+    console.log(`[API] Import${report.dryRun ? ' (dry run)' : ''}: ${report.added.length} added, ${report.merged.length} merged, ${report.skipped.length} skipped`);
+    res.json(report);
+  } catch (err) {
+    console.error('[API] POST /api/import error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Database backups (data/backups), taken online while checks keep running
+app.get('/api/backups', (req, res) => {
+  try {
+    res.json({ backups: listBackups() });
+  } catch (err) {
+    console.error('[API] GET /api/backups error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+app.post('/api/backups', async (req, res) => {
+  try {
+    res.json(await createBackup('manual'));
+  } catch (err) {
+    console.error('[API] POST /api/backups error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Admin only from here on: a backup holds the whole database, older ones with plaintext secrets
+app.get('/api/backups/:name', requireAdmin, (req, res) => {
+  const file = resolveBackup(req.params.name);
+  if (!file) return res.status(404).json({ error: 'Backup not found' });
+  res.download(file, req.params.name, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Backup file is missing' });
+  });
+});
+
+app.delete('/api/backups/:name', requireAdmin, (req, res) => {
+  try {
+    if (!deleteBackup(req.params.name)) return res.status(404).json({ error: 'Backup not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[API] DELETE /api/backups error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Reload everything read from the database after it was swapped
+const reloadFromDatabase = () => {
+  loadTargets();
+  loadSettings();
+  configureCheckPool(settings.maxConcurrentChecks);
+  settledStatuses.clear();
+  targets.forEach(t => settledStatuses.set(t.id, t.status));
+  forgetNotifiedStatus();
+  dryRunPlans.clear();
+  nextCheckOptions.clear();
+};
+
+// Replace the database with a backup. Guarded: the body must repeat the backup name as { confirm },
+// and no check may be running. The current state is saved as a pre-restore backup first.
+app.post('/api/backups/:name/restore', requireAdmin, async (req, res) => {
+  const name = req.params.name;
+  if (!resolveBackup(name)) return res.status(404).json({ error: 'Backup not found' });
+  if (req.body?.confirm !== name) {
+    return res.status(400).json({ error: 'Confirm the restore by sending the backup name as "confirm"' });
+  }
+  if (activeChecks.size > 0 || getPoolStats().activeCount > 0) {
+    return res.status(409).json({ error: 'Checks are running, wait for them to finish or cancel them first' });
+  }
+  try {
+    inspectBackup(name);
+  } catch (err) {
+    return res.status(400).json({ error: `Cannot restore ${name}: ${err.message}` });
+  }
+
+  // Nothing may touch the database while it is swapped: API calls get a 503, the scheduler and pool stand still
+  restoreInProgress = true;
+  pauseCheckPool();
+  let result;
+  try {
+    result = await restoreBackup(name);
+    reloadFromDatabase();
+  } catch (err) {
+    console.error('[API] POST /api/backups/restore error:', err);
+    return res.status(500).json({ error: err.message, stack: err.stack });
+  } finally {
+    restoreInProgress = false;
+    resumeCheckPool();
+  }
+
+  io.emit('targets_updated', targets.map(redactTarget));
+  res.json({ success: true, ...result });
+});
 
 app.get('/api/reddit', (req, res) => res.json(getRedditStats()));
 
+app.get('/api/queue', (req, res) => res.json(getPoolStats()));
+
+// Webhooks
+app.get('/api/webhooks', (req, res) => {
+  res.json({ webhooks: getWebhooks().map(redactWebhook), statuses: NOTIFY_STATUSES, defaultBodyTemplate: DEFAULT_BODY_TEMPLATE });
+});
+
+app.post('/api/webhooks', (req, res) => {
+  let webhook;
+  try {
+    webhook = validateWebhook(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(redactWebhook(createWebhook(webhook)));
+});
+
+app.put('/api/webhooks/:id', (req, res) => {
+  const existing = getWebhook(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Webhook not found' });
+  let webhook;
+  try {
+    webhook = validateWebhook(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Headers sent back redacted keep their stored value
+  for (const [name, value] of Object.entries(webhook.headers)) {
+    if (value === REDACTED && name in existing.headers) webhook.headers[name] = existing.headers[name];
+  }
+  res.json(redactWebhook(updateWebhook(req.params.id, webhook)));
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  deleteWebhook(req.params.id);
+  res.json({ success: true });
+});
+
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  const webhook = getWebhook(req.params.id);
+  if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+  try {
+    res.json(await sendTestWebhook(webhook));
+  } catch (err) {
+    console.error('[API] POST /api/webhooks/:id/test error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/notifications/test-email', async (req, res) => {
+  if (!isEmailConfigured()) {
+    return res.status(400).json({ error: 'Set the SMTP host, sender and at least one recipient first' });
+  }
+  try {
+    res.json(await sendTestEmail());
+  } catch (err) {
+    console.error('[API] POST /api/notifications/test-email error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Web Push (one subscription per browser)
+app.get('/api/push/public-key', (req, res) => {
+  res.json({ publicKey: getVapidPublicKey(), statuses: NOTIFY_STATUSES });
+});
+
+app.get('/api/push/subscription', (req, res) => {
+  const subscription = getPushSubscriptionByEndpoint(String(req.query.endpoint || ''));
+  res.json(subscription ? { id: subscription.id, statuses: subscription.statuses } : null);
+});
+
+app.post('/api/push/subscribe', (req, res) => {
+  let subscription;
+  try {
+    subscription = validatePushSubscription(req.body.subscription);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const statuses = Array.isArray(req.body.statuses) ? req.body.statuses.filter(s => NOTIFY_STATUSES.includes(s)) : NOTIFY_STATUSES;
+  const saved = savePushSubscription({ ...subscription, statuses, userAgent: req.get('user-agent') || null });
+  res.json({ id: saved.id, statuses: saved.statuses });
+});
+
+app.post('/api/push/unsubscribe', (req, res) => {
+  const subscription = getPushSubscriptionByEndpoint(String(req.body.endpoint || ''));
+  if (subscription) deletePushSubscription(subscription.id);
+  res.json({ success: true });
+});
+
+app.post('/api/push/test', async (req, res) => {
+  const subscription = getPushSubscriptionByEndpoint(String(req.body.endpoint || ''));
+  if (!subscription) return res.status(404).json({ error: 'This browser is not subscribed' });
+  try {
+    res.json(await sendTestPush(subscription));
+  } catch (err) {
+    console.error('[API] POST /api/push/test error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/notifications/deliveries', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(getRecentDeliveries(limit));
+});
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+app.get('/api/logs', (req, res) => {
+  const levels = req.query.level ? String(req.query.level).split(',').filter(Boolean) : [];
+  const unknown = levels.filter(l => !LOG_LEVELS.includes(l));
+  if (unknown.length > 0) return res.status(400).json({ error: `Unknown level: ${unknown.join(', ')}` });
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return res.status(400).json({ error: 'from/to must be valid dates' });
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  try {
+    const { logs, total } = queryLogs({
+      targetId: req.query.targetId || null,
+      checkRunId: parseInt(req.query.checkRunId, 10) || null,
+      levels,
+      step: req.query.step || null,
+      search: req.query.search ? String(req.query.search) : null,
+      from: from?.toISOString(),
+      to: to?.toISOString(),
+      limit,
+      offset
+    });
+    res.json({ logs, total, limit, offset });
+  } catch (err) {
+    console.error('[API] GET /api/logs error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(getRecentJobs(limit));
+});
+
 // Deep Analysis Endpoint
 app.post('/api/analyze', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
+  let url;
+  try {
+    url = normalizeUrl(req.body.url);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
   console.log(`[ANALYZE] Starting deep analysis of ${url}`);
   const logs = [];
 
+  // Stop the browser work if the client goes away or the analysis hangs
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`Timeout limit of ${CHECK_TIMEOUT_MS / 1000}s exceeded`)), CHECK_TIMEOUT_MS);
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(new Error('Client disconnected'));
+  });
+
   try {
     const report = await analyzeUrl(url, (msg) => {
       console.log(`[ANALYZE] ${msg}`);
       logs.push(msg);
       io.emit('analyze_progress', { url, message: msg });
-    });
+    }, controller.signal);
 
     report.logs = logs;
     io.emit('analyze_complete', report);
     res.json(report);
   } catch (error) {
     console.error('[ANALYZE] Error:', error);
-    res.status(500).json({ error: error.message, logs });
+    if (!res.writableEnded) res.status(500).json({ error: error.message, logs });
+  } finally {
+    clearTimeout(timer);
   }
 });
 
 // Socket.io
 io.on('connection', (socket) => {
   console.log('Client connected');
-  socket.emit('targets_updated', targets);
+  socket.emit('targets_updated', targets.map(redactTarget));
+  socket.emit('queue_update', getPoolStats());
 });
 
 // Worker Loop
-const log = (targetId, message) => {
+const log = (targetId, message, { level = 'info', step = null, checkRunId = null } = {}) => {
   console.log(`[LOG:${targetId}] ${message}`); // Debug to stdout
   const target = targets.find(t => t.id === targetId);
   if (target) {
-    const timeStr = new Date().toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
-    const logEntry = `[${timeStr}] ${message}`;
-    target.logs.unshift(logEntry);
+    const logEntry = insertLog({ targetId, checkRunId, level, step, message });
+    target.logs.unshift(logEntry); // Recent entries only, the logs table keeps the rest
     if (target.logs.length > 50) target.logs.pop();
     io.emit('log_update', { targetId, logEntry });
   }
 };
 
+const pruneOldData = () => {
+  const days = parseFloat(settings.logRetentionDays) || 30;
+  const removed = pruneLogs(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(), parseInt(settings.logMaxPerTarget, 10) || 0);
+  if (removed > 0) console.log(`[DB] Pruned ${removed} old log entries`);
+
+  const snapshotDays = parseFloat(settings.snapshotRetentionDays) || 7;
+  const removedArtifacts = pruneArtifacts(new Date(Date.now() - snapshotDays * 24 * 60 * 60 * 1000).toISOString());
+  if (removedArtifacts > 0) console.log(`[DB] Pruned ${removedArtifacts} old snapshot file(s)`);
+
+  const removedTraces = pruneTraces({
+    olderThanMs: (parseFloat(settings.traceRetentionDays) || 7) * 24 * 60 * 60 * 1000,
+    maxFiles: parseInt(settings.traceMaxFiles, 10) || 0
+  });
+  if (removedTraces.length > 0) {
+    clearTraceFiles(removedTraces);
+    console.log(`[DB] Pruned ${removedTraces.length} old trace(s)`);
+  }
+};
+
+// Regular schedule, adapted to the learned opening pattern, then pulled forward
+// into closely spaced checks around an announced opening
+const planNextCheck = (target) => {
+  const adapted = adaptNextCheckAt(computeNextCheckAt(target.schedule || DEFAULT_SCHEDULE), target.pattern, target.schedule || DEFAULT_SCHEDULE);
+  const nextCheckAt = applyBurstWindow(adapted.at, target.expectedOpening?.at, {
+    beforeMinutes: parseFloat(settings.burstBeforeMinutes) || 0,
+    afterMinutes: parseFloat(settings.burstAfterMinutes) || 0,
+    intervalSeconds: parseInt(settings.burstIntervalSeconds, 10) || 60
+  });
+  target.nextCheckAt = nextCheckAt;
+  target.nextCheckReason = nextCheckAt !== adapted.at ? 'opening burst' : adapted.reason;
+};
+
+const emitScheduleUpdate = (target) => io.emit('schedule_update', {
+  targetId: target.id,
+  schedule: target.schedule,
+  nextCheckAt: target.nextCheckAt,
+  nextCheckReason: target.nextCheckReason,
+  pattern: target.pattern
+});
+
+// Plan the next scheduled run once a check has finished
+const scheduleNextCheck = (target) => {
+  if (!targets.includes(target)) return; // Deleted while checking
+  refreshHistoryStats(target);
+  planNextCheck(target);
+  upsertTarget(target);
+  emitScheduleUpdate(target);
+  io.emit('uptime_update', { targetId: target.id, uptime: target.uptime });
+};
+
+// Last non-CHECKING status per target, so notifications fire on real transitions only
+const settledStatuses = new Map(targets.map(t => [t.id, t.status]));
+
 const updateStatus = (targetId, status) => {
   const target = targets.find(t => t.id === targetId);
   if (target) {
     target.status = status;
     target.lastCheck = new Date().toISOString();
     upsertTarget(target);
-    io.emit('status_update', { targetId, status, lastCheck: target.lastCheck });
+    io.emit('status_update', { targetId, status, lastCheck: target.lastCheck, failureReason: target.failureReason || null });
+
+    if (status !== 'CHECKING') {
+      const previousStatus = settledStatuses.get(targetId);
+      settledStatuses.set(targetId, status);
+      if (previousStatus !== status) notifyStatusChange(target, previousStatus, status);
+    }
+  }
+};
+
+// Compare the registration form with the previous check, the first fingerprint is only stored
+const trackFormChanges = (target, fingerprint, checkLog) => {
+  const changes = diffFormFingerprints(target.formFingerprint, fingerprint);
+  target.formFingerprint = fingerprint;
+  if (changes.length > 0) {
+    target.formChanges = changes;
+    target.formChangedAt = new Date().toISOString();
+    checkLog(`FORM_CHANGED: ${changes.join('; ')}`, { level: 'warn', step: 'form' });
+    io.emit('form_changed', { targetId: target.id, formChanges: changes, formChangedAt: target.formChangedAt });
+    notifyFormChanged(target, changes, settledStatuses.get(target.id));
+  }
+  upsertTarget(target);
+  return changes;
+};
+
+// Store the watched text when it differs from the last version, the first version is only a baseline
+const recordWatchVersion = (target, { text, url }, runId, checkLog) => {
+  const previous = getLatestWatchVersion(target.id);
+  if (previous && previous.text === text) {
+    checkLog('No change since the last version.');
+    return 'UNCHANGED';
+  }
+
+  const version = insertWatchVersion({ targetId: target.id, checkRunId: runId, url, text });
+  if (!previous) {
+    checkLog(`Baseline stored (${text.length} characters).`);
+    return 'UNCHANGED';
+  }
+
+  const diff = diffLines(previous.text, text);
+  const summary = summarizeDiff(diff);
+  target.watchChangedAt = version.capturedAt;
+  checkLog(`CONTENT_CHANGED: ${summary}`, { level: 'warn' });
+  io.emit('watch_changed', { targetId: target.id, watchChangedAt: target.watchChangedAt, summary });
+  notifyContentChanged(target, summary, diff);
+  return 'CHANGED';
+};
+
+// Same check against each mirror until one answers, the primary's error is kept if none does
+const checkMirrors = async (target, mirrors, runWorker, primaryError, checkLog) => {
+  for (const mirror of mirrors) {
+    checkLog(`Primary unreachable (${classifyFailure(primaryError)}), trying mirror ${mirror.url}...`, { level: 'warn' });
+    try {
+      const result = await runWorker({ ...target, url: mirror.url });
+      checkLog(`Checked through mirror ${mirror.url}.`);
+      return { ...result, servedBy: mirror.url };
+    } catch (mirrorError) {
+      if (mirrorError instanceof CheckCancelledError || !DOWN_REASONS.includes(classifyFailure(mirrorError))) throw mirrorError;
+      checkLog(`Mirror ${mirror.url} unreachable: ${mirrorError.message}`, { level: 'warn' });
+    }
+  }
+  throw primaryError;
+};
+
+// Checks in a row that must land on the same other domain before a move is confirmed
+const REDIRECT_CONFIRMATIONS = 2;
+
+// Follow cross-domain redirects, a confirmed one becomes a mirror and is offered as the new primary
+const trackRedirect = (target, redirectedTo, checkLog) => {
+  const move = target.domainMove;
+  if (!redirectedTo) {
+    // A one-off redirect that did not repeat is forgotten, a confirmed move stays on offer
+    if (move && !move.confirmed && !move.dismissed) {
+      target.domainMove = null;
+      io.emit('domain_move', { targetId: target.id, domainMove: null, aliases: target.aliases });
+    }
+    return;
+  }
+
+  const host = siteKey(redirectedTo);
+  const now = new Date().toISOString();
+  if (move?.host === host) {
+    if (move.dismissed) return;
+    move.to = redirectedTo;
+    move.seenCount += 1;
+    move.lastSeenAt = now;
+  } else {
+    target.domainMove = { host, from: target.url, to: redirectedTo, seenCount: 1, firstSeenAt: now, lastSeenAt: now, confirmed: false };
   }
+
+  const current = target.domainMove;
+  if (!current.confirmed && current.seenCount >= REDIRECT_CONFIRMATIONS) {
+    current.confirmed = true;
+    if (!(target.aliases || []).some(a => siteKey(a.url) === host)) {
+      target.aliases = [...(target.aliases || []), { url: redirectedTo, kind: 'mirror', addedAt: now }];
+    }
+    checkLog(`DOMAIN MOVED: ${siteKey(target.url)} now redirects to ${host}. Added as a mirror, promote it to make it the primary URL.`, { level: 'warn' });
+  } else if (!current.confirmed) {
+    checkLog(`Redirect to ${host} seen ${current.seenCount}/${REDIRECT_CONFIRMATIONS} times.`);
+  }
+  io.emit('domain_move', { targetId: target.id, domainMove: target.domainMove, aliases: target.aliases });
+};
+
+// Keep the opening date announced on the page, unless one was entered by hand
+const trackExpectedOpening = (target, found, checkLog) => {
+  const current = target.expectedOpening;
+  if (current?.at === found.at) return;
+  if (current?.source === 'manual' && new Date(current.at) > new Date()) return;
+
+  target.expectedOpening = { at: found.at, text: found.text, source: 'page', detectedAt: new Date().toISOString() };
+  upsertTarget(target);
+  checkLog(`Expected opening: ${found.at} ("${found.text}"), burst checks scheduled around it.`);
+  io.emit('opening_update', { targetId: target.id, expectedOpening: target.expectedOpening });
 };
 
-// Reusable Check Logic
-const runTargetCheck = async (target) => {
+// In-flight checks, so they can be cancelled: targetId -> AbortController
+const activeChecks = new Map();
+
+class CheckCancelledError extends Error {
+  constructor() {
+    super('Check cancelled by user');
+    this.name = 'CheckCancelledError';
+  }
+}
+
+// Reusable Check Logic, resolves to the final status (never throws)
+const runTargetCheck = async (target, job = null, { plan = null, trace = false } = {}) => {
   updateStatus(target.id, 'CHECKING');
-  log(target.id, `Checking status for ${target.url}...`);
+  const runId = startCheckRun({ targetId: target.id, jobId: job?.id });
+  // Traces are recorded on request, or on every check and kept only when it ends in ERROR or DOWN
+  const tracePath = trace || settings.traceOnError === 'true' ? tracePathFor(runId) : null;
+  const checkLog = (message, meta = {}) => log(target.id, message, { step: 'result', ...meta, checkRunId: runId });
+  checkLog(`Checking status for ${target.url}...`, { step: 'start' });
+
+  let result = null;
+  let runError = null;
+  let failureReason = null;
+  let formChanges = [];
+
+  const controller = new AbortController();
+  activeChecks.set(target.id, controller);
+  const timer = setTimeout(() => controller.abort(new Error(`Timeout limit of ${CHECK_TIMEOUT_MS / 1000}s exceeded`)), CHECK_TIMEOUT_MS);
+  // Settle as soon as we abort, even if the worker is slow to notice
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => { }); // Handled by the race below
 
   try {
-    const result = await Promise.race([
-      checkTarget(target, (msg) => log(target.id, msg)),
-      new Promise((_, reject) => setTimeout(() => reject(new Error(`Timeout limit of ${CHECK_TIMEOUT_MS / 1000}s exceeded`)), CHECK_TIMEOUT_MS))
+    const onSnapshot = async (stage, capture) => saveSnapshot({ checkRunId: runId, targetId: target.id, stage, ...capture });
+    const runWorker = (checked) => Promise.race([
+      checked.type === 'watch'
+        ? checkWatchTarget(checked, checkLog, controller.signal, { tracePath, onSnapshot })
+        : checkTarget(checked, checkLog, controller.signal, { plan, tracePath, onSnapshot }),
+      aborted
     ]);
 
+    try {
+      result = await runWorker(target);
+      trackRedirect(target, result.redirectedTo, checkLog);
+    } catch (error) {
+      // An unreachable primary falls back to the mirrors, in order (a reviewed plan is tied to its URL)
+      const mirrors = plan ? [] : (target.aliases || []).filter(a => a.kind === 'mirror');
+      if (mirrors.length === 0 || controller.signal.aborted || !DOWN_REASONS.includes(classifyFailure(error))) throw error;
+      result = await checkMirrors(target, mirrors, runWorker, error, checkLog);
+    }
+
+    target.failureReason = null; // The check got an answer, whatever it is
+    if (result.expectedOpening) trackExpectedOpening(target, result.expectedOpening, checkLog);
+
+    if (result.watch) {
+      const status = recordWatchVersion(target, result, runId, checkLog);
+      updateStatus(target.id, status);
+      return { status };
+    }
+
+    if (result.formFingerprint) formChanges = trackFormChanges(target, result.formFingerprint, checkLog);
+
     // Update forum metadata if detected
-    if (result.forumType || result.robotsInfo || result.invitationCodes?.length > 0) {
+    if (result.forumType || result.robotsInfo || result.invitationCodes?.length > 0 || result.formFields?.length > 0) {
       target.forumType = result.forumType || target.forumType;
       target.robotsInfo = result.robotsInfo || target.robotsInfo;
       target.invitationCodes = result.invitationCodes || target.invitationCodes;
+      target.formFields = result.formFields?.length > 0 ? result.formFields : target.formFields;
       upsertTarget(target);
       io.emit('metadata_update', {
         targetId: target.id,
         forumType: target.forumType,
         robotsInfo: target.robotsInfo,
-        invitationCodes: target.invitationCodes
+        invitationCodes: target.invitationCodes,
+        formFields: target.formFields
       });
     }
 
     if (result.success) {
       updateStatus(target.id, 'REGISTERED');
-      log(target.id, 'SUCCESS: Registration completed!');
+      checkLog('SUCCESS: Registration completed!');
+      return { status: 'REGISTERED' };
     } else if (result.needsInvite) {
       updateStatus(target.id, 'NEEDS_INVITE');
-      log(target.id, 'OPEN but requires invitation code or additional info.');
+      checkLog('OPEN but requires invitation code or additional info.');
+      return { status: 'NEEDS_INVITE' };
     } else if (result.open) {
       updateStatus(target.id, 'OPEN');
-      log(target.id, 'WARNING: Registration seems open but failed to automate.');
+      if (result.monitorOnly) {
+        checkLog('Registration is OPEN. Monitor mode: nothing was filled or submitted.');
+      } else {
+        checkLog('WARNING: Registration seems open but failed to automate.', { level: 'warn' });
+      }
+      return { status: 'OPEN' };
     } else {
       updateStatus(target.id, 'CLOSED');
-      log(target.id, 'Registration appears closed.');
+      checkLog('Registration appears closed.');
+      return { status: 'CLOSED' };
     }
   } catch (error) {
-    updateStatus(target.id, 'ERROR');
-    log(target.id, `Error: ${error.message}`);
+    runError = error.message;
+    if (error instanceof CheckCancelledError) {
+      // Go back to what we knew before this check started
+      const restored = settledStatuses.get(target.id) || 'IDLE';
+      updateStatus(target.id, restored);
+      checkLog('Check cancelled.', { level: 'warn' });
+      return { status: restored, cancelled: true };
+    }
+    // Unreachable sites are DOWN, challenge pages CLOSED, anything else that stopped the check is an ERROR
+    failureReason = classifyFailure(error);
+    const status = failureStatus(failureReason);
+    target.failureReason = failureReason;
+    updateStatus(target.id, status);
+    const outcome = { DOWN: 'Site is DOWN', CLOSED: 'Blocked' }[status] || 'Error';
+    checkLog(`${outcome} [${failureReason}]: ${error.message}`, { level: 'error' });
+    return { status, error: error.message, reason: failureReason };
+  } finally {
+    clearTimeout(timer);
+    activeChecks.delete(target.id);
+    const traceFile = tracePath ? finalizeTrace(tracePath, trace || FAILED_STATUSES.includes(target.status), controller.signal.aborted) : null;
+    if (traceFile) checkLog(`Playwright trace saved (${traceFile}).`, { level: 'debug' });
+    const run = finishCheckRun(runId, {
+      status: target.status,
+      forumType: result?.forumType || null,
+      invitationCodes: result?.invitationCodes || [],
+      formFields: result?.formFields || [],
+      formChanges,
+      traceFile,
+      error: runError,
+      failureReason,
+      redirectedTo: result?.redirectedTo || null
+    });
+    if (run) io.emit('check_run', run);
+    scheduleNextCheck(target);
   }
 };
 
@@ -234,91 +1512,288 @@ app.post('/api/targets/:id/check', async (req, res) => {
   if (!target) return res.status(404).json({ error: 'Target not found' });
 
   // Don't await the check so we return immediately
-  runTargetCheck(target);
+  const queued = enqueueCheck(target, 'manual');
+  if (req.body?.trace) nextCheckOptions.set(target.id, { ...nextCheckOptions.get(target.id), trace: true });
+
+  res.json({ success: true, message: queued ? 'Check queued' : 'Check already queued or running' });
+});
+
+// Run History Endpoint (newest first)
+app.get('/api/targets/:id/runs', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const { runs, total } = getCheckRuns(target.id, { limit, offset });
+    res.json({ runs, total, limit, offset });
+  } catch (err) {
+    console.error('[API] GET /api/targets/:id/runs error:', err);
+    res.status(500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// Snapshots captured during one run, in capture order
+app.get('/api/targets/:id/runs/:runId/artifacts', (req, res) => {
+  const run = getCheckRun(req.params.runId);
+  if (!run || run.targetId !== req.params.id) return res.status(404).json({ error: 'Run not found' });
 
-  res.json({ success: true, message: 'Check initiated' });
+  const artifacts = getArtifactsForRun(run.id).map(a => ({ ...a, href: `/api/artifacts/${a.id}` }));
+  res.json({ artifacts });
+});
+
+// Serve one screenshot or HTML capture (?download=1 to save it)
+app.get('/api/artifacts/:id', (req, res) => {
+  const artifact = getArtifact(req.params.id);
+  if (!artifact) return res.status(404).json({ error: 'Artifact not found' });
+
+  const { filePath, contentType } = resolveArtifact(artifact);
+  res.type(contentType);
+  // Captured pages are untrusted: never let their scripts run on our origin
+  if (artifact.kind === 'html') res.set('Content-Security-Policy', 'sandbox');
+  if (req.query.download) res.attachment(`run-${artifact.checkRunId}-${path.basename(artifact.file)}`);
+  res.sendFile(filePath, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Artifact file is missing' });
+  });
+});
+
+// Download the Playwright trace of a run (open it with `npx playwright show-trace` or trace.playwright.dev).
+// Admin only: traces hold the pages and requests of the check up to the moment credentials are typed.
+app.get('/api/targets/:id/runs/:runId/trace', requireAdmin, (req, res) => {
+  const run = getCheckRun(req.params.runId);
+  if (!run || run.targetId !== req.params.id) return res.status(404).json({ error: 'Run not found' });
+
+  const tracePath = resolveTrace(run.traceFile);
+  if (!tracePath) return res.status(404).json({ error: 'No trace recorded for this run' });
+  res.download(tracePath, `trace-${run.targetId}-${run.traceFile}`, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Trace file is missing, it may have been pruned' });
+  });
+});
+
+// Cancel Endpoint: kills the running check (if any) and drops queued ones
+app.post('/api/targets/:id/cancel', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  removeFromQueue(target.id);
+  nextCheckOptions.delete(target.id);
+
+  const controller = activeChecks.get(target.id);
+  if (controller) {
+    console.log(`[API] Cancelling running check for ${target.url}`);
+    controller.abort(new CheckCancelledError());
+  }
+
+  res.json({ success: true, cancelledRunning: !!controller });
 });
 
 const CHECK_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes max per check
 
-// Random Scheduler (Stealth Mode)
-// DEBUG: Reduced intervals for testing (was 45-90 mins)
-const MIN_INTERVAL = 10 * 60 * 1000; // 10 minutes
-const MAX_INTERVAL = 10 * 60 * 1000; // 10 minutes
+// Dry-run plans waiting for review: planId -> { targetId, plan, createdAt }
+const dryRunPlans = new Map();
+// One-off options for the next queued check of a target (reviewed plan, trace): targetId -> { plan, trace }
+const nextCheckOptions = new Map();
+const DRY_RUN_PLAN_TTL_MS = 30 * 60 * 1000;
+
+const pruneDryRunPlans = () => {
+  const cutoff = Date.now() - DRY_RUN_PLAN_TTL_MS;
+  for (const [planId, entry] of dryRunPlans) {
+    if (entry.createdAt < cutoff) dryRunPlans.delete(planId);
+  }
+};
+
+// Never send passwords back to the browser, the stored plan keeps the real values
+const maskPlan = (plan, target) => ({
+  ...plan,
+  fill_actions: plan.fill_actions.map(action => ({
+    ...action,
+    value: action.inputType === 'password' || (target.password && action.value === target.password)
+      ? REDACTED
+      : action.value
+  }))
+});
+
+// Shown while a dry run works: not stored, and lastCheck stays the time of the last real check
+const showDryRunStatus = (target, status) => {
+  target.status = status;
+  io.emit('status_update', { targetId: target.id, status, lastCheck: target.lastCheck, failureReason: target.failureReason || null });
+};
+
+// Runs a dry run once the pool gives it a slot, the target shows as CHECKING meanwhile
+const runDryRun = async (targetId, controller) => {
+  controller.signal.throwIfAborted(); // Cancelled or client gone while it waited for a slot
+  const target = targets.find(t => t.id === targetId);
+  if (!target) throw new Error('Target was deleted');
+
+  log(target.id, `Dry run started for ${target.url}...`, { step: 'dry-run' });
+  const previousStatus = target.status;
+  showDryRunStatus(target, 'CHECKING');
+  const timer = setTimeout(() => controller.abort(new Error(`Timeout limit of ${CHECK_TIMEOUT_MS / 1000}s exceeded`)), CHECK_TIMEOUT_MS);
+  try {
+    return await checkTarget(target, (message, meta = {}) => log(target.id, `[DRY RUN] ${message}`, meta), controller.signal, { dryRun: true });
+  } finally {
+    clearTimeout(timer);
+    // A dry run does not settle anything, go back to what the last check found
+    showDryRunStatus(target, previousStatus);
+  }
+};
+
+// Dry Run Endpoint: walks the check up to the fill stage and returns what would be typed, without submitting.
+// It goes through the check pool, so it respects the concurrency limit and never runs beside another check of the site.
+app.post('/api/targets/:id/dry-run', async (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+  if (target.type === 'watch') return res.status(400).json({ error: 'Watch targets have no registration form' });
 
-const startScheduler = (initialDelay = null) => {
-  const delay = initialDelay !== null
-    ? initialDelay
-    : Math.floor(Math.random() * (MAX_INTERVAL - MIN_INTERVAL + 1)) + MIN_INTERVAL;
+  const controller = new AbortController();
+  const run = runInteractiveCheck(target, 'dry-run', () => runDryRun(target.id, controller));
+  if (!run) return res.status(409).json({ error: 'A check is already queued or running for this target' });
 
-  const nextCheck = new Date(Date.now() + delay).toLocaleTimeString();
+  // Cancellable, and seen by the restore's idle check, from the moment it waits for a slot
+  activeChecks.set(target.id, controller);
+  console.log(`[API] Dry run requested for ${target.url}`);
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(new Error('Client disconnected'));
+  });
 
-  console.log(`[SCHEDULER] Next check loop scheduled in ${Math.round(delay / 60000)} minutes (${nextCheck})`);
+  try {
+    const { plan, ...outcome } = await run;
 
-  setTimeout(async () => {
-    console.log(`[SCHEDULER] Starting check batch...`);
+    if (!plan) {
+      log(target.id, 'Dry run finished without a fill plan.', { step: 'dry-run', level: 'warn' });
+      return res.json({ planId: null, plan: null, result: outcome });
+    }
+
+    pruneDryRunPlans();
+    const planId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    dryRunPlans.set(planId, { targetId: target.id, plan, createdAt: Date.now() });
+    log(target.id, `Dry run plan ready (${plan.source}, ${plan.fill_actions.length} field(s)). Nothing was submitted.`, { step: 'dry-run' });
+    res.json({ planId, plan: maskPlan(plan, target), result: outcome });
+  } catch (error) {
+    if (error instanceof CheckCancelledError) {
+      log(target.id, 'Dry run cancelled.', { step: 'dry-run', level: 'warn' });
+      if (!res.writableEnded) res.status(409).json({ error: error.message });
+      return;
+    }
+    console.error('[API] Dry run error:', error);
+    const reason = classifyFailure(error);
+    log(target.id, `Dry run failed [${reason}]: ${error.message}`, { step: 'dry-run', level: 'error' });
+    if (!res.writableEnded) res.status(500).json({ error: error.message, reason });
+  } finally {
+    if (activeChecks.get(target.id) === controller) activeChecks.delete(target.id);
+  }
+});
+
+// Execute a reviewed dry-run plan exactly as shown
+app.post('/api/targets/:id/plans/:planId/execute', (req, res) => {
+  const target = targets.find(t => t.id === req.params.id);
+  if (!target) return res.status(404).json({ error: 'Target not found' });
+
+  pruneDryRunPlans();
+  const entry = dryRunPlans.get(req.params.planId);
+  if (!entry || entry.targetId !== target.id) return res.status(404).json({ error: 'Plan not found or expired, run a new dry run' });
+  if (target.mode === 'monitor') return res.status(409).json({ error: 'Target is in monitor mode, switch it to auto-register first' });
+
+  if (!enqueueCheck(target, 'manual')) {
+    return res.status(409).json({ error: 'A check is already queued or running for this target' });
+  }
+  // Runners start asynchronously, so the plan is in place before the job runs
+  dryRunPlans.delete(req.params.planId);
+  nextCheckOptions.set(target.id, { ...nextCheckOptions.get(target.id), plan: entry.plan });
+  log(target.id, `Executing reviewed ${entry.plan.source} plan...`, { step: 'queue' });
+
+  res.json({ success: true, message: 'Plan queued for execution' });
+});
+
+// Scheduler: every tick, queue the targets whose own schedule says they are due
+const SCHEDULER_TICK_MS = 30 * 1000;
+const isDue = (target, now) => {
+  if (target.enabled === false) return false; // Paused, manual checks still run
+  if (target.status === 'REGISTERED') return false;
+  if (!target.nextCheckAt) return false; // Manual only
+  // Targets with a queued or running job are skipped by enqueueCheck
+  return new Date(target.nextCheckAt).getTime() <= now;
+};
+
+// Pool runner: performs one job, an ERROR or DOWN result makes the pool retry it with backoff unless its reason is not retryable
+const runQueuedCheck = async (job) => {
+  const target = targets.find(t => t.id === job.targetId);
+  if (!target) return { ok: true }; // Deleted while queued, nothing to retry
+
+  if (job.attempts > 1) log(target.id, `Retry attempt ${job.attempts}/${job.maxAttempts}...`, { level: 'warn', step: 'queue' });
+
+  // Wrap individual check in try/catch just in case runTargetCheck fails unexpectedly
+  try {
+    // One-off options apply to a single job, retries after an error included
+    const result = await runTargetCheck(target, job, nextCheckOptions.get(target.id));
+    const failed = FAILED_STATUSES.includes(result.status);
+    const retry = failed && !NON_RETRYABLE_REASONS.includes(result.reason);
+    if (!retry || job.attempts >= job.maxAttempts) nextCheckOptions.delete(target.id);
+    return { ok: !failed, retry, cancelled: result.cancelled, error: result.error };
+  } catch (targetError) {
+    console.error(`[POOL] Critical error checking target ${target.id} (${target.url}):`, targetError);
+    // FORCE ERROR STATUS if not already set, so we don't get stuck
+    target.failureReason = 'UNKNOWN';
+    updateStatus(target.id, 'ERROR');
+    log(target.id, `System Error: ${targetError.message}`, { level: 'error' });
+    return { ok: false, error: targetError.message };
+  }
+};
+
+startCheckPool(runQueuedCheck, (stats) => io.emit('queue_update', stats), settings.maxConcurrentChecks);
+
+const startScheduler = (initialDelay = SCHEDULER_TICK_MS) => {
+  setTimeout(() => {
     try {
-      for (const target of targets) {
-        if (target.status === 'REGISTERED') continue;
-
-        // Fix for Stuck Checks: If status is CHECKING but lastCheck is old (> 10 mins), reset it.
-        if (target.status === 'CHECKING') {
-          const timeSinceCheck = Date.now() - new Date(target.lastCheck).getTime();
-          const STALE_TIMEOUT = 10 * 60 * 1000; // 10 minutes
-
-          if (timeSinceCheck > STALE_TIMEOUT) {
-            console.log(`[SCHEDULER] Found stale CHECKING target ${target.url} (Last check: ${target.lastCheck}). Resetting/Retrying...`);
-            // We don't continue; we let it fall through to runTargetCheck, which will update status to CHECKING (fresh timestamp)
-          } else {
-            continue; // Still validly checking
-          }
-        }
-
-        // Wrap individual check in try/catch just in case runTargetCheck fails unexpectedly
-        try {
-          await runTargetCheck(target);
-        } catch (targetError) {
-          console.error(`[SCHEDULER] Critical error checking target ${target.id} (${target.url}):`, targetError);
-          // FORCE ERROR STATUS if not already set, so we don't try again immediately or get stuck
-          updateStatus(target.id, 'ERROR');
-          log(target.id, `System Error: ${targetError.message}`);
-        }
-
-        // Brief pause to prevent CPU spiking if loop is tight
-        await new Promise(r => setTimeout(r, 1000));
-      }
-    } catch (batchError) {
-      console.error("[SCHEDULER] Critical error in check batch:", batchError);
+      if (restoreInProgress) return; // Picked up again on the next tick
+      const due = targets
+        .filter(t => isDue(t, Date.now()))
+        .sort((a, b) => comparePriority(a, b) || new Date(a.nextCheckAt) - new Date(b.nextCheckAt));
+
+      const queued = due.filter(t => enqueueCheck(t)).length;
+      if (queued > 0) console.log(`[SCHEDULER] Queued ${queued} due target(s)`);
+    } catch (tickError) {
+      console.error("[SCHEDULER] Critical error in scheduler tick:", tickError);
     } finally {
-      // Schedule next run regardless of errors
+      // Schedule next tick regardless of errors
       startScheduler();
     }
-  }, delay);
+  }, initialDelay);
 };
 
-// Start initial loop
 // Start initial loop with 1 minute delay
 startScheduler(60 * 1000);
 
+// Log, snapshot and trace retention
+pruneOldData();
+setInterval(pruneOldData, 60 * 60 * 1000);
+
+// Scheduled database backups, the oldest scheduled ones rotated out
+startBackupSchedule(() => ({
+  intervalHours: parseFloat(settings.backupIntervalHours),
+  keep: parseInt(settings.backupKeep, 10) || 7
+}));
+
+// Start Notifications (retries deliveries left pending by a restart)
+startNotificationService((msg) => console.log(`[NOTIFY] ${msg}`));
+startDailyDigest((since) => ({
+  targets,
+  redditAdded: getRedditStats().history.filter(h => h.status === 'ADDED' && new Date(h.timestamp) >= since),
+  errors: getErroredCheckRunsSince(since.toISOString())
+}));
+
 // Start Reddit Monitor
 startRedditMonitor((url, source) => {
-  // Check duplicates
-  if (targets.some(t => t.url === url || t.url === url + '/')) return false;
-
-  const newTarget = {
-    id: Date.now().toString(),
-    url: url,
-    url: url,
-    pseudo: settings.defaultPseudo || `AutoUser_${Math.floor(Math.random() * 1000)}`,
-    email: settings.defaultEmail || '',
-    password: settings.defaultPassword || '',
-    status: 'IDLE',
-    logs: [`[${source}] Auto-detected from Reddit r/FrancePirate`],
-    lastCheck: null
-  };
+  // Check duplicates, moved sites included through their mirrors and aliases
+  if (findDuplicateTarget(url)) return false;
+
+  const newTarget = buildTarget({ url });
   targets.push(newTarget);
   upsertTarget(newTarget);
-  io.emit('targets_updated', targets);
+  log(newTarget.id, `[${source}] Auto-detected from Reddit r/FrancePirate`, { step: 'discovery' });
+  io.emit('targets_updated', targets.map(redactTarget));
   io.emit('reddit_stats', getRedditStats());
   console.log(`[REDDIT] Added new target: ${url}`);
   return true;
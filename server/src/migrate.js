@@ -0,0 +1,89 @@
+/**
+ * Migration Runner
+ * Applies the numbered files of src/migrations in order, each in its own transaction,
+ * and records the schema version reached in the schema_migrations table
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// 001_import_json.js -> { version: 1, name: 'import_json' }
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Migration files found on disk, in version order
+ * @param {string} [dir] - Directory holding the migration files
+ * @returns {Array<object>} - { version, name, file }
+ * @throws {Error} - If two files share a version
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file) }))
+        .sort((a, b) => a.version - b.version);
+
+    const duplicate = migrations.find((m, i) => i > 0 && migrations[i - 1].version === m.version);
+    if (duplicate) throw new Error(`Two migrations share version ${duplicate.version}`);
+    return migrations;
+}
+
+/**
+ * Schema version recorded in a database
+ * @param {object} db - better-sqlite3 connection
+ * @returns {number} - 0 for a database no migration ever ran on
+ */
+export function getSchemaVersion(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt TEXT NOT NULL
+      );
+    `);
+    return db.prepare('SELECT max(version) AS version FROM schema_migrations').get().version || 0;
+}
+
+/**
+ * Bring a database up to the latest schema. Each migration file exports `up(db, context)`,
+ * which must be synchronous: it runs inside a transaction that also records its version,
+ * so a failing migration leaves the database at the previous version.
+ * @param {object} db - better-sqlite3 connection
+ * @param {object} [options] - { dir, dataDir, log }
+ * @returns {Promise<object>} - { from, to, applied: [names] }
+ * @throws {Error} - If the database was written by a newer version, or a migration fails
+ */
+export async function runMigrations(db, { dir = MIGRATIONS_DIR, dataDir, log = console.log } = {}) {
+    const migrations = listMigrations(dir);
+    const known = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const from = getSchemaVersion(db);
+    if (from > known) {
+        throw new Error(`Database schema is at version ${from} but this build only knows up to ${known}. Upgrade Forum Sniper or restore a matching backup.`);
+    }
+
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)');
+    const applied = [];
+    for (const migration of migrations.filter(m => m.version > from)) {
+        const { up } = await import(pathToFileURL(migration.file).href);
+        if (typeof up !== 'function') throw new Error(`Migration ${migration.version} (${migration.name}) has no up() function`);
+
+        // File moves and other side effects wait for the commit
+        const afterCommit = [];
+        const context = { dataDir, log, afterCommit: (fn) => afterCommit.push(fn) };
+        try {
+            db.transaction(() => {
+                up(db, context);
+                record.run(migration.version, migration.name, new Date().toISOString());
+            })();
+        } catch (err) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`, { cause: err });
+        }
+        afterCommit.forEach(fn => fn());
+        log(`[DB] Applied migration ${migration.version} (${migration.name})`);
+        applied.push(migration.name);
+    }
+    return { from, to: Math.max(from, known), applied };
+}
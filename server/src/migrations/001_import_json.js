@@ -0,0 +1,51 @@
+/**
+ * Migration 1: import the targets.json and settings.json of the pre-SQLite versions
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function up(db, { dataDir, log, afterCommit }) {
+    const targetsJson = path.join(dataDir, 'targets.json');
+    const settingsJson = path.join(dataDir, 'settings.json');
+
+    const { count: targetCount } = db.prepare('SELECT count(*) as count FROM targets').get();
+    if (targetCount === 0 && fs.existsSync(targetsJson)) {
+        log('[DB] Migrating targets.json to SQLite...');
+        const targets = JSON.parse(fs.readFileSync(targetsJson, 'utf-8'));
+        const insert = db.prepare(`
+            INSERT INTO targets (id, url, pseudo, email, password, status, logs, lastCheck, forumType, robotsInfo, invitationCodes)
+            VALUES (@id, @url, @pseudo, @email, @password, @status, @logs, @lastCheck, @forumType, @robotsInfo, @invitationCodes)
+        `);
+        for (const t of targets) {
+            insert.run({
+                id: t.id,
+                url: t.url,
+                pseudo: t.pseudo,
+                email: t.email,
+                password: t.password,
+                status: t.status,
+                logs: JSON.stringify(t.logs || []),
+                lastCheck: t.lastCheck,
+                forumType: t.forumType,
+                robotsInfo: JSON.stringify(t.robotsInfo || {}),
+                invitationCodes: JSON.stringify(t.invitationCodes || [])
+            });
+        }
+        log(`[DB] Imported ${targets.length} targets.`);
+        // Renamed once the import is committed, so a failed import can be retried
+        afterCommit(() => fs.renameSync(targetsJson, targetsJson + '.bak'));
+    }
+
+    const { count: settingsCount } = db.prepare('SELECT count(*) as count FROM settings').get();
+    if (settingsCount === 0 && fs.existsSync(settingsJson)) {
+        log('[DB] Migrating settings.json to SQLite...');
+        const settings = JSON.parse(fs.readFileSync(settingsJson, 'utf-8'));
+        const insert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)');
+        for (const [k, v] of Object.entries(settings)) {
+            insert.run(k, String(v));
+        }
+        log('[DB] Imported settings.');
+        afterCommit(() => fs.renameSync(settingsJson, settingsJson + '.bak'));
+    }
+}
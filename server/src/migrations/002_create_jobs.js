@@ -0,0 +1,27 @@
+/**
+ * Migration 2: durable queue of the check pool (see checkPool.js).
+ * This and the next table migrations use IF NOT EXISTS: databases created before
+ * migrations existed already have these tables.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        targetId TEXT NOT NULL,
+        url TEXT,
+        status TEXT NOT NULL, -- queued, running, succeeded, failed, cancelled
+        source TEXT, -- scheduler, manual
+        attempts INTEGER NOT NULL DEFAULT 0,
+        maxAttempts INTEGER NOT NULL DEFAULT 3,
+        runAfter TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        startedAt TEXT,
+        finishedAt TEXT,
+        lastError TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_status_runAfter ON jobs (status, runAfter);
+      CREATE INDEX IF NOT EXISTS idx_jobs_targetId ON jobs (targetId);
+    `);
+}
@@ -0,0 +1,22 @@
+/**
+ * Migration 3: history of every check, one row per run.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS check_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        targetId TEXT NOT NULL,
+        jobId INTEGER,
+        startedAt TEXT NOT NULL,
+        finishedAt TEXT,
+        durationMs INTEGER,
+        status TEXT, -- Resulting target status
+        forumType TEXT,
+        invitationCodes TEXT, -- JSON
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_check_runs_target ON check_runs (targetId, startedAt);
+    `);
+}
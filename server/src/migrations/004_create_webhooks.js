@@ -0,0 +1,19 @@
+/**
+ * Migration 4: webhooks called on status changes.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        headers TEXT, -- JSON object
+        bodyTemplate TEXT,
+        statuses TEXT, -- JSON array, statuses that trigger this webhook
+        targetIds TEXT, -- JSON array, empty means every target
+        enabled INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL
+      );
+    `);
+}
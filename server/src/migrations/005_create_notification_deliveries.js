@@ -0,0 +1,25 @@
+/**
+ * Migration 5: outbox of webhook, email and push notifications, retried until delivered.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL, -- webhook, email, push
+        webhookId INTEGER,
+        targetId TEXT,
+        event TEXT NOT NULL,
+        payload TEXT,
+        status TEXT NOT NULL, -- pending, delivered, failed
+        attempts INTEGER NOT NULL DEFAULT 0,
+        nextAttemptAt TEXT,
+        responseStatus INTEGER,
+        error TEXT,
+        createdAt TEXT NOT NULL,
+        deliveredAt TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_deliveries_status ON notification_deliveries (status, nextAttemptAt);
+    `);
+}
@@ -0,0 +1,20 @@
+/**
+ * Migration 6: structured log entries, replacing the per-target log arrays.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        targetId TEXT,
+        checkRunId INTEGER,
+        level TEXT NOT NULL, -- debug, info, warn, error
+        step TEXT,
+        message TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_logs_target ON logs (targetId, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs (timestamp);
+    `);
+}
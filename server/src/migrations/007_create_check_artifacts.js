@@ -0,0 +1,21 @@
+/**
+ * Migration 7: screenshots and HTML captured during a check, files in data/artifacts.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS check_artifacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        checkRunId INTEGER NOT NULL,
+        targetId TEXT NOT NULL,
+        stage TEXT NOT NULL, -- landing, registration, after-fill, after-submit
+        kind TEXT NOT NULL, -- screenshot, html
+        file TEXT NOT NULL, -- Path relative to data/artifacts
+        url TEXT, -- Page URL at capture time
+        size INTEGER,
+        createdAt TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_check_artifacts_run ON check_artifacts (checkRunId);
+    `);
+}
@@ -0,0 +1,18 @@
+/**
+ * Migration 8: page text kept by watch targets, to diff successive versions.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS watch_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        targetId TEXT NOT NULL,
+        checkRunId INTEGER,
+        capturedAt TEXT NOT NULL,
+        url TEXT, -- Final URL after redirects
+        text TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_watch_versions_target ON watch_versions (targetId, id);
+    `);
+}
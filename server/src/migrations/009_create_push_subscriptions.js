@@ -0,0 +1,17 @@
+/**
+ * Migration 9: browser push subscriptions.
+ */
+
+export function up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        endpoint TEXT NOT NULL UNIQUE,
+        keys TEXT NOT NULL, -- JSON { p256dh, auth }
+        statuses TEXT, -- JSON array
+        userAgent TEXT,
+        createdAt TEXT NOT NULL,
+        lastSuccessAt TEXT
+      );
+    `);
+}
@@ -0,0 +1,38 @@
+/**
+ * Migration 10: columns added to targets and check_runs before migrations existed.
+ * Older databases already have some of them, so each one is only added when missing.
+ */
+
+const addColumnIfMissing = (db, table, column, definition) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+export function up(db) {
+    addColumnIfMissing(db, 'targets', 'schedule', 'TEXT'); // JSON
+    addColumnIfMissing(db, 'targets', 'nextCheckAt', 'TEXT');
+    addColumnIfMissing(db, 'targets', 'mode', "TEXT DEFAULT 'auto-register'"); // auto-register, monitor
+    addColumnIfMissing(db, 'targets', 'formFields', 'TEXT'); // JSON, fields seen on the last detected form
+    addColumnIfMissing(db, 'targets', 'formFingerprint', 'TEXT'); // JSON, structure of the form on the last check
+    addColumnIfMissing(db, 'targets', 'formChanges', 'TEXT'); // JSON, readable diff of the last form change
+    addColumnIfMissing(db, 'targets', 'formChangedAt', 'TEXT');
+    addColumnIfMissing(db, 'targets', 'type', "TEXT DEFAULT 'registration'"); // registration, watch
+    addColumnIfMissing(db, 'targets', 'watch', 'TEXT'); // JSON { selector, fetchMode } for watch targets
+    addColumnIfMissing(db, 'targets', 'watchChangedAt', 'TEXT');
+    addColumnIfMissing(db, 'targets', 'expectedOpening', 'TEXT'); // JSON { at, text, source, detectedAt }, announced opening
+    addColumnIfMissing(db, 'targets', 'nextCheckReason', 'TEXT'); // Why nextCheckAt differs from the regular schedule
+    addColumnIfMissing(db, 'targets', 'failureReason', 'TEXT'); // Reason code of the last check that got no answer (ERROR, DOWN, or CLOSED by a challenge page)
+    addColumnIfMissing(db, 'targets', 'aliases', 'TEXT'); // JSON [{ url, kind: mirror | alias, addedAt }]
+    addColumnIfMissing(db, 'targets', 'domainMove', 'TEXT'); // JSON, cross-domain redirect seen on the last checks
+    addColumnIfMissing(db, 'targets', 'tags', 'TEXT'); // JSON ["tracker", "fr"]
+    addColumnIfMissing(db, 'targets', 'priority', "TEXT DEFAULT 'normal'"); // low, normal, high
+    addColumnIfMissing(db, 'targets', 'notes', 'TEXT');
+    addColumnIfMissing(db, 'targets', 'enabled', 'INTEGER NOT NULL DEFAULT 1'); // 0 = paused, the scheduler skips it
+    addColumnIfMissing(db, 'check_runs', 'formFields', 'TEXT'); // JSON
+    addColumnIfMissing(db, 'check_runs', 'formChanges', 'TEXT'); // JSON, set when the form changed during this run
+    addColumnIfMissing(db, 'check_runs', 'traceFile', 'TEXT'); // Zip name in data/traces
+    addColumnIfMissing(db, 'check_runs', 'failureReason', 'TEXT'); // DNS, HTTP_5XX, TIMEOUT... for runs that got no answer
+    addColumnIfMissing(db, 'check_runs', 'redirectedTo', 'TEXT'); // Final URL when the site redirected to another domain
+}
@@ -0,0 +1,33 @@
+/**
+ * Migration 11: move the old per-target log arrays into the logs table. They only kept a
+ * time of day, so the entries are dated at the target's last check, in their original order.
+ */
+
+export function up(db, { log }) {
+    const rows = db.prepare(`SELECT id, logs, lastCheck FROM targets WHERE logs IS NOT NULL AND logs != '[]'`).all();
+    if (rows.length === 0) return;
+
+    log(`[DB] Moving legacy logs of ${rows.length} target(s) to the logs table...`);
+    const insert = db.prepare(`INSERT INTO logs (timestamp, targetId, level, step, message) VALUES (?, ?, 'info', 'legacy', ?)`);
+    const clear = db.prepare(`UPDATE targets SET logs = '[]' WHERE id = ?`);
+    let skipped = 0;
+    for (const row of rows) {
+        // A corrupt array must not block the whole migration, it stays in the old column untouched
+        let entries;
+        try {
+            entries = JSON.parse(row.logs);
+        } catch {
+            entries = null;
+        }
+        if (!Array.isArray(entries)) {
+            skipped++;
+            continue;
+        }
+        const timestamp = row.lastCheck || new Date().toISOString();
+        for (const entry of entries.reverse()) {
+            insert.run(timestamp, row.id, String(entry));
+        }
+        clear.run(row.id);
+    }
+    if (skipped > 0) log(`[DB] Skipped the unreadable legacy logs of ${skipped} target(s)`);
+}
@@ -0,0 +1,31 @@
+/**
+ * Migration 12: encrypt the target passwords, secret settings and webhook headers stored in
+ * plaintext so far, with the master key loaded at startup (see secrets.js).
+ */
+
+import { encryptSecret, isEncrypted } from '../secrets.js';
+
+// Secret settings as of this version, fixed here so every database gets the same migration
+const SECRET_SETTINGS = ['openRouterKey', 'smtpPass', 'defaultPassword', 'vapidPrivateKey'];
+
+export function up(db, { log }) {
+    const targets = db.prepare(`SELECT id, password FROM targets WHERE password IS NOT NULL AND password != ''`).all()
+        .filter(row => !isEncrypted(row.password));
+    const updateTarget = db.prepare('UPDATE targets SET password = ? WHERE id = ?');
+    targets.forEach(row => updateTarget.run(encryptSecret(row.password), row.id));
+
+    const settings = db.prepare(`SELECT key, value FROM settings WHERE value IS NOT NULL AND value != ''`).all()
+        .filter(row => SECRET_SETTINGS.includes(row.key) && !isEncrypted(row.value));
+    const updateSetting = db.prepare('UPDATE settings SET value = ? WHERE key = ?');
+    settings.forEach(row => updateSetting.run(encryptSecret(row.value), row.key));
+
+    // Stored as '{}' when a webhook has no headers, nothing to hide then
+    const webhooks = db.prepare(`SELECT id, headers FROM webhooks WHERE headers IS NOT NULL AND headers NOT IN ('', '{}')`).all()
+        .filter(row => !isEncrypted(row.headers));
+    const updateWebhook = db.prepare('UPDATE webhooks SET headers = ? WHERE id = ?');
+    webhooks.forEach(row => updateWebhook.run(encryptSecret(row.headers), row.id));
+
+    if (targets.length + settings.length + webhooks.length > 0) {
+        log(`[DB] Encrypted ${targets.length} target password(s), ${settings.length} secret setting(s) and the headers of ${webhooks.length} webhook(s)`);
+    }
+}
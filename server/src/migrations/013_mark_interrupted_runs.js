@@ -0,0 +1,12 @@
+/**
+ * Migration 13: give the runs closed after a restart by older versions their INTERRUPTED reason,
+ * so they leave the uptime, the learned opening patterns and the digest like the new ones.
+ */
+
+export function up(db, { log }) {
+    const changes = db.prepare(`
+        UPDATE check_runs SET failureReason = 'INTERRUPTED'
+        WHERE status = 'ERROR' AND error = 'Interrupted by restart' AND failureReason IS NULL
+    `).run().changes;
+    if (changes > 0) log(`[DB] Marked ${changes} check run(s) interrupted by a restart`);
+}
@@ -0,0 +1,154 @@
+/**
+ * Opening Date Module
+ * Finds announced registration openings ("inscriptions ouvertes le 12/11 à 20h",
+ * "signups open Friday 8pm UTC") in page text
+ */
+
+// Phrases that announce an opening, the date is looked for right after them
+const ANNOUNCEMENTS = [
+    { lang: 'fr', pattern: /(?:ouverture|r[ée]ouverture)\s+des\s+inscriptions|inscriptions?\s+(?:seront\s+|sont\s+)?(?:ouvertes?|ouvriront|r?ouvre(?:nt|ront)?)/gi },
+    { lang: 'fr', pattern: /(?:recrutement|candidatures)\s+(?:ouvert|ouvriront|ouvre)/gi },
+    { lang: 'en', pattern: /(?:sign[- ]?ups?|registrations?|applications?)\s+(?:will\s+)?(?:re)?open(?:s|ing)?|(?:re)?open(?:s|ing)?\s+(?:for\s+)?(?:sign[- ]?ups?|registrations?)/gi }
+];
+
+// How far after the announcement the date may appear
+const WINDOW_CHARS = 120;
+
+const MONTHS = {
+    janvier: 0, fevrier: 1, février: 1, mars: 2, avril: 3, mai: 4, juin: 5, juillet: 6, aout: 7, août: 7,
+    septembre: 8, octobre: 9, novembre: 10, decembre: 11, décembre: 11,
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7,
+    september: 8, october: 9, november: 10, december: 11,
+    jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+const WEEKDAYS = {
+    dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+};
+
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const WEEKDAY_NAMES = Object.keys(WEEKDAYS).join('|');
+
+const TIME_ZONES = { CET: 'Europe/Paris', CEST: 'Europe/Paris', PARIS: 'Europe/Paris', 'HEURE DE PARIS': 'Europe/Paris' };
+
+// Offset (minutes ahead of UTC) of an IANA zone at a given instant
+const zoneOffsetMinutes = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// Wall-clock time in a zone ('local', a fixed UTC offset in minutes, or an IANA name) to a Date
+const toInstant = ({ year, month, day, hour, minute }, zone) => {
+    if (zone === 'local') return new Date(year, month, day, hour, minute);
+    const wallAsUtc = Date.UTC(year, month, day, hour, minute);
+    if (typeof zone === 'number') return new Date(wallAsUtc - zone * 60000);
+    // Guess with the offset at the wall time, then correct once around DST changes
+    let instant = new Date(wallAsUtc - zoneOffsetMinutes(new Date(wallAsUtc), zone) * 60000);
+    instant = new Date(wallAsUtc - zoneOffsetMinutes(instant, zone) * 60000);
+    return instant;
+};
+
+const parseTime = (text) => {
+    let m = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/i);
+    if (m) {
+        let hour = parseInt(m[1], 10) % 12;
+        if (m[3].toLowerCase().startsWith('p')) hour += 12;
+        return { hour, minute: parseInt(m[2] || '0', 10) };
+    }
+    m = text.match(/\b(\d{1,2})\s*h\s*(\d{2})?\b/i) || text.match(/\b(\d{1,2}):(\d{2})\b/);
+    if (m) return { hour: parseInt(m[1], 10), minute: parseInt(m[2] || '0', 10) };
+    if (/\bmidi\b|\bnoon\b/i.test(text)) return { hour: 12, minute: 0 };
+    if (/\bminuit\b|\bmidnight\b/i.test(text)) return { hour: 0, minute: 0 };
+    return null;
+};
+
+const parseZone = (text) => {
+    const m = text.match(/\b(UTC|GMT)\s*([+-]\d{1,2})?(?::?(\d{2}))?\b/i);
+    if (m) {
+        const sign = m[2]?.startsWith('-') ? -1 : 1;
+        return m[2] ? sign * (Math.abs(parseInt(m[2], 10)) * 60 + parseInt(m[3] || '0', 10)) : 0;
+    }
+    const named = text.match(/\b(CEST|CET|heure de Paris|Paris)\b/i);
+    return named ? TIME_ZONES[named[1].toUpperCase()] : 'local';
+};
+
+// Calendar day named in the text, relative words resolved against `now`
+const parseDay = (text, lang, now) => {
+    const today = { year: now.getFullYear(), month: now.getMonth(), day: now.getDate() };
+    const shift = (days) => {
+        const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+        return { year: d.getFullYear(), month: d.getMonth(), day: d.getDate() };
+    };
+
+    let m = text.match(/\b(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?\b/);
+    if (m) {
+        // French writes day/month, English month/day
+        const [day, month] = lang === 'fr' ? [m[1], m[2]] : [m[2], m[1]];
+        const year = m[3] ? (m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10)) : null;
+        return { year, month: parseInt(month, 10) - 1, day: parseInt(day, 10), explicit: true };
+    }
+
+    m = text.match(new RegExp(`\\b(\\d{1,2})(?:er|st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_NAMES})\\.?(?:\\s+(\\d{4}))?`, 'i'));
+    if (m) return { year: m[3] ? parseInt(m[3], 10) : null, month: MONTHS[m[2].toLowerCase()], day: parseInt(m[1], 10), explicit: true };
+
+    m = text.match(new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, 'i'));
+    if (m) return { year: m[3] ? parseInt(m[3], 10) : null, month: MONTHS[m[1].toLowerCase()], day: parseInt(m[2], 10), explicit: true };
+
+    if (/\b(?:demain|tomorrow)\b/i.test(text)) return shift(1);
+    if (/\b(?:aujourd'hui|today|ce soir|tonight|this evening)\b/i.test(text)) return today;
+
+    m = text.match(new RegExp(`\\b(${WEEKDAY_NAMES})\\b`, 'i'));
+    if (m) {
+        const ahead = (WEEKDAYS[m[1].toLowerCase()] - now.getDay() + 7) % 7;
+        return { ...shift(ahead), weekday: true };
+    }
+    return null;
+};
+
+/**
+ * Find the first announced opening date in a page's text
+ * @param {string} text - Visible page text
+ * @param {Date} [now] - Reference time, dates without a year resolve to the next occurrence
+ * @returns {object|null} - { at: ISO date, text: phrase it came from }, only future dates
+ */
+export function extractOpeningDate(text, now = new Date()) {
+    if (!text) return null;
+
+    for (const { lang, pattern } of ANNOUNCEMENTS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const window = text.slice(match.index, match.index + match[0].length + WINDOW_CHARS).split(/\n\s*\n/)[0];
+            const rest = window.slice(match[0].length);
+            // "inscriptions ouvertes jusqu'au 12/11" is a closing date
+            if (/^\W*(?:jusqu|until|till|through)/i.test(rest)) continue;
+            const day = parseDay(rest, lang, now);
+            if (!day) continue;
+
+            const parsedTime = parseTime(rest);
+            const time = parsedTime || { hour: 0, minute: 0 };
+            if (time.hour > 23 || time.minute > 59 || day.month < 0 || day.month > 11 || day.day < 1 || day.day > 31) continue;
+
+            const zone = parseZone(window);
+            let at = toInstant({ ...day, ...time, year: day.year ?? now.getFullYear() }, zone);
+            // "le 12/11" seen in December means next year
+            if (day.year == null && day.explicit && at.getTime() < now.getTime() - 24 * 60 * 60 * 1000) {
+                at = toInstant({ ...day, year: now.getFullYear() + 1, ...time }, zone);
+            }
+            // "lundi 10h" read on a Monday at 11:00 means next Monday
+            if (day.weekday && parsedTime && at.getTime() <= now.getTime()) {
+                const nextWeek = new Date(day.year, day.month, day.day + 7);
+                at = toInstant({ year: nextWeek.getFullYear(), month: nextWeek.getMonth(), day: nextWeek.getDate(), ...time }, zone);
+            }
+            // Announcements of past openings are not worth scheduling around
+            if (Number.isNaN(at.getTime()) || at.getTime() <= now.getTime()) continue;
+
+            return { at: at.toISOString(), text: window.replace(/\s+/g, ' ').trim().slice(0, 160) };
+        }
+    }
+    return null;
+}
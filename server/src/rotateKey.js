@@ -0,0 +1,53 @@
+/**
+ * Master Key Rotation
+ * Re-encrypts every stored secret under a new master key. Stop the server first:
+ * a running one keeps writing with the old key.
+ *
+ *   npm run rotate-key                        rotate to a new random key
+ *   NEW_SECRETS_KEY=... npm run rotate-key    rotate to a chosen key (hex, base64 or passphrase)
+ *
+ * When the current key comes from a file (SECRETS_KEY_FILE or data/secret.key), the new key
+ * replaces it and the old one is appended to <file>.retired. With SECRETS_KEY, the new key is
+ * printed and SECRETS_KEY must be changed before the next start, with the old key added to
+ * SECRETS_RETIRED_KEYS (comma-separated).
+ *
+ * Backups in data/backups are left as they are, under the key that was current when they were
+ * taken. Retired keys are only used to decrypt: a restored backup is re-encrypted under the
+ * current key as it is opened. Dropping a retired key makes the backups taken under it unrestorable.
+ */
+
+import fs from 'fs';
+// Opening the database loads the current key and encrypts any plaintext left (migration 12)
+import { rewriteSecrets } from './database.js';
+import { parseMasterKey, generateMasterKey, encryptSecret, decryptSecret, getMasterKeyInfo, retiredKeysFile } from './secrets.js';
+
+const current = getMasterKeyInfo();
+const material = process.env.NEW_SECRETS_KEY || generateMasterKey();
+const newKey = parseMasterKey(material);
+
+if (newKey.id === current.id) {
+    console.error(`[SECRETS] The new key is the current one (${current.id}), nothing to do.`);
+    process.exit(1);
+}
+
+// Saved before the database changes, so the new key is never lost
+const pending = current.source === 'file' ? `${current.file}.new` : null;
+if (pending) {
+    fs.writeFileSync(pending, material + '\n', { mode: 0o600 });
+} else if (!process.env.NEW_SECRETS_KEY) {
+    console.log(`[SECRETS] New master key: ${material}`);
+}
+
+const count = rewriteSecrets(value => encryptSecret(decryptSecret(value), newKey));
+console.log(`[SECRETS] Re-encrypted ${count} secret(s) from key ${current.id} to key ${newKey.id}`);
+
+if (pending) {
+    // Kept for the backups taken under the old key
+    const retired = retiredKeysFile(current.file);
+    fs.appendFileSync(retired, fs.readFileSync(current.file, 'utf-8').trim() + '\n', { mode: 0o600 });
+    fs.renameSync(pending, current.file);
+    console.log(`[SECRETS] ${current.file} now holds the new key, the old one was added to ${retired}`);
+} else {
+    console.log('[SECRETS] Set SECRETS_KEY to the new key before starting the server again, and add the old one');
+    console.log('[SECRETS] to SECRETS_RETIRED_KEYS so backups taken before the rotation can still be restored.');
+}
@@ -0,0 +1,216 @@
+/**
+ * Check Schedule Module
+ * Validates per-target schedules and computes when the next check is due
+ */
+
+export const SCHEDULE_TYPES = ['interval', 'cron', 'manual'];
+
+export const DEFAULT_SCHEDULE = {
+    type: 'interval',
+    intervalMinutes: 60,
+    jitterMinutes: 15
+};
+
+const MIN_INTERVAL_MINUTES = 1;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60; // 1 week
+
+// Cron field bounds: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field (supports *, lists, ranges and steps)
+ * @param {string} field - Raw field, e.g. "*\/5" or "1-5,10"
+ * @param {object} bounds - { name, min, max }
+ * @returns {Set<number>} - Allowed values
+ */
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid cron ${name}: "${part}"`);
+
+        let start = match[1] === '*' ? min : parseInt(match[1], 10);
+        let end = match[1] === '*' ? max : (match[2] !== undefined ? parseInt(match[2], 10) : start);
+        const step = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+
+        // "5/15" means "from 5 to max every 15"
+        if (match[1] !== '*' && match[2] === undefined && match[3] !== undefined) end = max;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+        }
+
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "*\/10 18-23 * * 5,6"
+ * @returns {object} - Parsed fields plus wildcard flags for day matching
+ */
+export function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+
+    // Both 0 and 7 mean Sunday
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*'
+    };
+}
+
+// Standard cron semantics: when both day fields are restricted, either may match
+function matchesDay(cron, date) {
+    const domMatch = cron.daysOfMonth.has(date.getDate());
+    const dowMatch = cron.daysOfWeek.has(date.getDay());
+    if (cron.anyDayOfMonth) return dowMatch;
+    if (cron.anyDayOfWeek) return domMatch;
+    return domMatch || dowMatch;
+}
+
+/**
+ * Find the next time (strictly after `from`) matching a cron expression, in server local time
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Reference date
+ * @returns {Date|null} - Next match, or null if none within a year
+ */
+export function nextCronOccurrence(expression, from = new Date()) {
+    const cron = parseCron(expression);
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+
+    return null;
+}
+
+/**
+ * Validate and normalise a schedule coming from the API
+ * @param {object} input - Raw schedule ({ type, intervalMinutes, jitterMinutes, adaptive, cron })
+ * @returns {object} - Clean schedule
+ * @throws {Error} - If the schedule is invalid
+ */
+export function normalizeSchedule(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Schedule must be an object');
+    }
+    if (!SCHEDULE_TYPES.includes(input.type)) {
+        throw new Error(`Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+
+    if (input.type === 'manual') {
+        return { type: 'manual' };
+    }
+
+    if (input.type === 'cron') {
+        const cron = String(input.cron || '').trim();
+        parseCron(cron); // Throws on invalid expression
+        return { type: 'cron', cron };
+    }
+
+    const intervalMinutes = Number(input.intervalMinutes);
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES || intervalMinutes > MAX_INTERVAL_MINUTES) {
+        throw new Error(`intervalMinutes must be between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`);
+    }
+
+    const jitterMinutes = input.jitterMinutes === undefined ? 0 : Number(input.jitterMinutes);
+    if (!Number.isFinite(jitterMinutes) || jitterMinutes < 0 || jitterMinutes >= intervalMinutes) {
+        throw new Error('jitterMinutes must be positive and smaller than intervalMinutes');
+    }
+
+    // Adaptive unless turned off: the learned opening pattern may move checks (see schedulePattern.js)
+    return { type: 'interval', intervalMinutes, jitterMinutes, adaptive: input.adaptive !== false };
+}
+
+/**
+ * Compute when a schedule is next due
+ * @param {object} schedule - Normalised schedule
+ * @param {Date|string|number} from - Reference time (usually the end of the last check)
+ * @returns {string|null} - ISO date, or null for manual-only schedules
+ */
+export function computeNextCheckAt(schedule = DEFAULT_SCHEDULE, from = new Date()) {
+    const fromDate = new Date(from);
+
+    switch (schedule.type) {
+        case 'manual':
+            return null;
+        case 'cron': {
+            const next = nextCronOccurrence(schedule.cron, fromDate);
+            return next ? next.toISOString() : null;
+        }
+        default: {
+            // Random jitter keeps checks from looking like a bot on a fixed clock
+            const jitter = (Math.random() * 2 - 1) * (schedule.jitterMinutes || 0);
+            const delay = Math.max(MIN_INTERVAL_MINUTES, schedule.intervalMinutes + jitter) * 60 * 1000;
+            return new Date(fromDate.getTime() + delay).toISOString();
+        }
+    }
+}
+
+/**
+ * Tighten the next check around an announced opening
+ * @param {string|null} nextCheckAt - Due time from the regular schedule
+ * @param {string|null} expectedOpening - ISO date the site announced
+ * @param {object} burst - { beforeMinutes, afterMinutes, intervalSeconds }
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} - Regular due time, or an earlier one inside or at the start of the burst window
+ */
+export function applyBurstWindow(nextCheckAt, expectedOpening, { beforeMinutes, afterMinutes, intervalSeconds }, now = new Date()) {
+    const opening = expectedOpening ? new Date(expectedOpening).getTime() : NaN;
+    if (Number.isNaN(opening)) return nextCheckAt;
+
+    const windowStart = opening - beforeMinutes * 60 * 1000;
+    const windowEnd = opening + afterMinutes * 60 * 1000;
+    if (now.getTime() >= windowEnd) return nextCheckAt;
+
+    // Manual schedules still get the burst: the announcement is the reason to look
+    const regular = nextCheckAt ? new Date(nextCheckAt).getTime() : Infinity;
+    const burst = now.getTime() >= windowStart
+        ? now.getTime() + Math.max(10, intervalSeconds) * 1000
+        : windowStart;
+    return new Date(Math.min(regular, burst)).toISOString();
+}
@@ -0,0 +1,162 @@
+/**
+ * Schedule Pattern Module
+ * Learns when a target tends to open from its check history and adapts the next check to it
+ */
+
+// Statuses that mean registrations were open at check time
+const OPEN_STATUSES = ['OPEN', 'NEEDS_INVITE', 'REGISTERED'];
+
+// Below this many finished checks the history says nothing useful
+const MIN_RUNS = 10;
+// Openings that must fall in the same slot before it counts as recurring
+const MIN_HITS = 2;
+const MAX_WINDOWS = 3;
+
+// Never-opened targets are checked less often the longer they stay closed
+const BACKOFF_STEPS = [
+    { days: 90, factor: 8 },
+    { days: 30, factor: 4 },
+    { days: 14, factor: 2 }
+];
+
+// Inside a hot window checks run at a quarter of the interval, but not more than every 5 minutes
+const HOT_INTERVAL_FACTOR = 0.25;
+const HOT_MIN_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_DELAY_MS = 7 * 24 * 60 * 60 * 1000; // Same cap as an interval schedule
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const describeWindow = (window) => (window.kind === 'weekly'
+    ? `${WEEKDAY_LABELS[window.weekday]} ${window.hour}h`
+    : `day ${window.day} of the month`);
+
+// Recurring slots with at least MIN_HITS openings, most frequent first
+const findWindows = (openings) => {
+    const weekly = new Map();
+    const monthly = new Map();
+    for (const date of openings) {
+        const weekKey = `${date.getDay()}-${date.getHours()}`;
+        weekly.set(weekKey, (weekly.get(weekKey) || 0) + 1);
+        // Count each month once, so one long opening does not look like a monthly habit
+        const months = monthly.get(date.getDate()) || new Set();
+        months.add(`${date.getFullYear()}-${date.getMonth()}`);
+        monthly.set(date.getDate(), months);
+    }
+
+    const windows = [
+        ...[...weekly].map(([key, hits]) => {
+            const [weekday, hour] = key.split('-').map(Number);
+            return { kind: 'weekly', weekday, hour, hits };
+        }),
+        ...[...monthly].map(([day, months]) => ({ kind: 'monthly', day, hits: months.size }))
+    ];
+    return windows
+        .filter(w => w.hits >= MIN_HITS)
+        .sort((a, b) => b.hits - a.hits)
+        .slice(0, MAX_WINDOWS)
+        .map(w => ({ ...w, label: describeWindow(w) }));
+};
+
+/**
+ * Learn a target's opening habits from its finished checks
+ * @param {Array<object>} runs - { startedAt, status } of finished checks, oldest first
+ * @param {Date} [now] - Reference time
+ * @returns {object} - { learned, sampleSize, openings, lastOpenedAt, quietDays, windows, backoff, summary }
+ */
+export function learnOpeningPattern(runs, now = new Date()) {
+    const settled = runs.filter(r => r.status && r.status !== 'CHECKING');
+    if (settled.length < MIN_RUNS) {
+        return { learned: false, sampleSize: settled.length, openings: 0, lastOpenedAt: null, quietDays: 0, windows: [], backoff: 1, summary: `Learning (${settled.length}/${MIN_RUNS} checks)` };
+    }
+
+    // An opening is the first open check after a closed one
+    const openings = settled
+        .filter((run, i) => OPEN_STATUSES.includes(run.status) && (i === 0 || !OPEN_STATUSES.includes(settled[i - 1].status)))
+        .map(run => new Date(run.startedAt));
+
+    const lastOpenedAt = openings.length > 0 ? openings[openings.length - 1] : null;
+    const quietDays = Math.floor((now.getTime() - (lastOpenedAt || new Date(settled[0].startedAt)).getTime()) / DAY_MS);
+    const currentlyOpen = OPEN_STATUSES.includes(settled[settled.length - 1].status);
+    const backoff = openings.length === 0 && !currentlyOpen
+        ? (BACKOFF_STEPS.find(step => quietDays >= step.days)?.factor || 1)
+        : 1;
+    const windows = findWindows(openings);
+
+    const parts = [];
+    parts.push(openings.length > 0 ? `Opened ${openings.length}×` : `Never opened in ${quietDays} days`);
+    if (windows.length > 0) parts.push(`usually ${windows.map(w => w.label).join(', ')}`);
+    if (backoff > 1) parts.push(`backing off ×${backoff}`);
+
+    return {
+        learned: true,
+        sampleSize: settled.length,
+        openings: openings.length,
+        lastOpenedAt: lastOpenedAt?.toISOString() || null,
+        quietDays,
+        windows,
+        backoff,
+        summary: parts.join(' · ')
+    };
+}
+
+// Start and end of the next (or current) occurrence of a window
+const windowOccurrence = (window, now) => {
+    const y = now.getFullYear();
+    const m = now.getMonth();
+    const d = now.getDate();
+    if (window.kind === 'weekly') {
+        for (let i = -1; i <= 7; i++) {
+            const start = new Date(y, m, d + i, window.hour);
+            const end = new Date(y, m, d + i, window.hour + 1);
+            if (start.getDay() === window.weekday && end > now) return { start, end };
+        }
+    } else {
+        for (let i = 0; i <= 2; i++) {
+            const start = new Date(y, m + i, window.day);
+            const end = new Date(y, m + i, window.day + 1);
+            // Months without that day are skipped
+            if (start.getDate() === window.day && end > now) return { start, end };
+        }
+    }
+    return null;
+};
+
+/**
+ * Move a regular next check according to the learned pattern
+ * @param {string|null} nextCheckAt - Due time from the regular schedule
+ * @param {object|null} pattern - Output of learnOpeningPattern
+ * @param {object} schedule - Normalised schedule, only adaptive interval schedules are changed
+ * @param {Date} [now] - Reference time
+ * @returns {object} - { at, reason }, reason is null when the regular time is kept
+ */
+export function adaptNextCheckAt(nextCheckAt, pattern, schedule, now = new Date()) {
+    if (!nextCheckAt || !pattern?.learned || schedule?.type !== 'interval' || schedule.adaptive === false) {
+        return { at: nextCheckAt, reason: null };
+    }
+
+    const intervalMs = schedule.intervalMinutes * 60 * 1000;
+    const hotIntervalMs = Math.min(intervalMs, Math.max(HOT_MIN_INTERVAL_MS, intervalMs * HOT_INTERVAL_FACTOR));
+
+    const occurrences = pattern.windows
+        .map(window => ({ window, ...windowOccurrence(window, now) }))
+        .filter(o => o.start);
+    const active = occurrences.find(o => o.start <= now);
+    if (active) {
+        return { at: new Date(now.getTime() + hotIntervalMs).toISOString(), reason: `hot window (${active.window.label})` };
+    }
+
+    let at = new Date(nextCheckAt).getTime();
+    let reason = null;
+    if (pattern.backoff > 1) {
+        at = now.getTime() + Math.min(MAX_DELAY_MS, (at - now.getTime()) * pattern.backoff);
+        reason = `backed off ×${pattern.backoff}`;
+    }
+
+    const upcoming = occurrences.sort((a, b) => a.start - b.start)[0];
+    if (upcoming && upcoming.start.getTime() < at) {
+        at = upcoming.start.getTime();
+        reason = `start of hot window (${upcoming.window.label})`;
+    }
+    return { at: new Date(at).toISOString(), reason };
+}
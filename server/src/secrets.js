@@ -0,0 +1,176 @@
+/**
+ * Secrets Module
+ * Encrypts stored credentials (target passwords, API keys, SMTP password, webhook headers) with
+ * AES-256-GCM under a master key read from SECRETS_KEY, SECRETS_KEY_FILE or data/secret.key.
+ * Keys retired by a rotation stay usable for decryption, so older backups can still be restored.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Shown by the API instead of a stored secret; sending it back means "unchanged"
+export const REDACTED = '••••••••';
+
+// Settings stored encrypted, target passwords always are
+export const ENCRYPTED_SETTINGS = ['openRouterKey', 'smtpPass', 'defaultPassword', 'vapidPrivateKey'];
+
+// enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, base64 parts
+const PREFIX = 'enc:v1:';
+const KEY_FILE_NAME = 'secret.key';
+
+let masterKey = null;
+let masterKeySource = null; // { source, file }
+let retiredKeys = [];
+
+/**
+ * Turn configured key material into a key
+ * @param {string} material - 32 bytes as hex or base64, or a passphrase
+ * @returns {object} - { id, bytes }, id tells which key encrypted a value
+ * @throws {Error} - If the material is empty
+ */
+export function parseMasterKey(material) {
+    const text = String(material ?? '').trim();
+    if (!text) throw new Error('Master key is empty');
+
+    let bytes;
+    if (/^[0-9a-f]{64}$/i.test(text)) {
+        bytes = Buffer.from(text, 'hex');
+    } else if (/^[A-Za-z0-9+/]{43}=$/.test(text)) {
+        bytes = Buffer.from(text, 'base64');
+    } else {
+        bytes = crypto.scryptSync(text, 'forum-sniper-secrets', 32);
+    }
+    return { id: crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 8), bytes };
+}
+
+/**
+ * New random key material
+ * @returns {string} - 32 bytes, base64
+ */
+export function generateMasterKey() {
+    return crypto.randomBytes(32).toString('base64');
+}
+
+/**
+ * Load the master key used by encryptSecret / decryptSecret. The first start without
+ * SECRETS_KEY or SECRETS_KEY_FILE generates data/secret.key.
+ * @param {string} dataDir - Data folder, for the default key file
+ * @returns {object} - { id, source: 'env' | 'file', file }
+ */
+export function loadMasterKey(dataDir) {
+    if (process.env.SECRETS_KEY) {
+        masterKey = parseMasterKey(process.env.SECRETS_KEY);
+        masterKeySource = { source: 'env', file: null };
+        retiredKeys = parseKeyList(process.env.SECRETS_RETIRED_KEYS, ',');
+        return getMasterKeyInfo();
+    }
+
+    const file = process.env.SECRETS_KEY_FILE || path.join(dataDir, KEY_FILE_NAME);
+    if (!fs.existsSync(file)) {
+        if (process.env.SECRETS_KEY_FILE) throw new Error(`SECRETS_KEY_FILE ${file} does not exist`);
+        fs.writeFileSync(file, generateMasterKey() + '\n', { mode: 0o600 });
+        console.warn(`[SECRETS] Generated a master key in ${file}. Keep a copy: backups cannot be decrypted without it.`);
+    }
+    masterKey = parseMasterKey(fs.readFileSync(file, 'utf-8'));
+    masterKeySource = { source: 'file', file };
+    const retiredFile = retiredKeysFile(file);
+    retiredKeys = fs.existsSync(retiredFile) ? parseKeyList(fs.readFileSync(retiredFile, 'utf-8'), '\n') : [];
+    return getMasterKeyInfo();
+}
+
+// Keys replaced by a rotation, one per line next to the key file or comma-separated in SECRETS_RETIRED_KEYS
+const parseKeyList = (text, separator) => String(text || '').split(separator)
+    .map(material => material.trim())
+    .filter(Boolean)
+    .map(parseMasterKey);
+
+/**
+ * File holding the keys a key file replaced, see rotateKey.js
+ * @param {string} keyFile - Master key file
+ * @returns {string}
+ */
+export function retiredKeysFile(keyFile) {
+    return `${keyFile}.retired`;
+}
+
+/**
+ * Whether a secret encrypted with this key id can be decrypted
+ * @param {string} keyId - Key id from secretKeyId
+ * @returns {boolean}
+ */
+export function isKnownKey(keyId) {
+    return keyId === masterKey?.id || retiredKeys.some(key => key.id === keyId);
+}
+
+/**
+ * Whether a stored value is encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Id of the key an encrypted value needs
+ * @param {string} value - Stored value
+ * @returns {string|null} - null for plaintext
+ */
+export function secretKeyId(value) {
+    return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a secret for storage. Empty values stay empty, so "is it set" needs no key.
+ * @param {string} value - Plaintext
+ * @param {object} [key] - Key from parseMasterKey, the loaded master key by default
+ * @returns {string}
+ */
+export function encryptSecret(value, key = masterKey) {
+    if (value === null || value === undefined || value === '') return value;
+    if (isEncrypted(value)) return value;
+    if (!key) throw new Error('No master key loaded');
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.bytes, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${key.id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored secret. Plaintext left by an older version is returned as is.
+ * @param {string} value - Stored value
+ * @param {object} [key] - Key from parseMasterKey, by default the loaded master key or a retired one
+ * @returns {string}
+ * @throws {Error} - If the value was encrypted with an unknown key or was tampered with
+ */
+export function decryptSecret(value, key) {
+    if (!isEncrypted(value)) return value;
+    if (!masterKey && !key) throw new Error('No master key loaded');
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const candidates = key ? [key] : [masterKey, ...retiredKeys];
+    const match = candidates.find(k => k.id === keyId);
+    if (!match) throw new Error(`Secret was encrypted with master key ${keyId}, the loaded key is ${candidates[0].id}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', match.bytes, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * What the API shows instead of a secret
+ * @param {string} value - Secret
+ * @returns {string} - REDACTED, or '' when nothing is set
+ */
+export function redactSecret(value) {
+    return value ? REDACTED : '';
+}
+
+/**
+ * Where the loaded master key comes from
+ * @returns {object|null} - { id, source: 'env' | 'file', file, retired: [key ids] }
+ */
+export function getMasterKeyInfo() {
+    return masterKey ? { id: masterKey.id, ...masterKeySource, retired: retiredKeys.map(key => key.id) } : null;
+}
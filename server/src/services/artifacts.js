@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, insertArtifact, getArtifactRunIds, deleteArtifactsForRuns } from '../database.js';
+
+const ARTIFACTS_DIR = path.join(DATA_DIR, 'artifacts');
+
+const CONTENT_TYPES = { screenshot: 'image/jpeg', html: 'text/html; charset=utf-8' };
+
+/**
+ * Store the screenshot and HTML of one check stage under data/artifacts/<runId>/
+ * @param {object} snapshot - { checkRunId, targetId, stage, screenshot (Buffer), html, url }
+ * @returns {Array<object>} - Artifact rows that were recorded
+ */
+export const saveSnapshot = ({ checkRunId, targetId, stage, screenshot, html, url }) => {
+    const runDir = path.join(ARTIFACTS_DIR, String(checkRunId));
+    fs.mkdirSync(runDir, { recursive: true });
+
+    const saved = [];
+    const write = (kind, name, content) => {
+        const file = path.join(String(checkRunId), name);
+        fs.writeFileSync(path.join(ARTIFACTS_DIR, file), content);
+        saved.push(insertArtifact({ checkRunId, targetId, stage, kind, file, url, size: Buffer.byteLength(content) }));
+    };
+
+    if (screenshot) write('screenshot', `${stage}.jpg`, screenshot);
+    if (html) write('html', `${stage}.html`, html);
+    return saved;
+};
+
+/**
+ * Where an artifact lives on disk and how to serve it
+ * @param {object} artifact - Artifact row
+ * @returns {object} - { filePath, contentType }
+ */
+export const resolveArtifact = (artifact) => ({
+    filePath: path.join(ARTIFACTS_DIR, artifact.file),
+    contentType: CONTENT_TYPES[artifact.kind] || 'application/octet-stream'
+});
+
+const removeRuns = (checkRunIds) => {
+    for (const runId of checkRunIds) {
+        fs.rmSync(path.join(ARTIFACTS_DIR, String(runId)), { recursive: true, force: true });
+    }
+    return deleteArtifactsForRuns(checkRunIds);
+};
+
+// Files of a deleted target (its rows go with deleteTarget)
+export const removeTargetArtifacts = (targetId) => removeRuns(getArtifactRunIds({ targetId }));
+
+/**
+ * Drop every run's captures once they are older than the retention window
+ * @param {string} olderThanIso - Cutoff timestamp
+ * @returns {number} - Artifact rows removed
+ */
+export const pruneArtifacts = (olderThanIso) => removeRuns(getArtifactRunIds({ olderThanIso }));
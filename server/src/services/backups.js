@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, backupDatabase, inspectDatabaseFile, restoreDatabase } from '../database.js';
+
+export const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
+
+export const BACKUP_KINDS = ['scheduled', 'manual', 'pre-restore'];
+
+// forum-sniper-20240131-041500-123-scheduled.sqlite, sorts by date as a string
+const BACKUP_FILE = /^forum-sniper-(\d{8})-(\d{6})-(\d{3})-(scheduled|manual|pre-restore)\.sqlite$/;
+
+const SCHEDULE_TICK_MS = 10 * 60 * 1000; // 10 min
+
+// Backups and restores run one at a time, a restore closes the connection a backup reads from
+let exclusive = Promise.resolve();
+const runExclusive = (fn) => {
+    const run = exclusive.then(fn);
+    exclusive = run.catch(() => { });
+    return run;
+};
+
+const backupName = (date, kind) => {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+    return `forum-sniper-${stamp}-${kind}.sqlite`;
+};
+
+const parseBackupName = (name) => {
+    const match = name.match(BACKUP_FILE);
+    if (!match) return null;
+    const [, day, time, ms, kind] = match;
+    const createdAt = `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}.${ms}Z`;
+    return { name, kind, createdAt };
+};
+
+/**
+ * Backups on disk, newest first
+ * @returns {Array<object>} - { name, kind, createdAt, size }
+ */
+export const listBackups = () => {
+    if (!fs.existsSync(BACKUPS_DIR)) return [];
+    return fs.readdirSync(BACKUPS_DIR)
+        .map(parseBackupName)
+        .filter(Boolean)
+        .map(backup => ({ ...backup, size: fs.statSync(path.join(BACKUPS_DIR, backup.name)).size }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Path of a backup from its name, never outside the backups folder
+ * @param {string} name - Backup file name
+ * @returns {string|null} - Absolute path, null if there is no such backup
+ */
+export const resolveBackup = (name) => {
+    if (!parseBackupName(String(name))) return null;
+    const file = path.join(BACKUPS_DIR, name);
+    return fs.existsSync(file) ? file : null;
+};
+
+/**
+ * Copy the live database with SQLite's online backup API, checks keep running meanwhile
+ * @param {string} kind - One of BACKUP_KINDS
+ * @returns {Promise<object>} - { name, kind, createdAt, size }
+ */
+export const createBackup = (kind = 'manual') => {
+    if (!BACKUP_KINDS.includes(kind)) throw new Error(`Backup kind must be one of: ${BACKUP_KINDS.join(', ')}`);
+    return runExclusive(() => writeBackup(kind));
+};
+
+const writeBackup = async (kind) => {
+    fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+
+    const name = backupName(new Date(), kind);
+    const file = path.join(BACKUPS_DIR, name);
+    // Written aside first, so an interrupted backup never shows up in the list
+    const partial = `${file}.partial`;
+    try {
+        await backupDatabase(partial);
+        fs.renameSync(partial, file);
+    } catch (err) {
+        fs.rmSync(partial, { force: true });
+        throw err;
+    }
+
+    console.log(`[BACKUP] Created ${name}`);
+    return { ...parseBackupName(name), size: fs.statSync(file).size };
+};
+
+/**
+ * Check that a backup can be restored, without touching the live database
+ * @param {string} name - Backup file name
+ * @returns {object} - { schemaVersion, targets }
+ * @throws {Error} - If there is no such backup, or it is corrupt or from a newer version
+ */
+export const inspectBackup = (name) => {
+    const file = resolveBackup(name);
+    if (!file) throw new Error('Backup not found');
+    return inspectDatabaseFile(file);
+};
+
+/**
+ * Swap the live database for a backup, after checking it and saving the current state as a pre-restore backup.
+ * The caller stops everything that writes to the database first and reloads its in-memory state afterwards.
+ * @param {string} name - Backup file name
+ * @returns {Promise<object>} - { restored, safetyBackup, schemaVersion, targets }
+ * @throws {Error} - If there is no such backup or it cannot be restored (nothing is changed then)
+ */
+export const restoreBackup = (name) => runExclusive(async () => {
+    const { schemaVersion, targets } = inspectBackup(name);
+
+    const safetyBackup = await writeBackup('pre-restore');
+    await restoreDatabase(resolveBackup(name));
+    console.log(`[BACKUP] Restored ${name} (schema version ${schemaVersion}, ${targets} targets), previous state kept as ${safetyBackup.name}`);
+    return { restored: name, safetyBackup, schemaVersion, targets };
+});
+
+/**
+ * Delete a backup
+ * @param {string} name - Backup file name
+ * @returns {boolean} - false if there is no such backup
+ */
+export const deleteBackup = (name) => {
+    const file = resolveBackup(name);
+    if (!file) return false;
+    fs.rmSync(file);
+    return true;
+};
+
+/**
+ * Keep only the newest scheduled backups. Manual and pre-restore ones are only removed by hand.
+ * @param {number} keep - Scheduled backups to keep
+ * @returns {number} - Backups removed
+ */
+export const pruneBackups = (keep) => {
+    const stale = listBackups().filter(b => b.kind === 'scheduled').slice(Math.max(keep, 1));
+    stale.forEach(b => fs.rmSync(path.join(BACKUPS_DIR, b.name), { force: true }));
+    if (stale.length > 0) console.log(`[BACKUP] Rotated out ${stale.length} scheduled backup(s)`);
+    return stale.length;
+};
+
+/**
+ * Take a scheduled backup whenever the newest one is older than the configured interval, then rotate
+ * @param {function} getConfig - () => ({ intervalHours, keep }), read on every tick; intervalHours 0 disables
+ */
+export const startBackupSchedule = (getConfig) => {
+    const tick = async () => {
+        const { intervalHours, keep } = getConfig();
+        if (!(intervalHours > 0)) return;
+
+        const last = listBackups().find(b => b.kind === 'scheduled');
+        if (last && Date.now() - new Date(last.createdAt).getTime() < intervalHours * 60 * 60 * 1000) return;
+
+        try {
+            await createBackup('scheduled');
+            pruneBackups(keep);
+        } catch (err) {
+            console.error('[BACKUP] Scheduled backup failed:', err);
+        }
+    };
+
+    tick();
+    setInterval(tick, SCHEDULE_TICK_MS);
+};
@@ -0,0 +1,118 @@
+import { getCheckRunsForExport } from '../database.js';
+import { siteKey } from '../domains.js';
+
+export const BUNDLE_FORMAT = 'forum-sniper-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Never exported without ?secrets=true
+export const SECRET_SETTINGS = ['openRouterKey', 'smtpPass', 'defaultPassword'];
+// Belong to one instance, never exported: push subscriptions are bound to the VAPID keys
+export const INSTANCE_SETTINGS = ['vapidPublicKey', 'vapidPrivateKey', 'lastDigestDate'];
+
+// Target fields carried by a bundle, the rest (logs, fingerprints, patterns...) is rebuilt by the next checks
+const BUNDLE_TARGET_FIELDS = [
+    'url', 'type', 'mode', 'pseudo', 'email', 'tags', 'priority', 'notes', 'enabled', 'schedule', 'watch',
+    'aliases', 'forumType', 'invitationCodes', 'expectedOpening', 'status', 'lastCheck'
+];
+
+/**
+ * Versioned JSON bundle of targets with their check history, and settings
+ * @param {object} source - { targets, settings, includeSecrets }
+ * @returns {object} - { format, version, exportedAt, includesSecrets, settings, targets: [{ ...fields, sourceId, history }] }
+ */
+export const buildBundle = ({ targets, settings, includeSecrets = false }) => {
+    const exportedSettings = Object.fromEntries(Object.entries(settings)
+        .filter(([key]) => !INSTANCE_SETTINGS.includes(key) && (includeSecrets || !SECRET_SETTINGS.includes(key))));
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        includesSecrets: includeSecrets,
+        settings: exportedSettings,
+        targets: targets.map(target => ({
+            sourceId: target.id,
+            ...Object.fromEntries(BUNDLE_TARGET_FIELDS.map(field => [field, target[field] ?? null])),
+            ...(includeSecrets ? { password: target.password || '' } : {}),
+            history: getCheckRunsForExport(target.id)
+        }))
+    };
+};
+
+/**
+ * Check that a request body is a bundle this version can read
+ * @param {object} bundle - Parsed JSON
+ * @throws {Error} - If the format or version is not supported
+ */
+export const validateBundle = (bundle) => {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) throw new Error(`Not a ${BUNDLE_FORMAT} file`);
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is not supported (this instance reads up to ${BUNDLE_VERSION})`);
+    }
+    if (!Array.isArray(bundle.targets)) throw new Error('Bundle has no targets list');
+};
+
+/**
+ * Fields to change on a local target so it also carries what an imported one knows.
+ * Local values win, imported ones only fill gaps or extend lists.
+ * @param {object} local - Existing target
+ * @param {object} incoming - Validated target from the bundle
+ * @returns {object} - Changed fields only, empty when there is nothing to merge
+ */
+export const mergeTargetFields = (local, incoming) => {
+    const changes = {};
+
+    const tags = [...new Set([...(local.tags || []), ...(incoming.tags || [])])];
+    if (tags.length > (local.tags || []).length) changes.tags = tags;
+
+    const codes = new Set((local.invitationCodes || []).map(c => c.code));
+    const newCodes = (incoming.invitationCodes || []).filter(c => c?.code && !codes.has(c.code));
+    if (newCodes.length > 0) changes.invitationCodes = [...(local.invitationCodes || []), ...newCodes];
+
+    const sites = new Set([local.url, ...(local.aliases || []).map(a => a.url)].map(siteKey));
+    const newAliases = [{ url: incoming.url, kind: 'alias' }, ...(incoming.aliases || [])].filter(a => {
+        const key = siteKey(a.url);
+        if (!key || sites.has(key)) return false;
+        sites.add(key);
+        return true;
+    });
+    if (newAliases.length > 0) {
+        changes.aliases = [...(local.aliases || []), ...newAliases.map(a => ({ ...a, addedAt: a.addedAt || new Date().toISOString() }))];
+    }
+
+    for (const field of ['pseudo', 'email', 'password', 'notes', 'forumType']) {
+        if (!local[field] && incoming[field]) changes[field] = incoming[field];
+    }
+    return changes;
+};
+
+const CSV_COLUMNS = [
+    'id', 'url', 'type', 'mode', 'status', 'failureReason', 'priority', 'tags', 'enabled', 'pseudo', 'email',
+    'lastCheck', 'nextCheckAt', 'forumType', 'invitationCodes', 'aliases', 'notes'
+];
+
+// RFC 4180: quote fields holding a separator, quote or line break, double the quotes
+const csvField = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Targets as a CSV sheet, lists joined with spaces
+ * @param {Array<object>} targets - Targets
+ * @param {boolean} [includeSecrets] - Add a password column
+ * @returns {string} - CSV with a header row
+ */
+export const targetsToCsv = (targets, includeSecrets = false) => {
+    const columns = includeSecrets ? [...CSV_COLUMNS, 'password'] : CSV_COLUMNS;
+    const cell = (target, column) => {
+        if (column === 'tags') return (target.tags || []).join(' ');
+        if (column === 'invitationCodes') return (target.invitationCodes || []).map(c => c.code).join(' ');
+        if (column === 'aliases') return (target.aliases || []).map(a => a.url).join(' ');
+        if (column === 'enabled') return target.enabled !== false;
+        if (column === 'type') return target.type || 'registration';
+        return target[column];
+    };
+    const rows = targets.map(target => columns.map(column => csvField(cell(target, column))).join(','));
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+};
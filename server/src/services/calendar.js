@@ -0,0 +1,68 @@
+// Events last as long as a typical burst window
+const EVENT_DURATION = 'PT30M';
+
+// 20261112T190000Z
+const formatUtc = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 lines are folded at 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+    const chunks = [];
+    let chunk = '';
+    for (const char of line) {
+        if (Buffer.byteLength(chunk + char) > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+};
+
+/**
+ * iCalendar feed with one event per expected opening
+ * @param {Array<object>} targets - Targets that have an expectedOpening
+ * @returns {string} - text/calendar body
+ */
+export const buildOpeningsCalendar = (targets) => {
+    const now = formatUtc(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Forum Sniper//Expected openings//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Forum Sniper openings'
+    ];
+
+    for (const target of targets) {
+        const { at, text, source } = target.expectedOpening;
+        let site = target.url;
+        try { site = new URL(target.url).hostname; } catch { /* keep the raw URL */ }
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:opening-${target.id}@forum-sniper`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${formatUtc(at)}`,
+            `DURATION:${EVENT_DURATION}`,
+            `SUMMARY:${escapeText(`Registrations open: ${site}`)}`,
+            `DESCRIPTION:${escapeText(`${text}\n(${source === 'manual' ? 'set manually' : 'announced on the page'})`)}`,
+            `URL:${target.url}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'TRIGGER:-PT10M',
+            `DESCRIPTION:${escapeText(`Opening soon: ${target.url}`)}`,
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
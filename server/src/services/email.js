@@ -0,0 +1,147 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+let config = {
+    recipients: [],
+    alertsEnabled: false,
+    digestEnabled: false,
+    digestHour: 8
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+const parseRecipients = (value) => String(value || '')
+    .split(/[,;\s]+/)
+    .map(r => r.trim())
+    .filter(Boolean);
+
+/**
+ * (Re)build the SMTP transport from the settings object
+ * @param {object} settings - smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass, smtpFrom,
+ *                            emailRecipients, emailAlerts, emailDigest, digestHour
+ */
+export const configureEmail = (settings) => {
+    const port = parseInt(settings.smtpPort, 10) || 587;
+    const digestHour = parseInt(settings.digestHour, 10);
+
+    config = {
+        host: settings.smtpHost || '',
+        port,
+        from: settings.smtpFrom || settings.smtpUser || '',
+        recipients: parseRecipients(settings.emailRecipients),
+        alertsEnabled: isTrue(settings.emailAlerts),
+        digestEnabled: isTrue(settings.emailDigest),
+        digestHour: digestHour >= 0 && digestHour <= 23 ? digestHour : 8
+    };
+
+    transporter = config.host ? nodemailer.createTransport({
+        host: config.host,
+        port,
+        // Port 465 is implicit TLS, the others upgrade with STARTTLS
+        secure: settings.smtpSecure !== undefined && settings.smtpSecure !== '' ? isTrue(settings.smtpSecure) : port === 465,
+        auth: settings.smtpUser ? { user: settings.smtpUser, pass: settings.smtpPass || '' } : undefined,
+        connectionTimeout: 15 * 1000
+    }) : null;
+};
+
+export const getEmailConfig = () => config;
+
+export const isEmailConfigured = () => Boolean(transporter && config.from && config.recipients.length > 0);
+
+/**
+ * Send one email through the configured SMTP server
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<object>} - nodemailer info
+ */
+export const sendEmail = async ({ to, subject, text }) => {
+    const configError = !transporter ? 'SMTP host is not configured'
+        : !config.from ? 'Sender address (smtpFrom) is not configured'
+            : (!to || to.length === 0) ? 'No email recipients configured' : null;
+    if (configError) {
+        // Retrying will not help until the settings change
+        const error = new Error(configError);
+        error.permanent = true;
+        throw error;
+    }
+    return transporter.sendMail({ from: config.from, to, subject, text });
+};
+
+export const formatStatusAlert = ({ target, status, previousStatus, timestamp }) => ({
+    subject: `[Forum Sniper] ${target.url} is now ${status}`,
+    text: [
+        `${target.url} changed from ${previousStatus} to ${status}.`,
+        '',
+        `Time: ${new Date(timestamp).toLocaleString()}`,
+        target.forumType ? `Forum type: ${target.forumType}` : null,
+        status === 'OPEN' && target.mode === 'monitor' ? 'Monitor mode: nothing was submitted, sign up by hand.' : null,
+        status === 'OPEN' && target.mode !== 'monitor' ? 'Registration seems open but could not be completed automatically: sign up by hand.' : null
+    ].filter(line => line !== null).join('\n')
+});
+
+export const formatFormChangedAlert = ({ target, changes, timestamp }) => ({
+    subject: `[Forum Sniper] Registration form changed on ${target.url}`,
+    text: [
+        `The registration form of ${target.url} changed:`,
+        '',
+        ...changes.map(change => `  - ${change}`),
+        '',
+        `Time: ${new Date(timestamp).toLocaleString()}`,
+        'Forms often change right when registration opens or closes: have a look.'
+    ].join('\n')
+});
+
+const MAX_DIFF_LINES = 30;
+
+export const formatContentChangedAlert = ({ target, diff, timestamp }) => {
+    const changed = diff.filter(d => d.type !== 'same');
+    return {
+        subject: `[Forum Sniper] Watched page changed: ${target.url}`,
+        text: [
+            `The watched text of ${target.url} changed:`,
+            '',
+            ...changed.slice(0, MAX_DIFF_LINES).map(d => `${d.type === 'added' ? '+' : '-'} ${d.line}`),
+            changed.length > MAX_DIFF_LINES ? `...and ${changed.length - MAX_DIFF_LINES} more line(s)` : null,
+            '',
+            `Time: ${new Date(timestamp).toLocaleString()}`
+        ].filter(line => line !== null).join('\n')
+    };
+};
+
+const MAX_DIGEST_LINES = 50;
+
+const listSection = (title, lines) => {
+    if (lines.length === 0) return [`${title}: none`];
+    const shown = lines.slice(0, MAX_DIGEST_LINES).map(line => `  - ${line}`);
+    if (lines.length > MAX_DIGEST_LINES) shown.push(`  ...and ${lines.length - MAX_DIGEST_LINES} more`);
+    return [`${title} (${lines.length}):`, ...shown];
+};
+
+/**
+ * Plain-text summary of the last 24 hours
+ * @param {object} data - { targets, redditAdded, errors }
+ * @returns {object} - { subject, text }
+ */
+export const formatDigest = ({ targets, redditAdded, errors }) => {
+    const counts = {};
+    for (const t of targets) counts[t.status] = (counts[t.status] || 0) + 1;
+
+    const open = targets.filter(t => t.status === 'OPEN' || t.status === 'NEEDS_INVITE');
+
+    const text = [
+        `Forum Sniper daily digest - ${new Date().toLocaleDateString()}`,
+        '',
+        `Targets by status (${targets.length} total):`,
+        ...Object.entries(counts).sort().map(([status, count]) => `  ${status}: ${count}`),
+        '',
+        ...listSection('Open or invite-only now', open.map(t => `${t.url} (${t.status})`)),
+        '',
+        ...listSection('New from Reddit', redditAdded.map(h => `${h.url} - ${h.title}`)),
+        '',
+        ...listSection('Errors in the last 24h', errors.map(r => `[${new Date(r.finishedAt).toLocaleString()}] ${r.url || r.targetId}: ${r.failureReason ? `[${r.failureReason}] ` : ''}${r.error || 'Unknown error'}`))
+    ].join('\n');
+
+    return {
+        subject: `[Forum Sniper] Daily digest: ${open.length} open, ${errors.length} error(s)`,
+        text
+    };
+};
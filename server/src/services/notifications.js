@@ -0,0 +1,453 @@
+import {
+    getWebhooks, getWebhook, createDelivery, getDelivery, updateDelivery, getDueDeliveries, pruneDeliveries,
+    getSettings, saveSettings, getPushSubscriptions, getPushSubscription, touchPushSubscription
+} from '../database.js';
+import { getEmailConfig, isEmailConfigured, sendEmail, formatStatusAlert, formatFormChangedAlert, formatContentChangedAlert, formatDigest } from './email.js';
+import { sendPush } from './push.js';
+import { FAILED_STATUSES } from '../failures.js';
+
+// FORM_CHANGED and CONTENT_CHANGED are events rather than target statuses, but they are subscribed to the same way
+export const FORM_CHANGED = 'FORM_CHANGED';
+export const CONTENT_CHANGED = 'CONTENT_CHANGED';
+export const NOTIFY_STATUSES = ['OPEN', 'NEEDS_INVITE', 'REGISTERED', FORM_CHANGED, CONTENT_CHANGED];
+
+// Works as-is with Slack/Mattermost-style "text" receivers, and carries the raw fields for everything else
+export const DEFAULT_BODY_TEMPLATE = `{
+  "text": "[Forum Sniper] {{target.url}} is now {{status}} (was {{previousStatus}})",
+  "event": "{{event}}",
+  "targetId": "{{target.id}}",
+  "url": "{{target.url}}",
+  "status": "{{status}}",
+  "previousStatus": "{{previousStatus}}",
+  "message": "{{message}}",
+  "timestamp": "{{timestamp}}"
+}`;
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RETRY_LOOP_INTERVAL = 15 * 1000;
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DIGEST_LOOP_INTERVAL = 60 * 1000;
+const EMAIL_ALERT_STATUSES = ['OPEN', FORM_CHANGED, CONTENT_CHANGED];
+
+const inFlight = new Set();
+let log = (msg) => console.log(`[NOTIFY] ${msg}`);
+
+// Replace {{path}} placeholders, escaping values so they are safe inside JSON strings
+export const renderTemplate = (template, context) => {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+        const value = path.split('.').reduce((obj, key) => obj?.[key], context);
+        if (value === undefined || value === null) return '';
+        return JSON.stringify(String(value)).slice(1, -1);
+    });
+};
+
+export const buildPayload = (bodyTemplate, context) => {
+    return JSON.parse(renderTemplate(bodyTemplate || DEFAULT_BODY_TEMPLATE, context));
+};
+
+// Public fields only: never put credentials in a notification
+const buildContext = ({ event, target, status = '', previousStatus = '', message = '' }) => ({
+    event,
+    target: {
+        id: target?.id || '',
+        url: target?.url || '',
+        pseudo: target?.pseudo || '',
+        forumType: target?.forumType || '',
+        mode: target?.mode || ''
+    },
+    status,
+    previousStatus,
+    message,
+    timestamp: new Date().toISOString()
+});
+
+const sampleContext = () => buildContext({
+    event: 'test',
+    target: { id: '0', url: 'https://forum.example.com', pseudo: 'AutoUser', forumType: 'phpBB' },
+    status: 'OPEN',
+    previousStatus: 'CLOSED',
+    message: 'Test notification'
+});
+
+/**
+ * Validate a webhook coming from the API
+ * @param {object} input - { name, url, headers, bodyTemplate, statuses, targetIds, enabled }
+ * @returns {object} - Clean webhook
+ * @throws {Error} - If a field is invalid
+ */
+export const validateWebhook = (input = {}) => {
+    const name = String(input.name || '').trim();
+    if (!name) throw new Error('Webhook name is required');
+
+    let url;
+    try {
+        url = new URL(input.url);
+    } catch (e) {
+        throw new Error('Webhook URL is invalid');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Webhook URL must be http(s)');
+
+    const headers = input.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+        throw new Error('Headers must be an object of strings');
+    }
+
+    const statuses = Array.isArray(input.statuses) && input.statuses.length > 0 ? input.statuses : NOTIFY_STATUSES;
+    const unknown = statuses.filter(s => !NOTIFY_STATUSES.includes(s));
+    if (unknown.length > 0) throw new Error(`Unknown statuses: ${unknown.join(', ')}`);
+
+    const targetIds = Array.isArray(input.targetIds) ? input.targetIds.map(String) : [];
+
+    const bodyTemplate = input.bodyTemplate ? String(input.bodyTemplate) : null;
+    if (bodyTemplate) {
+        try {
+            buildPayload(bodyTemplate, sampleContext());
+        } catch (e) {
+            throw new Error(`Body template does not render to valid JSON: ${e.message}`);
+        }
+    }
+
+    return { name, url: url.href, headers, bodyTemplate, statuses, targetIds, enabled: input.enabled !== false };
+};
+
+const matchesWebhook = (webhook, targetId, status) => {
+    if (!webhook.enabled) return false;
+    if (webhook.targetIds.length > 0 && !webhook.targetIds.includes(targetId)) return false;
+    return webhook.statuses.includes(status);
+};
+
+// POST the payload; resolves with the HTTP status, throws on failure
+const deliverWebhook = async (delivery) => {
+    const webhook = getWebhook(delivery.webhookId);
+    if (!webhook) {
+        const error = new Error('Webhook was deleted');
+        error.permanent = true;
+        throw error;
+    }
+
+    const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...webhook.headers },
+        body: JSON.stringify(delivery.payload),
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+        error.responseStatus = response.status;
+        throw error;
+    }
+    return response.status;
+};
+
+// Email payloads are { to, subject, text }, fixed when the delivery was queued
+const deliverEmail = async (delivery) => {
+    await sendEmail(delivery.payload);
+    return null;
+};
+
+// Push payloads are { subscriptionId, message }
+const deliverPush = async (delivery) => {
+    const subscription = getPushSubscription(delivery.payload.subscriptionId);
+    if (!subscription) {
+        const error = new Error('Browser unsubscribed');
+        error.permanent = true;
+        throw error;
+    }
+    const status = await sendPush(subscription, delivery.payload.message);
+    touchPushSubscription(subscription.id);
+    return status;
+};
+
+const CHANNELS = { webhook: deliverWebhook, email: deliverEmail, push: deliverPush };
+
+// Latest record of a delivery, or the one in hand when the database cannot be read
+const readDelivery = (delivery) => {
+    try {
+        return getDelivery(delivery.id);
+    } catch (e) {
+        log(`Could not read back delivery ${delivery.id}: ${e.message}`);
+        return delivery;
+    }
+};
+
+// One attempt on the delivery's channel; updates the delivery log and schedules a retry on failure.
+// Never rejects: dispatch and the retry loop call it without waiting.
+const attemptDelivery = async (delivery) => {
+    if (inFlight.has(delivery.id)) return readDelivery(delivery);
+    inFlight.add(delivery.id);
+
+    const attempts = delivery.attempts + 1;
+    try {
+        const responseStatus = await CHANNELS[delivery.channel](delivery);
+        updateDelivery(delivery.id, {
+            status: 'delivered', attempts, responseStatus, error: null, deliveredAt: new Date().toISOString()
+        });
+    } catch (error) {
+        const giveUp = error.permanent || attempts >= MAX_ATTEMPTS;
+        // fetch() hides the network reason (ECONNREFUSED, ENOTFOUND...) in error.cause
+        const reason = error.cause ? `${error.message} (${error.cause.code || error.cause.message})` : error.message;
+        try {
+            updateDelivery(delivery.id, {
+                status: giveUp ? 'failed' : 'pending',
+                attempts,
+                responseStatus: error.responseStatus || null,
+                error: reason,
+                nextAttemptAt: giveUp ? null : new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+            });
+        } catch (e) {
+            log(`Could not record the attempt on delivery ${delivery.id}: ${e.message}`);
+        }
+        const destination = delivery.channel === 'webhook' ? `webhook ${delivery.webhookId}` : delivery.channel;
+        log(`Delivery ${delivery.id} to ${destination} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${reason}`);
+    } finally {
+        inFlight.delete(delivery.id);
+    }
+
+    return readDelivery(delivery);
+};
+
+const queueEmail = ({ targetId = null, event, message }) => {
+    const delivery = createDelivery({
+        channel: 'email',
+        targetId,
+        event,
+        payload: { to: getEmailConfig().recipients, ...message }
+    });
+    return attemptDelivery(delivery);
+};
+
+const queuePush = ({ subscription, targetId = null, event, message }) => {
+    const delivery = createDelivery({
+        channel: 'push',
+        targetId,
+        event,
+        payload: { subscriptionId: subscription.id, message }
+    });
+    return attemptDelivery(delivery);
+};
+
+// Send one event to the webhooks and browsers subscribed to `status`, and by email when asked
+const dispatch = ({ event, target, status, context, push, email = null }) => {
+    for (const webhook of getWebhooks()) {
+        if (!matchesWebhook(webhook, target.id, status)) continue;
+        try {
+            const delivery = createDelivery({
+                channel: 'webhook',
+                webhookId: webhook.id,
+                targetId: target.id,
+                event,
+                payload: buildPayload(webhook.bodyTemplate, context)
+            });
+            attemptDelivery(delivery);
+        } catch (e) {
+            log(`Could not queue webhook "${webhook.name}": ${e.message}`);
+        }
+    }
+
+    for (const subscription of getPushSubscriptions()) {
+        if (!subscription.statuses.includes(status)) continue;
+        try {
+            queuePush({ subscription, targetId: target.id, event, message: push });
+        } catch (e) {
+            log(`Could not queue push to subscription ${subscription.id}: ${e.message}`);
+        }
+    }
+
+    if (email && isEmailConfigured()) {
+        try {
+            queueEmail({ targetId: target.id, event, message: email });
+        } catch (e) {
+            log(`Could not queue email: ${e.message}`);
+        }
+    }
+};
+
+// Last status each target settled on with an answer about registrations. ERROR and DOWN are not
+// answers, so OPEN -> ERROR -> OPEN alerts once while OPEN -> CLOSED -> OPEN alerts twice.
+const answeredStatuses = new Map();
+
+/**
+ * Forget what a target was last notified about, when it is deleted or the database is restored
+ * @param {string} [targetId] - Target ID, every target when omitted
+ */
+export const forgetNotifiedStatus = (targetId) => {
+    if (targetId === undefined) answeredStatuses.clear();
+    else answeredStatuses.delete(targetId);
+};
+
+/**
+ * Fan a status change out to every matching webhook and browser, and email when a target opens.
+ * Nothing is sent when the target only comes back from ERROR or DOWN to the status last notified.
+ * @param {object} target - Target whose status changed
+ * @param {string} previousStatus - Last settled status
+ * @param {string} status - New status
+ */
+export const notifyStatusChange = (target, previousStatus, status) => {
+    if (FAILED_STATUSES.includes(status)) return;
+    // Until the first answer since startup, the last settled status is the best guess
+    const lastAnswer = answeredStatuses.has(target.id) ? answeredStatuses.get(target.id) : previousStatus;
+    answeredStatuses.set(target.id, status);
+    if (!NOTIFY_STATUSES.includes(status) || status === lastAnswer) return;
+
+    const context = buildContext({
+        event: 'status_change',
+        target,
+        status,
+        previousStatus: previousStatus || 'UNKNOWN',
+        message: `Status changed from ${previousStatus || 'UNKNOWN'} to ${status}`
+    });
+
+    dispatch({
+        event: 'status_change',
+        target,
+        status,
+        context,
+        push: { title: `${target.url} is ${status}`, body: context.message, tag: `target-${target.id}`, url: '/' },
+        email: getEmailConfig().alertsEnabled && EMAIL_ALERT_STATUSES.includes(status) ? formatStatusAlert(context) : null
+    });
+};
+
+/**
+ * Report a change in the structure of a target's registration form
+ * @param {object} target - Target whose form changed
+ * @param {Array<string>} changes - Readable diff lines
+ * @param {string} lastStatus - Last settled status of the target
+ */
+export const notifyFormChanged = (target, changes, lastStatus) => {
+    const context = buildContext({
+        event: 'form_changed',
+        target,
+        status: FORM_CHANGED,
+        previousStatus: lastStatus || 'UNKNOWN',
+        message: changes.join('; ')
+    });
+
+    dispatch({
+        event: 'form_changed',
+        target,
+        status: FORM_CHANGED,
+        context,
+        push: { title: `Form changed on ${target.url}`, body: context.message, tag: `form-${target.id}`, url: '/' },
+        email: getEmailConfig().alertsEnabled && EMAIL_ALERT_STATUSES.includes(FORM_CHANGED) ? formatFormChangedAlert({ ...context, changes }) : null
+    });
+};
+
+/**
+ * Report new text on a watched page
+ * @param {object} target - Watch target
+ * @param {string} summary - One-line summary of the diff
+ * @param {Array<object>} diff - Line diff ({ type, line })
+ */
+export const notifyContentChanged = (target, summary, diff) => {
+    const context = buildContext({
+        event: 'content_changed',
+        target,
+        status: CONTENT_CHANGED,
+        previousStatus: 'UNCHANGED',
+        message: summary
+    });
+
+    dispatch({
+        event: 'content_changed',
+        target,
+        status: CONTENT_CHANGED,
+        context,
+        push: { title: `Page changed: ${target.url}`, body: summary, tag: `watch-${target.id}`, url: '/' },
+        email: getEmailConfig().alertsEnabled && EMAIL_ALERT_STATUSES.includes(CONTENT_CHANGED) ? formatContentChangedAlert({ ...context, diff }) : null
+    });
+};
+
+/**
+ * Send a sample payload right away, bypassing subscription rules
+ * @param {object} webhook - Stored webhook
+ * @returns {Promise<object>} - The delivery record after the first attempt
+ */
+export const sendTestWebhook = async (webhook) => {
+    const delivery = createDelivery({
+        channel: 'webhook',
+        webhookId: webhook.id,
+        event: 'test',
+        payload: buildPayload(webhook.bodyTemplate, sampleContext())
+    });
+    return attemptDelivery(delivery);
+};
+
+/**
+ * Send a sample email right away with the current SMTP settings
+ * @returns {Promise<object>} - The delivery record after the first attempt
+ */
+export const sendTestEmail = async () => {
+    return queueEmail({
+        event: 'test',
+        message: {
+            subject: '[Forum Sniper] Test email',
+            text: `SMTP settings work: this test was sent at ${new Date().toLocaleString()}.`
+        }
+    });
+};
+
+/**
+ * Show a sample notification on one browser right away
+ * @param {object} subscription - Stored push subscription
+ * @returns {Promise<object>} - The delivery record after the first attempt
+ */
+export const sendTestPush = async (subscription) => {
+    return queuePush({
+        subscription,
+        event: 'test',
+        message: { title: 'Forum Sniper', body: 'Push notifications are working on this device.', tag: 'test', url: '/' }
+    });
+};
+
+/**
+ * Email the daily digest once a day at the configured hour (server local time)
+ * @param {function} collectDigestData - (since: Date) => ({ targets, redditAdded, errors })
+ */
+export const startDailyDigest = (collectDigestData) => {
+    // Persisted so a restart during the digest hour does not send it twice
+    let lastDigestDate = getSettings().lastDigestDate || null;
+
+    const tick = () => {
+        const { digestEnabled, digestHour } = getEmailConfig();
+        const now = new Date();
+        const today = now.toDateString();
+        if (!digestEnabled || now.getHours() !== digestHour || lastDigestDate === today) return;
+        if (!isEmailConfigured()) return;
+
+        lastDigestDate = today;
+        saveSettings({ lastDigestDate });
+        try {
+            const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+            queueEmail({ event: 'daily_digest', message: formatDigest(collectDigestData(since)) });
+            log('Daily digest queued');
+        } catch (e) {
+            log(`Could not build daily digest: ${e.message}`);
+        }
+    };
+
+    setInterval(tick, DIGEST_LOOP_INTERVAL);
+};
+
+export const startNotificationService = (logCallback) => {
+    if (logCallback) log = logCallback;
+
+    const retryDue = () => {
+        try {
+            for (const delivery of getDueDeliveries(new Date().toISOString())) {
+                attemptDelivery(delivery);
+            }
+        } catch (e) {
+            log(`Retry loop error: ${e.message}`);
+        }
+    };
+
+    const prune = () => pruneDeliveries(new Date(Date.now() - DELIVERY_RETENTION_MS).toISOString());
+
+    prune();
+    retryDue(); // Deliveries pending from before a restart
+    setInterval(retryDue, RETRY_LOOP_INTERVAL);
+    setInterval(prune, 24 * 60 * 60 * 1000);
+};
@@ -0,0 +1,78 @@
+import webpush from 'web-push';
+import { getSettings, saveSettings, deletePushSubscription } from '../database.js';
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60; // Drop the message if the browser stays offline a whole day
+
+let publicKey = null;
+
+/**
+ * Load the VAPID key pair, generating and storing one on first start.
+ * Keys must stay stable: rotating them invalidates every existing browser subscription.
+ * @returns {string} - Public key to hand to browsers
+ */
+export const initPush = () => {
+    const stored = getSettings();
+    let { vapidPublicKey, vapidPrivateKey } = stored;
+
+    if (!vapidPublicKey || !vapidPrivateKey) {
+        ({ publicKey: vapidPublicKey, privateKey: vapidPrivateKey } = webpush.generateVAPIDKeys());
+        saveSettings({ vapidPublicKey, vapidPrivateKey });
+        console.log('[NOTIFY] Generated VAPID keys for Web Push');
+    }
+
+    // Push services want a contact for the sender
+    const subject = process.env.VAPID_SUBJECT || (stored.smtpFrom ? `mailto:${stored.smtpFrom}` : 'mailto:admin@localhost');
+    webpush.setVapidDetails(subject, vapidPublicKey, vapidPrivateKey);
+    publicKey = vapidPublicKey;
+    return publicKey;
+};
+
+export const getVapidPublicKey = () => publicKey;
+
+/**
+ * Validate a PushSubscription coming from the browser
+ * @param {object} subscription - PushSubscription.toJSON()
+ * @returns {object} - { endpoint, keys }
+ * @throws {Error} - If it is malformed
+ */
+export const validatePushSubscription = (subscription) => {
+    let endpoint;
+    try {
+        endpoint = new URL(subscription?.endpoint);
+    } catch (e) {
+        throw new Error('Subscription endpoint is invalid');
+    }
+    if (endpoint.protocol !== 'https:') throw new Error('Subscription endpoint must be https');
+
+    const { p256dh, auth } = subscription.keys || {};
+    if (typeof p256dh !== 'string' || typeof auth !== 'string') {
+        throw new Error('Subscription keys are missing');
+    }
+    return { endpoint: endpoint.href, keys: { p256dh, auth } };
+};
+
+/**
+ * Send one notification to one browser
+ * @param {object} subscription - Stored subscription
+ * @param {object} message - { title, body, url, tag }
+ * @returns {Promise<number>} - HTTP status from the push service
+ */
+export const sendPush = async (subscription, message) => {
+    try {
+        const result = await webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            JSON.stringify(message),
+            { TTL: PUSH_TTL_SECONDS }
+        );
+        return result.statusCode;
+    } catch (error) {
+        // 404/410: the user revoked permission or the browser dropped the subscription
+        if (error.statusCode === 404 || error.statusCode === 410) {
+            deletePushSubscription(subscription.id);
+            error.permanent = true;
+            error.message = 'Subscription expired and was removed';
+        }
+        if (error.statusCode) error.responseStatus = error.statusCode;
+        throw error;
+    }
+};
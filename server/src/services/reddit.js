@@ -1,4 +1,5 @@
 import { HttpsProxyAgent } from 'https-proxy-agent';
+import { normalizeUrl } from '../urls.js';
 
 const SUBREDDIT_URL = 'https://www.reddit.com/r/FrancePirate/new.json?limit=25';
 const BASE_INTERVAL = 15 * 60 * 1000; // 15 Minutes
@@ -101,17 +102,10 @@ export const startRedditMonitor = (addTargetCallback, logCallback) => {
 
                 const urls = content.match(URL_REGEX) || [];
 
-                for (const foundUrl of urls) {
+                for (const match of urls) {
                     try {
-                        // FIX: Clean trailing ')' if unmatched (common in Reddit posts like "(http://url)")
-                        if (foundUrl.endsWith(')')) {
-                            const openParens = (foundUrl.match(/\(/g) || []).length;
-                            const closeParens = (foundUrl.match(/\)/g) || []).length;
-                            // If more closing than opening, assume the last one is part of the text wrapper, not the URL
-                            if (closeParens > openParens) {
-                                foundUrl = foundUrl.slice(0, -1);
-                            }
-                        }
+                        // Drops the ')' of "(http://url)", fragments and tracking parameters
+                        const foundUrl = normalizeUrl(match);
 
                         const urlObj = new URL(foundUrl);
                         if (IGNORED_DOMAINS.some(d => urlObj.hostname.includes(d))) {
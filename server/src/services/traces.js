@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from '../database.js';
+
+const TRACES_DIR = path.join(DATA_DIR, 'traces');
+const TRACE_FILE = /^run-\d+\.zip$/;
+
+/**
+ * Where the trace of a run is written
+ * @param {number} checkRunId - Check run ID
+ * @returns {string} - Absolute path of the zip
+ */
+export const tracePathFor = (checkRunId) => {
+    fs.mkdirSync(TRACES_DIR, { recursive: true });
+    return path.join(TRACES_DIR, `run-${checkRunId}.zip`);
+};
+
+/**
+ * Keep or discard a recorded trace once the run outcome is known
+ * @param {string} tracePath - Path given to the worker
+ * @param {boolean} keep - Whether the run deserves its trace
+ * @param {boolean} [aborted] - The worker was aborted and may still be writing the zip
+ * @returns {string|null} - File name to store on the run, or null if discarded or never written
+ */
+export const finalizeTrace = (tracePath, keep, aborted = false) => {
+    if (!keep) {
+        fs.rmSync(tracePath, { force: true });
+        return null;
+    }
+    return aborted || fs.existsSync(tracePath) ? path.basename(tracePath) : null;
+};
+
+// Absolute path of a stored trace, refusing anything that is not one of our zips
+export const resolveTrace = (file) => (TRACE_FILE.test(file || '') ? path.join(TRACES_DIR, file) : null);
+
+export const removeTraces = (files) => {
+    for (const file of files) {
+        const tracePath = resolveTrace(file);
+        if (tracePath) fs.rmSync(tracePath, { force: true });
+    }
+};
+
+/**
+ * Delete traces past the retention window, then the oldest beyond maxFiles
+ * @param {object} limits - { olderThanMs, maxFiles }
+ * @returns {Array<string>} - File names removed
+ */
+export const pruneTraces = ({ olderThanMs, maxFiles }) => {
+    if (!fs.existsSync(TRACES_DIR)) return [];
+
+    const traces = fs.readdirSync(TRACES_DIR)
+        .filter(file => TRACE_FILE.test(file))
+        .map(file => ({ file, mtimeMs: fs.statSync(path.join(TRACES_DIR, file)).mtimeMs }))
+        .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    const cutoff = Date.now() - olderThanMs;
+    const removed = traces
+        .filter((trace, i) => trace.mtimeMs < cutoff || (maxFiles > 0 && i >= maxFiles))
+        .map(trace => trace.file);
+
+    for (const file of removed) fs.rmSync(path.join(TRACES_DIR, file), { force: true });
+    return removed;
+};
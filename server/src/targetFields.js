@@ -0,0 +1,120 @@
+/**
+ * Target Fields Module
+ * Validates the fields users edit on a target (tags, priority, notes) and
+ * filters, sorts and pages the target list
+ */
+
+export const TARGET_PRIORITIES = ['low', 'normal', 'high'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_NOTES_LENGTH = 5000;
+
+/**
+ * Validate a tag list
+ * @param {Array<string>|string} input - Array, or a comma separated string
+ * @returns {Array<string>} - Lower-case, trimmed, deduplicated tags
+ * @throws {Error} - If a tag is too long or there are too many
+ */
+export function normalizeTags(input) {
+    const raw = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(raw)) throw new Error('Tags must be an array or a comma separated string');
+
+    const tags = [...new Set(raw.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+    if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+    const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong) throw new Error(`Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`);
+    return tags;
+}
+
+/**
+ * Validate a priority
+ * @param {string} input - One of TARGET_PRIORITIES
+ * @returns {string}
+ * @throws {Error} - If the priority is unknown
+ */
+export function normalizePriority(input) {
+    if (!TARGET_PRIORITIES.includes(input)) throw new Error(`Priority must be one of: ${TARGET_PRIORITIES.join(', ')}`);
+    return input;
+}
+
+/**
+ * Validate free-text notes
+ * @param {string|null} input - Notes, empty clears them
+ * @returns {string|null}
+ * @throws {Error} - If the notes are too long
+ */
+export function normalizeNotes(input) {
+    const notes = String(input ?? '').trim();
+    if (notes.length > MAX_NOTES_LENGTH) throw new Error(`Notes are limited to ${MAX_NOTES_LENGTH} characters`);
+    return notes || null;
+}
+
+// Higher priority first when sorting ascending by priority
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+/**
+ * Compare two targets by priority, high first
+ * @param {object} a - Target
+ * @param {object} b - Target
+ * @returns {number}
+ */
+export function comparePriority(a, b) {
+    return PRIORITY_RANK[a.priority || 'normal'] - PRIORITY_RANK[b.priority || 'normal'];
+}
+
+// Sortable fields, ids are creation timestamps
+const SORT_KEYS = {
+    created: t => Number(t.id),
+    url: t => t.url,
+    status: t => t.status,
+    priority: t => PRIORITY_RANK[t.priority || 'normal'],
+    lastCheck: t => t.lastCheck || '',
+    nextCheckAt: t => t.nextCheckAt || '\uffff' // Manual-only targets last
+};
+
+const listParam = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/**
+ * Filter, sort and page a target list
+ * @param {Array<object>} targets - All targets
+ * @param {object} query - { tag, status, type, enabled, q, sort, limit, offset }; tag and status take comma
+ *   separated lists (every tag must match, any status may), sort is a field name with "-" for descending
+ * @returns {object} - { items, total }, total counts the matches before paging
+ * @throws {Error} - If the sort field or paging values are invalid
+ */
+export function queryTargets(targets, query = {}) {
+    const tags = listParam(query.tag).map(tag => tag.toLowerCase());
+    const statuses = listParam(query.status).map(status => status.toUpperCase());
+    const search = String(query.q || '').trim().toLowerCase();
+
+    let items = targets.filter(t => {
+        if (tags.length > 0 && !tags.every(tag => (t.tags || []).includes(tag))) return false;
+        if (statuses.length > 0 && !statuses.includes(t.status)) return false;
+        if (query.type && (t.type || 'registration') !== query.type) return false;
+        if (query.enabled !== undefined && String(t.enabled !== false) !== String(query.enabled)) return false;
+        if (search && ![t.url, t.pseudo, t.notes, ...(t.tags || [])].some(v => v && v.toLowerCase().includes(search))) return false;
+        return true;
+    });
+
+    if (query.sort) {
+        const descending = query.sort.startsWith('-');
+        const field = query.sort.replace(/^-/, '');
+        const key = SORT_KEYS[field];
+        if (!key) throw new Error(`Sort must be one of: ${Object.keys(SORT_KEYS).join(', ')}`);
+        items = [...items].sort((a, b) => {
+            const [x, y] = [key(a), key(b)];
+            const order = x < y ? -1 : x > y ? 1 : 0;
+            return descending ? -order : order;
+        });
+    }
+
+    const total = items.length;
+    const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : null;
+    if (Number.isNaN(offset) || offset < 0) throw new Error('Offset must be a non-negative integer');
+    if (limit !== null && (Number.isNaN(limit) || limit < 1)) throw new Error('Limit must be a positive integer');
+    items = items.slice(offset, limit !== null ? offset + limit : undefined);
+
+    return { items, total };
+}
@@ -0,0 +1,72 @@
+/**
+ * Text Diff Module
+ * Line-based diff used by watch targets to compare page versions
+ */
+
+// Longer inputs are trimmed so the LCS table stays small
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Normalise extracted page text so whitespace noise does not count as a change
+ * @param {string} text - Raw text
+ * @returns {string} - One trimmed, non-empty line per line
+ */
+export function normalizeWatchText(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before - Previous version
+ * @param {string} after - New version
+ * @returns {Array<object>} - [{ type: 'same' | 'added' | 'removed', line }]
+ */
+export function diffLines(before, after) {
+    const a = before ? before.split('\n').slice(0, MAX_DIFF_LINES) : [];
+    const b = after ? after.split('\n').slice(0, MAX_DIFF_LINES) : [];
+    const width = b.length + 1;
+
+    // lcs[i * width + j] = common lines between a[i..] and b[j..]
+    const lcs = new Uint16Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            diff.push({ type: 'same', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            diff.push({ type: 'removed', line: a[i++] });
+        } else {
+            diff.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < a.length) diff.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) diff.push({ type: 'added', line: b[j++] });
+    return diff;
+}
+
+/**
+ * One-line description of a diff, for logs and notifications
+ * @param {Array<object>} diff - Output of diffLines
+ * @returns {string} - e.g. "+2 / -1 lines: Registrations are open"
+ */
+export function summarizeDiff(diff) {
+    const added = diff.filter(d => d.type === 'added');
+    const removed = diff.filter(d => d.type === 'removed');
+    const sample = (added[0] || removed[0])?.line || '';
+    return `+${added.length} / -${removed.length} lines${sample ? `: ${sample.slice(0, 120)}` : ''}`;
+}
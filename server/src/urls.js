@@ -0,0 +1,85 @@
+/**
+ * URL Module
+ * Normalises the URLs users paste, Reddit posts mention and the analyzer is given,
+ * so the same page is stored and compared in one form
+ */
+
+// Query parameters added by link shorteners and newsletters, never part of the page
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|_ga)$/i;
+
+// Punctuation that surrounds URLs in prose: "(see https://x.org/)." or "<https://x.org>"
+const WRAPPING_CHARS = /^[\s<("'[]+|[\s>"'.,;:!?]+$/g;
+
+// Drop closing brackets that have no opening one in the URL itself
+const trimUnbalanced = (url) => {
+    let result = url;
+    for (const [open, close] of [['(', ')'], ['[', ']']]) {
+        while (result.endsWith(close) && result.split(close).length > result.split(open).length) {
+            result = result.slice(0, -1).replace(WRAPPING_CHARS, '');
+        }
+    }
+    return result;
+};
+
+/**
+ * Turn user or scraped input into the URL stored on a target
+ * @param {string} input - URL, with or without protocol, possibly wrapped in punctuation
+ * @returns {string} - https:// added when missing, lower-case host, no fragment, tracking parameters or default port
+ * @throws {Error} - If the input is not an http(s) URL with a domain name
+ */
+export function normalizeUrl(input) {
+    const raw = trimUnbalanced(String(input ?? '').replace(WRAPPING_CHARS, ''));
+    if (!raw) throw new Error('URL required');
+
+    const hasScheme = /^https?:\/\//i.test(raw);
+    // "mailto:", "ftp://"... but not the port in "example.org:8080"
+    if (!hasScheme && /^[a-z][a-z0-9+.-]*:(?!\d)/i.test(raw)) throw new Error(`Only http(s) URLs are supported: "${raw}"`);
+
+    let url;
+    try {
+        url = new URL(hasScheme ? raw : `https://${raw}`);
+    } catch {
+        throw new Error(`Invalid URL: "${raw}"`);
+    }
+    if (!url.hostname.includes('.') && url.hostname !== 'localhost') throw new Error(`Invalid URL: "${raw}"`);
+
+    url.hash = '';
+    for (const key of [...url.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+    return url.href;
+}
+
+/**
+ * Key under which two URLs of the same page compare equal
+ * @param {string} url - Normalised URL
+ * @returns {string|null} - Host without "www.", path without trailing slash and sorted query, protocol ignored;
+ * null if the URL cannot be parsed
+ */
+export function canonicalUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    parsed.searchParams.sort();
+    const host = parsed.host.replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${path}${parsed.search}`;
+}
+
+/**
+ * Split a pasted list or an uploaded file into URL candidates
+ * @param {string} text - One URL per line or separated by commas; lines starting with # are comments.
+ *                        Only a comma followed by a space, another comma, a scheme or the line end separates, so ?ids=1,2 stays whole.
+ * @returns {Array<string>} - Trimmed raw entries, not normalised yet, so "not a url" stays one rejected entry
+ */
+export function splitUrlList(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .flatMap(line => line.split(/,(?=[\s,]|$|[a-z][a-z0-9+.-]*:\/\/)/i))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
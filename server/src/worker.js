@@ -1,12 +1,53 @@
 import { chromium } from 'playwright-core';
+import * as cheerio from 'cheerio';
 import { getAIFormFillData } from './aiService.js';
 import { getSettings } from './database.js';
 import { detectForumType, getCommonRegistrationPaths, buildRegistrationUrls } from './forumFingerprints.js';
+import { buildFormFingerprint } from './formFingerprint.js';
+import { normalizeWatchText } from './textDiff.js';
+import { extractOpeningDate } from './openingDate.js';
+import { CheckFailure, classifyFailure, DOWN_REASONS } from './failures.js';
+import { isCrossDomain } from './domains.js';
 
 const BROWSERLESS_URL = process.env.BROWSERLESS_HOST
     ? `ws://${process.env.BROWSERLESS_HOST}:3000`
     : 'ws://localhost:3000';
 
+const DEFAULT_PROBE_DELAY_MS = 1500;
+const TRACE_STOP_TIMEOUT_MS = 15000;
+
+// 'watch' targets follow the text of a page instead of a registration form
+export const TARGET_TYPES = ['registration', 'watch'];
+// 'fetch' is a plain HTTP request for static pages, 'browser' renders through Browserless
+export const WATCH_FETCH_MODES = ['browser', 'fetch'];
+const WATCH_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// 'monitor' runs the same detection but never types into or clicks anything on the site
+export const TARGET_MODES = ['auto-register', 'monitor'];
+
+// Sleep that rejects as soon as the check is cancelled
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Space out successive requests to the same site so path probing doesn't look like a scan
+function politePause(settings, signal) {
+    const base = parseInt(settings.probeDelayMs, 10);
+    const delay = Number.isFinite(base) && base >= 0 ? base : DEFAULT_PROBE_DELAY_MS;
+    return abortableDelay(delay + Math.random() * delay / 2, signal);
+}
+
 // Analyze robots.txt for forum hints
 function analyzeRobotsTxt(robotsText) {
     const hints = [];
@@ -63,20 +104,294 @@ function detectInvitationCodes(html, url) {
     return codes;
 }
 
+const EMAIL_SELECTOR = 'input[type="email"], input[name*="mail"], input[placeholder*="mail"], input[placeholder*="courriel"]';
+const USERNAME_SELECTOR = 'input[name*="user"], input[name*="pseudo"], input[name*="login"], input[placeholder*="utilisateur"], input[placeholder*="pseudo"], input[placeholder*="username"]';
+const SUBMIT_SELECTOR = 'button[type="submit"], input[type="submit"]';
+
+// Stable CSS selector for the element a locator points at, so a plan can be replayed later
+async function resolveSelector(locator) {
+    return locator.evaluate(el => {
+        const tag = el.tagName.toLowerCase();
+        if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+        if (el.name) {
+            const byName = `${tag}[name="${CSS.escape(el.name)}"]`;
+            if (document.querySelectorAll(byName).length === 1) return byName;
+        }
+        const parts = [];
+        for (let node = el; node && node !== document.body; node = node.parentElement) {
+            const siblings = [...node.parentElement.children].filter(c => c.tagName === node.tagName);
+            parts.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${siblings.indexOf(node) + 1})`);
+        }
+        return `body > ${parts.join(' > ')}`;
+    });
+}
+
+// Same fields the heuristics always filled, resolved to concrete selectors
+async function buildHeuristicPlan(page, target) {
+    const fill_actions = [];
+    const add = async (locator, field, value) => {
+        fill_actions.push({
+            selector: await resolveSelector(locator),
+            action: 'fill',
+            field,
+            inputType: (await locator.getAttribute('type')) || 'text',
+            value
+        });
+    };
+
+    await add(page.locator(EMAIL_SELECTOR).first(), 'email', target.email);
+    const usernameInput = page.locator(USERNAME_SELECTOR);
+    if (await usernameInput.count() > 0) {
+        await add(usernameInput.first(), 'pseudo', target.pseudo);
+    }
+    const passwordInputs = page.locator('input[type="password"]');
+    await add(passwordInputs.first(), 'password', target.password);
+    if (await passwordInputs.count() > 1) {
+        await add(passwordInputs.nth(1), 'password_confirm', target.password);
+    }
+
+    const submitBtn = page.locator(SUBMIT_SELECTOR).first();
+    return {
+        source: 'heuristic',
+        url: page.url(),
+        fill_actions,
+        submit_selector: await submitBtn.count() > 0 ? await resolveSelector(submitBtn) : null
+    };
+}
+
+// Record the input type behind each AI action so the API knows which values to mask
+async function describeAIPlan(page, aiPlan) {
+    const fill_actions = [];
+    for (const action of aiPlan.fill_actions) {
+        let inputType = null;
+        try {
+            inputType = await page.locator(action.selector).first().getAttribute('type', { timeout: 2000 });
+        } catch (e) {
+            // Selector does not match, the plan shows it as-is
+        }
+        fill_actions.push({ ...action, inputType });
+    }
+    return { source: 'ai', url: page.url(), fill_actions, submit_selector: aiPlan.submit_selector || null };
+}
+
+// Type every value of a plan into the page (never submits)
+async function fillFromPlan(page, plan, log) {
+    for (const action of plan.fill_actions) {
+        // Only fill and check are replayed, an AI 'click' or 'select' must not type into the field
+        if (!['fill', 'check'].includes(action.action)) {
+            log(`Skipped unsupported action "${action.action}" on ${action.selector}`, 'warn');
+            continue;
+        }
+        try {
+            const loc = page.locator(action.selector).first();
+            if (await loc.count() === 0) {
+                log(`Field not found: ${action.selector}`, 'warn');
+                continue;
+            }
+            if (action.action === 'check') {
+                await loc.check();
+            } else {
+                await loc.fill(action.value ?? '');
+                log(`Filled: ${action.selector.slice(0, 40)}`);
+            }
+        } catch (e) {
+            log(`Fill failed for ${action.selector}: ${e.message}`, 'warn');
+        }
+    }
+}
+
+const hasCaptchaFrame = (page) => page.frames().some(f => f.url().includes('recaptcha') || f.url().includes('cloudflare'));
+
+// Submit a filled form unless a captcha or a disabled button stops us
+async function submitAndVerify(page, plan, log, snapshot) {
+    if (hasCaptchaFrame(page)) {
+        log(`CAPTCHA DETECTED! Cannot solve automatically in MVP.`, 'warn');
+        return { success: false, open: true, captcha: true };
+    }
+
+    if (plan.submit_selector) {
+        const submitBtn = page.locator(plan.submit_selector).first();
+        if (await submitBtn.count() > 0) {
+            // Check if button is disabled (likely needs invitation code)
+            const isDisabled = await submitBtn.evaluate(el => el.disabled || el.hasAttribute('disabled'));
+            if (isDisabled) {
+                log(`Submit button is DISABLED. Likely needs invitation code or additional fields.`, 'warn');
+                return { success: false, open: true, needsInvite: true };
+            }
+
+            log(`Clicking submit...`);
+            await submitBtn.click({ timeout: 10000 });
+            await page.waitForTimeout(5000); // Wait for navigation
+            await snapshot('after-submit');
+
+            // Check success URL or message
+            const newBody = await page.innerText('body');
+            if (newBody.match(/welcome/i) || newBody.match(/bienvenue/i) || newBody.match(/success/i) || newBody.match(/activate/i)) {
+                return { success: true };
+            }
+        }
+    }
+
+    return { success: false, open: true }; // Open but failed/unknown result
+}
+
+// Visible fields of the most likely registration form, read without touching the page
+async function describeFormFields(page) {
+    return page.evaluate(() => {
+        const forms = [...document.querySelectorAll('form')];
+        const scope = forms.find(f => f.querySelector('input[type="password"]')) || forms[0] || document.body;
+        return [...scope.querySelectorAll('input, select, textarea')]
+            .filter(el => !['hidden', 'submit', 'button', 'image', 'reset'].includes(el.type))
+            .slice(0, 30)
+            .map(el => {
+                const label = (el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+                return {
+                    tag: el.tagName.toLowerCase(),
+                    type: el.type || null,
+                    name: el.name || el.id || null,
+                    label: (label?.innerText || el.placeholder || '').trim().slice(0, 60) || null,
+                    required: el.required
+                };
+            });
+    });
+}
+
+/**
+ * Browserless connection shared by every browser-based check
+ * Aborting the signal closes the browser, and a requested trace is written before the CDP connection drops
+ * @param {object} options - { signal, log, tracePath, traceTitle }
+ * @returns {object} - { open, stopTrace, close, dispose, browser, context }
+ */
+function createBrowserSession({ signal, log, tracePath = null, traceTitle = '' }) {
+    const session = { browser: null, context: null };
+    let tracing = false;
+
+    // The trace only exists once it is stopped. Traces record the values passed to fill() and the
+    // requests sent, so recording must stop before credentials are typed.
+    session.stopTrace = async (reason = '') => {
+        if (!tracing) return;
+        tracing = false;
+        try {
+            await Promise.race([
+                session.context.tracing.stop({ path: tracePath }),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), TRACE_STOP_TIMEOUT_MS))
+            ]);
+            if (reason) log(`Playwright trace stopped ${reason}.`, 'debug');
+        } catch (e) {
+            log(`Could not save trace: ${e.message}`, 'warn');
+        }
+    };
+
+    session.close = async () => {
+        await session.stopTrace();
+        if (session.browser) await session.browser.close();
+    };
+
+    // Closing the browser drops the CDP connection, which makes any pending Playwright call reject
+    const onAbort = () => {
+        log(`Check aborted: ${signal.reason?.message || 'cancelled'}. Closing browser...`, 'warn');
+        session.close().catch(() => { });
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    session.open = async () => {
+        try {
+            session.browser = await chromium.connectOverCDP(BROWSERLESS_URL);
+        } catch (connectError) {
+            signal?.throwIfAborted();
+            throw new CheckFailure('BROWSER_UNAVAILABLE', `Browserless unavailable at ${BROWSERLESS_URL}: ${connectError.message}`);
+        }
+        signal?.throwIfAborted(); // Aborted while connecting
+        session.context = await session.browser.newContext();
+        if (tracePath) {
+            await session.context.tracing.start({ title: traceTitle, screenshots: true, snapshots: true });
+            tracing = true;
+            log(`Recording Playwright trace...`, 'debug');
+        }
+        return session.context.newPage();
+    };
+
+    session.dispose = async () => {
+        signal?.removeEventListener('abort', onAbort);
+        try {
+            await session.close();
+        } catch (closeError) {
+            console.error("Error closing browser:", closeError);
+        }
+    };
+
+    return session;
+}
+
+// An HTTP 5xx answer means the site is down, not that registrations are closed
+function assertNotServerError(response, url) {
+    const status = response?.status();
+    if (status >= 500) throw new CheckFailure('HTTP_5XX', `HTTP ${status} on ${url}`);
+}
 
+// State of the submit button of the same form describeFormFields reads
+async function describeSubmitState(page) {
+    return page.evaluate(() => {
+        const forms = [...document.querySelectorAll('form')];
+        const scope = forms.find(f => f.querySelector('input[type="password"]')) || forms[0];
+        const submit = scope?.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+        if (!submit) return 'missing';
+        return submit.disabled || submit.hasAttribute('disabled') ? 'disabled' : 'enabled';
+    });
+}
 
-export async function checkTarget(target, logCallback) {
-    logCallback(`Connecting to Browserless at ${BROWSERLESS_URL}...`);
+/**
+ * Check a target's registration page and register when possible
+ * @param {object} target - Target (url, pseudo, email, password, mode)
+ * @param {function} logCallback - Receives (message, { step, level }) for each progress message
+ * @param {AbortSignal} [signal] - Aborting stops navigation and closes the CDP connection
+ * @param {object} [options] - { dryRun: stop at the fill stage and return the plan, plan: replay a reviewed plan,
+ *                             onSnapshot: async (stage, { screenshot, html, url }) called at landing, registration, after-fill and after-submit,
+ *                             tracePath: record a Playwright trace and write it there when the browser closes }
+ * @returns {Promise<object>} - { success, open, needsInvite, captcha, monitorOnly, formFields, formFingerprint, plan, forumType, robotsInfo, invitationCodes, expectedOpening, redirectedTo }
+ */
+export async function checkTarget(target, logCallback, signal, { dryRun = false, plan = null, onSnapshot = null, tracePath = null } = {}) {
+    signal?.throwIfAborted();
+
+    // Every message is tagged with the stage of the check it came from
+    let step = 'connect';
+    const log = (message, level = 'info') => logCallback(message, { step, level });
+    const monitorOnly = target.mode === 'monitor';
+
+    log(`Connecting to Browserless at ${BROWSERLESS_URL}...`);
 
-    let browser;
     let detectedForumType = 'Unknown';
     let robotsTxtInfo = null;
     let invitationCodes = [];
+    let expectedOpening = null;
+    let redirectedTo = null; // Landing page served by another domain
+
+    // Announcements such as "inscriptions ouvertes le 12/11 à 20h", the registration page wins over the landing page
+    const lookForOpening = (text, where) => {
+        const found = extractOpeningDate(text);
+        if (found && found.at !== expectedOpening?.at) {
+            log(`📅 Opening announced on the ${where}: ${new Date(found.at).toLocaleString()} ("${found.text}")`);
+            expectedOpening = found;
+        }
+    };
+
+    const session = createBrowserSession({ signal, log, tracePath, traceTitle: target.url });
 
     try {
-        browser = await chromium.connectOverCDP(BROWSERLESS_URL);
-        const context = await browser.newContext();
-        const page = await context.newPage();
+        const page = await session.open();
+        const context = session.context;
+
+        // Evidence for the run history, a failed capture never fails the check
+        const snapshot = async (stage) => {
+            if (!onSnapshot) return;
+            try {
+                const screenshot = await page.screenshot({ fullPage: true, type: 'jpeg', quality: 70, timeout: 15000 });
+                await onSnapshot(stage, { screenshot, html: await page.content(), url: page.url() });
+            } catch (e) {
+                signal?.throwIfAborted();
+                log(`Could not capture ${stage} snapshot: ${e.message}`, 'warn');
+            }
+        };
 
         // STEP 0: Fetch robots.txt (Standard check)
         try {
@@ -86,7 +401,7 @@ export async function checkTarget(target, logCallback) {
                 const robotsText = await robotsResponse.text();
                 robotsTxtInfo = analyzeRobotsTxt(robotsText);
                 if (robotsTxtInfo.forumHints.length > 0) {
-                    logCallback(`robots.txt hints: ${robotsTxtInfo.forumHints.join(', ')}`);
+                    log(`robots.txt hints: ${robotsTxtInfo.forumHints.join(', ')}`);
                 }
             }
         } catch (e) {
@@ -94,12 +409,14 @@ export async function checkTarget(target, logCallback) {
         }
 
         // STEP 0.5: FLARESOLVERR CHECK (Before Navigation)
+        step = 'navigate';
         const settings = getSettings();
         if (settings.flaresolverr_url) {
-            logCallback(`FlareSolverr configured. Attempting to solve Cloudflare challenge...`);
+            log(`FlareSolverr configured. Attempting to solve Cloudflare challenge...`);
             try {
                 const solverResponse = await fetch(`${settings.flaresolverr_url}/v1`, {
                     method: 'POST',
+                    signal,
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
                         cmd: 'request.get',
@@ -111,7 +428,7 @@ export async function checkTarget(target, logCallback) {
                 if (solverResponse.ok) {
                     const data = await solverResponse.json();
                     if (data.status === 'ok' && data.solution) {
-                        logCallback(`FlareSolverr success! Injecting cookies...`);
+                        log(`FlareSolverr success! Injecting cookies...`);
 
                         // Inject User-Agent
                         await context.setExtraHTTPHeaders({
@@ -134,23 +451,35 @@ export async function checkTarget(target, logCallback) {
                         // If successful, we might not need to navigate again if we can just use the content?
                         // But Playwright needs the page state. So we navigate, but cookies should bypass the challenge.
                     } else {
-                        logCallback(`FlareSolverr failed: ${data.message || 'Unknown error'}`);
+                        log(`FlareSolverr failed: ${data.message || 'Unknown error'}`, 'warn');
                     }
                 } else {
-                    logCallback(`FlareSolverr error: ${solverResponse.statusText}`);
+                    log(`FlareSolverr error: ${solverResponse.statusText}`, 'warn');
                 }
             } catch (fsError) {
-                logCallback(`FlareSolverr connection failed: ${fsError.message}`);
+                signal?.throwIfAborted();
+                log(`FlareSolverr connection failed: ${fsError.message}`, 'warn');
             }
         } else {
-            logCallback(`FlareSolverr NOT configured. Proceeding with standard navigation.`);
+            log(`FlareSolverr NOT configured. Proceeding with standard navigation.`);
         }
 
-        logCallback(`Navigating to ${target.url}...`);
+        log(`Navigating to ${target.url}...`);
+        let landingResponse = null;
         try {
-            await page.goto(target.url, { timeout: 30000, waitUntil: 'domcontentloaded' });
+            landingResponse = await page.goto(target.url, { timeout: 30000, waitUntil: 'domcontentloaded' });
         } catch (navError) {
-            logCallback(`Navigation warning: ${navError.message}`);
+            signal?.throwIfAborted();
+            // Unreachable sites stop here, a slow page is still worth looking at
+            const reason = classifyFailure(navError);
+            if (DOWN_REASONS.includes(reason)) throw new CheckFailure(reason, `${target.url} is unreachable: ${navError.message}`);
+            log(`Navigation warning: ${navError.message}`, 'warn');
+        }
+        await snapshot('landing');
+
+        if (isCrossDomain(target.url, page.url())) {
+            redirectedTo = page.url();
+            log(`↪️ Redirected to another domain: ${redirectedTo}`, 'warn');
         }
 
         // CLOUDFLARE CHECK (Post-Navigation)
@@ -161,30 +490,49 @@ export async function checkTarget(target, logCallback) {
             pageContent.includes('challenge-platform') ||
             pageContent.includes('cf-turnstile')) {
 
-            logCallback(`⚠️ CLOUDFLARE DETECTED! (Title: "${pageTitle}")`);
+            log(`⚠️ CLOUDFLARE DETECTED! (Title: "${pageTitle}")`, 'warn');
 
             if (!settings.flaresolverr_url) {
-                logCallback(`❌ FlareSolverr is missing! Please configure it in AI CONFIG to bypass this.`);
-                await browser.close();
-                return { success: false, open: false, forumType: 'Cloudflare', robotsInfo: robotsTxtInfo, invitationCodes };
-            } else {
-                logCallback(`ℹ️ FlareSolverr was tried. If you see this, the bypass might have failed or needs tuning.`);
+                throw new CheckFailure('CHALLENGE_PAGE', `Cloudflare challenge page ("${pageTitle}"). Configure FlareSolverr in AI CONFIG to bypass it.`);
             }
+            // Cloudflare also injects challenge-platform into pages that passed, so carry on
+            log(`ℹ️ FlareSolverr was tried. If you see this, the bypass might have failed or needs tuning.`);
+        }
+        assertNotServerError(landingResponse, target.url);
+
+        lookForOpening(await page.innerText('body').catch(() => ''), 'landing page');
+
+        // REVIEWED PLAN: skip detection and replay the dry-run plan exactly
+        if (plan) {
+            step = 'fill';
+            log(`Executing reviewed ${plan.source} plan on ${plan.url}...`);
+            await politePause(settings, signal);
+            await page.goto(plan.url, { timeout: 30000, waitUntil: 'domcontentloaded' });
+            log(`Attempting to fill form...`);
+            await session.stopTrace('before credentials are typed');
+            await fillFromPlan(page, plan, log);
+            await snapshot('after-fill');
+            step = 'submit';
+            const outcome = await submitAndVerify(page, plan, log, snapshot);
+            await session.close();
+            return { ...outcome, forumType: plan.forumType || null, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
         }
 
         // STEP 1: FORUM FINGERPRINTING
+        step = 'detect';
         const initialHtml = await page.content();
         const forumInfo = detectForumType(initialHtml);
 
         if (forumInfo) {
             detectedForumType = forumInfo.name;
-            logCallback(`Detected forum type: ${forumInfo.name}`);
+            log(`Detected forum type: ${forumInfo.name}`);
 
             // Try known registration paths for this forum type
             for (const regPath of forumInfo.registrationPaths) {
+                await politePause(settings, signal);
                 try {
                     const regUrl = new URL(regPath, target.url).href;
-                    logCallback(`Trying known path: ${regUrl}`);
+                    log(`Trying known path: ${regUrl}`);
 
                     const response = await page.goto(regUrl, { timeout: 15000, waitUntil: 'domcontentloaded' });
 
@@ -192,21 +540,22 @@ export async function checkTarget(target, logCallback) {
                         // Check if this looks like a registration page
                         const regHtml = await page.content();
                         if (regHtml.match(/password|email|username|inscription|register/i)) {
-                            logCallback(`Found registration page at ${regUrl}`);
+                            log(`Found registration page at ${regUrl}`);
                             break; // Stay on this page
                         }
                     }
                 } catch (e) {
-                    logCallback(`Path ${regPath} failed: ${e.message}`);
+                    log(`Path ${regPath} failed: ${e.message}`, 'warn');
                 }
             }
         } else {
             detectedForumType = 'Unknown';
-            logCallback(`Forum type not recognized. Using generic detection...`);
+            log(`Forum type not recognized. Using generic detection...`);
 
             // Try common registration paths if fingerprint failed
             const commonPaths = getCommonRegistrationPaths().slice(0, 5); // Try first 5
             for (const regPath of commonPaths) {
+                await politePause(settings, signal);
                 try {
                     const regUrl = new URL(regPath, target.url).href;
                     const response = await page.goto(regUrl, { timeout: 10000, waitUntil: 'domcontentloaded' });
@@ -214,7 +563,7 @@ export async function checkTarget(target, logCallback) {
                     if (response && response.ok()) {
                         const regHtml = await page.content();
                         if (regHtml.match(/password|email|username|inscription|register/i)) {
-                            logCallback(`Found registration at common path: ${regUrl}`);
+                            log(`Found registration at common path: ${regUrl}`);
                             break;
                         }
                     }
@@ -227,14 +576,27 @@ export async function checkTarget(target, logCallback) {
         // STEP 1: LINK DISCOVERY (existing logic, now as fallback)
         const passwordInputsBefore = await page.locator('input[type="password"]').count();
         if (passwordInputsBefore === 0 || (await page.locator('input[type="email"]').count()) === 0) {
-            logCallback(`No obvious form found. Searching for 'Register' link...`);
+            log(`No obvious form found. Searching for 'Register' link...`);
             const registerLink = page.locator('a', { hasText: /register|sign up|inscription|créer.*compte|join/i }).first();
             if (await registerLink.count() > 0) {
                 const linkText = await registerLink.innerText();
-                logCallback(`Found link: "${linkText}". Clicking...`);
-                await registerLink.click();
-                await page.waitForLoadState('domcontentloaded');
-                await page.waitForTimeout(2000); // Wait for potential modals or transitions
+                if (monitorOnly) {
+                    // Follow the link's URL instead of clicking it
+                    const href = await registerLink.getAttribute('href');
+                    if (href && !href.startsWith('javascript:') && href !== '#') {
+                        const linkUrl = new URL(href, page.url()).href;
+                        log(`Found link: "${linkText}". Opening ${linkUrl} (monitor mode, no click)...`);
+                        await politePause(settings, signal);
+                        await page.goto(linkUrl, { timeout: 15000, waitUntil: 'domcontentloaded' });
+                    } else {
+                        log(`Found link: "${linkText}" but it has no URL to open. Monitor mode does not click.`);
+                    }
+                } else {
+                    log(`Found link: "${linkText}". Clicking...`);
+                    await registerLink.click();
+                    await page.waitForLoadState('domcontentloaded');
+                    await page.waitForTimeout(2000); // Wait for potential modals or transitions
+                }
             }
         }
 
@@ -244,12 +606,14 @@ export async function checkTarget(target, logCallback) {
         const currentUrl = page.url();
         invitationCodes = detectInvitationCodes(currentHtml, currentUrl);
         if (invitationCodes.length > 0) {
-            logCallback(`Found ${invitationCodes.length} invitation code(s): ${invitationCodes.map(c => c.code).join(', ')}`);
+            log(`Found ${invitationCodes.length} invitation code(s): ${invitationCodes.map(c => c.code).join(', ')}`);
         }
 
+        await snapshot('registration');
+
         // 2. Search for Inputs (checking name, id, placeholder, and labels)
         const passwordInputs = await page.locator('input[type="password"]').count();
-        const emailInputs = await page.locator('input[type="email"], input[name*="mail"], input[placeholder*="mail"], input[placeholder*="courriel"]').count();
+        const emailInputs = await page.locator(EMAIL_SELECTOR).count();
         const textareaCount = await page.locator('textarea').count();
 
         // Check for invitation code inputs (by name, placeholder, or nearby label)
@@ -259,94 +623,76 @@ export async function checkTarget(target, logCallback) {
         const labelInvite = await page.locator('label', { hasText: /invitation|invite|code/i }).count();
         const needsInvite = inviteInputs > 0 || labelInvite > 0;
 
+        // Structure of the form before we touch it, compared across checks to spot openings and closings
+        const formFields = await describeFormFields(page);
+        const formFingerprint = buildFormFingerprint(formFields, await describeSubmitState(page));
+
         // 1. Check for "Closed" keywords (AFTER checking for valid forms)
         // Only treat as closed if we found NO inputs, OR if we found inputs but it's not a clear login/register form
         const hasAnyForm = (emailInputs > 0 && passwordInputs > 0) || needsInvite;
 
         const bodyText = await page.innerText('body');
+        lookForOpening(bodyText, 'registration page');
         if (!hasAnyForm && (bodyText.match(/registration.*closed/i) || bodyText.match(/inscriptions.*fermées/i))) {
-            logCallback(`Registration appears closed.`);
-            await browser.close();
-            return { success: false, open: false, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
+            log(`Registration appears closed.`);
+            await session.close();
+            return { success: false, open: false, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
         }
 
         if (needsInvite) {
             const submitBtn = page.locator('button[type="submit"], input[type="submit"]').first();
             // If we have an invite field AND a submit button (enabled or disabled), we likely need an invite
-            logCallback(`Invitation code field detected!`);
-            await browser.close();
-            return { success: false, open: true, needsInvite: true, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
+            log(`Invitation code field detected!`);
+            await session.close();
+            return { success: false, open: true, needsInvite: true, monitorOnly, formFields, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
         }
 
-        // Use strict heuristics ONLY if it looks like a simple form (no text areas for questions)
-        if (passwordInputs > 0 && emailInputs > 0 && textareaCount === 0) {
-            logCallback(`Detected registration form! (${emailInputs} email fields, ${passwordInputs} password fields)`);
-
-            // ATTEMPT REGISTRATION
-            logCallback(`Attempting to fill form...`);
-
-            // Fill Email
-            await page.locator('input[type="email"], input[name*="mail"], input[placeholder*="mail"], input[placeholder*="courriel"]').first().fill(target.email);
-
-            // Fill Pseudo/Username
-            const usernameInput = page.locator('input[name*="user"], input[name*="pseudo"], input[name*="login"], input[placeholder*="utilisateur"], input[placeholder*="pseudo"], input[placeholder*="username"]');
-            if (await usernameInput.count() > 0) {
-                await usernameInput.first().fill(target.pseudo);
-            }
-
-            // Fill Password
-            await page.locator('input[type="password"]').first().fill(target.password);
-            // Fill Confirm Password if exists
-            const confirmPass = page.locator('input[type="password"]').nth(1);
-            if (await confirmPass.count() > 0) {
-                await confirmPass.fill(target.password);
-            }
-
-            logCallback(`Form partially filled. Checking for Captcha...`);
-
-            // ... (rest of the filling logic)
+        // MONITOR MODE: report what we found and stop before any fill or click
+        if (monitorOnly && !dryRun) {
+            const looksLikeRegistration = passwordInputs > 0 && (emailInputs > 0 || passwordInputs > 1);
+            const hasCaptcha = hasCaptchaFrame(page);
+            const fieldList = formFields.map(f => f.name || f.type).join(', ');
+            await session.close();
 
-            // Check for Captcha frames
-            const iframes = await page.frames();
-            const hasCaptcha = iframes.some(f => f.url().includes('recaptcha') || f.url().includes('cloudflare'));
-
-            if (hasCaptcha) {
-                logCallback(`CAPTCHA DETECTED! Cannot solve automatically in MVP.`);
-                await browser.close();
-                return { success: false, open: true, captcha: true, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
+            if (looksLikeRegistration) {
+                log(`Monitor mode: registration form detected (${fieldList}). Stopping before filling.`);
+                return { success: false, open: true, captcha: hasCaptcha, monitorOnly, formFields, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
             }
+            log(`Monitor mode: no registration form found.`);
+            return { success: false, open: false, monitorOnly, formFields, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
+        }
 
-            // Submit
-            const submitBtn = page.locator('button[type="submit"], input[type="submit"]').first();
-            if (await submitBtn.count() > 0) {
-                // Check if button is disabled (likely needs invitation code)
-                const isDisabled = await submitBtn.evaluate(el => el.disabled || el.hasAttribute('disabled'));
-                if (isDisabled) {
-                    logCallback(`Submit button is DISABLED. Likely needs invitation code or additional fields.`);
-                    await browser.close();
-                    return { success: false, open: true, needsInvite: true, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
-                }
+        // Use strict heuristics ONLY if it looks like a simple form (no text areas for questions)
+        if (passwordInputs > 0 && emailInputs > 0 && textareaCount === 0) {
+            log(`Detected registration form! (${emailInputs} email fields, ${passwordInputs} password fields)`);
 
-                logCallback(`Clicking submit...`);
-                await submitBtn.click({ timeout: 10000 });
-                await page.waitForTimeout(5000); // Wait for navigation
+            step = 'fill';
+            const heuristicPlan = { ...await buildHeuristicPlan(page, target), forumType: detectedForumType };
 
-                // Check success URL or message
-                const url = page.url();
-                const newBody = await page.innerText('body');
-                if (newBody.match(/welcome/i) || newBody.match(/bienvenue/i) || newBody.match(/success/i) || newBody.match(/activate/i)) {
-                    await browser.close();
-                    return { success: true, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
-                }
+            if (dryRun) {
+                log(`Dry run: heuristic plan ready with ${heuristicPlan.fill_actions.length} field(s). Nothing was filled.`);
+                const captcha = hasCaptchaFrame(page);
+                await session.close();
+                return { success: false, open: true, dryRun, captcha, plan: heuristicPlan, formFields, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
             }
 
-            await browser.close();
-            return { success: false, open: true, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes }; // Open but failed/unknown result
+            // ATTEMPT REGISTRATION
+            log(`Attempting to fill form...`);
+            await session.stopTrace('before credentials are typed');
+            await fillFromPlan(page, heuristicPlan, log);
+            await snapshot('after-fill');
+            log(`Form partially filled. Checking for Captcha...`);
+
+            step = 'submit';
+            const outcome = await submitAndVerify(page, heuristicPlan, log, snapshot);
+            await session.close();
+            return { ...outcome, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
         }
 
         // If Heuristics failed to find enough fields, OR if we want to force AI check for complex Q&A
         if (passwordInputs === 0 || emailInputs === 0 || (await page.locator('textarea').count()) > 0) {
-            logCallback(`Standard heuristics inconclusive. Engaging AI...`);
+            step = 'ai';
+            log(`Standard heuristics inconclusive. Engaging AI...`);
 
             // Get relevant HTML (form or body)
             const html = await page.evaluate(() => {
@@ -359,58 +705,133 @@ export async function checkTarget(target, logCallback) {
                 return document.body.innerHTML;
             });
 
-            const aiPlan = await getAIFormFillData(html, target, logCallback);
+            let aiPlan;
+            try {
+                aiPlan = await getAIFormFillData(html, target, log, signal);
+            } catch (aiError) {
+                signal?.throwIfAborted();
+                throw new CheckFailure('AI_FAILURE', `AI Error: ${aiError.message}`);
+            }
 
             if (aiPlan && aiPlan.fill_actions) {
-                logCallback(`AI Plan received with ${aiPlan.fill_actions.length} actions.`);
-
-                for (const action of aiPlan.fill_actions) {
-                    try {
-                        const loc = page.locator(action.selector).first();
-                        if (await loc.count() > 0) {
-                            if (action.action === 'fill') {
-                                await loc.fill(action.value);
-                                logCallback(`AI Filled: ${action.selector.slice(0, 20)}...`);
-                            } else if (action.action === 'check') {
-                                await loc.check();
-                            }
-                        }
-                    } catch (e) {
-                        logCallback(`AI Action Failed for ${action.selector}: ${e.message}`);
-                    }
+                log(`AI Plan received with ${aiPlan.fill_actions.length} actions.`);
+                const plan = { ...await describeAIPlan(page, aiPlan), forumType: detectedForumType };
+
+                if (dryRun) {
+                    log(`Dry run: AI plan ready. Nothing was filled.`);
+                    const captcha = hasCaptchaFrame(page);
+                    await session.close();
+                    return { success: false, open: true, dryRun, captcha, plan, formFields, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
                 }
 
+                await session.stopTrace('before credentials are typed');
+
+                await fillFromPlan(page, plan, log);
+                await snapshot('after-fill');
+
                 if (aiPlan.submit_selector) {
-                    logCallback(`AI Submitting via ${aiPlan.submit_selector}...`);
+                    step = 'submit';
+                    log(`AI Submitting via ${aiPlan.submit_selector}...`);
                     await page.locator(aiPlan.submit_selector).first().click();
                     await page.waitForTimeout(5000);
+                    await snapshot('after-submit');
 
                     const newBody = await page.innerText('body');
                     if (newBody.match(/welcome/i) || newBody.match(/bienvenue/i) || newBody.match(/success/i)) {
-                        await browser.close();
-                        return { success: true, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
+                        await session.close();
+                        return { success: true, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
                     }
                 }
 
+            } else if (aiPlan) {
+                throw new CheckFailure('AI_FAILURE', 'AI answered without any fill actions');
             } else {
-                logCallback(`AI could not generate a valid plan.`);
+                log(`AI could not generate a valid plan.`, 'warn');
             }
         }
 
-        logCallback(`No successful registration path found.`);
-        await browser.close();
-        return { success: false, open: false, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes };
+        log(`No successful registration path found.`);
+        await session.close();
+        return { success: false, open: false, formFingerprint, forumType: detectedForumType, robotsInfo: robotsTxtInfo, invitationCodes, expectedOpening, redirectedTo };
 
     } catch (error) {
-        logCallback(`Browser Error: ${error.message}`);
+        if (signal?.aborted) throw signal.reason; // Report why we stopped, not the closed-browser fallout
+        log(error instanceof CheckFailure ? error.message : `Browser Error: ${error.message}`, 'error');
         throw error;
     } finally {
-        if (browser) {
+        await session.dispose();
+    }
+}
+
+/**
+ * Read the text of a watched page, or of the region matched by its CSS selector
+ * @param {object} target - Watch target (url, watch: { selector, fetchMode })
+ * @param {function} logCallback - Receives (message, { step, level }) for each progress message
+ * @param {AbortSignal} [signal] - Aborting stops the request or closes the CDP connection
+ * @param {object} [options] - { onSnapshot, tracePath }, browser mode only
+ * @returns {Promise<object>} - { watch: true, text, url, expectedOpening, redirectedTo }
+ */
+export async function checkWatchTarget(target, logCallback, signal, { onSnapshot = null, tracePath = null } = {}) {
+    signal?.throwIfAborted();
+
+    const { selector = '', fetchMode = 'browser' } = target.watch || {};
+    const log = (message, level = 'info') => logCallback(message, { step: 'watch', level });
+    const region = selector ? `"${selector}"` : 'the whole page';
+
+    if (fetchMode === 'fetch') {
+        log(`Fetching ${target.url} (${region})...`);
+        let response;
+        try {
+            response = await fetch(target.url, { signal, headers: { 'User-Agent': WATCH_USER_AGENT } });
+        } catch (fetchError) {
+            signal?.throwIfAborted();
+            // "fetch failed" alone says nothing, the network error is in the cause
+            throw new CheckFailure(classifyFailure(fetchError), `${target.url} is unreachable: ${fetchError.cause?.message || fetchError.message}`);
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+
+        const $ = cheerio.load(await response.text());
+        $('script, style, noscript, template').remove();
+        // Keep block boundaries as line breaks so the diff stays line-based
+        $('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article').after('\n');
+        const matches = $(selector || 'body');
+        if (matches.length === 0) throw new Error(`Selector ${region} matched nothing`);
+
+        const text = normalizeWatchText(matches.map((_, el) => $(el).text()).get().join('\n'));
+        log(`Extracted ${text.length} characters.`);
+        return { watch: true, text, url: response.url, expectedOpening: extractOpeningDate(text), redirectedTo: isCrossDomain(target.url, response.url) ? response.url : null };
+    }
+
+    log(`Connecting to Browserless at ${BROWSERLESS_URL}...`);
+    const session = createBrowserSession({ signal, log, tracePath, traceTitle: target.url });
+
+    try {
+        const page = await session.open();
+        log(`Navigating to ${target.url} (${region})...`);
+        assertNotServerError(await page.goto(target.url, { timeout: 30000, waitUntil: 'domcontentloaded' }), target.url);
+        await page.waitForTimeout(2000); // Let client-side banners render
+
+        if (onSnapshot) {
             try {
-                await browser.close();
-            } catch (closeError) {
-                console.error("Error closing browser:", closeError);
+                const screenshot = await page.screenshot({ fullPage: true, type: 'jpeg', quality: 70, timeout: 15000 });
+                await onSnapshot('landing', { screenshot, html: await page.content(), url: page.url() });
+            } catch (e) {
+                signal?.throwIfAborted();
+                log(`Could not capture landing snapshot: ${e.message}`, 'warn');
             }
         }
+
+        const texts = selector ? await page.locator(selector).allInnerTexts() : [await page.innerText('body')];
+        if (texts.length === 0) throw new Error(`Selector ${region} matched nothing`);
+
+        const text = normalizeWatchText(texts.join('\n'));
+        log(`Extracted ${text.length} characters.`);
+        return { watch: true, text, url: page.url(), expectedOpening: extractOpeningDate(text), redirectedTo: isCrossDomain(target.url, page.url()) ? page.url() : null };
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        log(error instanceof CheckFailure ? error.message : `Browser Error: ${error.message}`, 'error');
+        throw error;
+    } finally {
+        await session.dispose();
     }
 }